@@ -0,0 +1,41 @@
+// Shared connection settings for the maintenance scripts that call the API
+//
+//   FENWICK_API_URL  defaults to production
+//   FENWICK_API_KEY  API key sent with every request (create one with `npm run auth key:create`)
+
+import 'dotenv/config';
+import { imageIdFromUrl, toDataUri } from './db/images.js';
+
+export const API_URL = process.env.FENWICK_API_URL || 'https://fenwick-backend.onrender.com/api';
+
+let warned = false;
+
+// Request headers with the API key added
+export function apiHeaders(headers = {}) {
+  const key = process.env.FENWICK_API_KEY;
+  if (!key) {
+    if (!warned) console.log('⚠️  FENWICK_API_KEY is not set - the server will reject these requests\n');
+    warned = true;
+    return headers;
+  }
+  return { ...headers, Authorization: `Bearer ${key}` };
+}
+
+// Replaces /api/images/<id> thumbnails with data URIs, so a downloaded dataset
+// (backup, production snapshot) is complete without the server it came from
+export async function inlineImages(projects) {
+  const inlined = [];
+  for (const project of projects) {
+    if (!imageIdFromUrl(project.thumbnail)) {
+      inlined.push(project);
+      continue;
+    }
+    const response = await fetch(new URL(project.thumbnail, API_URL));
+    if (!response.ok) {
+      throw new Error(`Failed to download thumbnail of ${project.name}: ${response.status}`);
+    }
+    const data = Buffer.from(await response.arrayBuffer());
+    inlined.push({ ...project, thumbnail: toDataUri({ mimeType: response.headers.get('content-type'), data }) });
+  }
+  return inlined;
+}
@@ -0,0 +1,31 @@
+// Password and API key hashing - node:crypto only
+
+import crypto from 'crypto';
+
+const SCRYPT_KEYLEN = 64;
+export const API_KEY_PREFIX = 'fwk_';
+
+// "scrypt:<salt>:<hash>", both hex
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Keys are random enough that a fast hash is fine (no salt, so they can be looked up)
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+export function generateApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 6), keyHash: hashApiKey(key) };
+}
@@ -0,0 +1,78 @@
+// Authentication and role checks
+//
+// Callers identify themselves with `Authorization: Bearer <token>`, where the token is
+// either a session JWT from POST /api/auth/login (frontend) or an API key (scripts,
+// also accepted as `X-API-Key`). Roles are ordered: viewer < editor < admin.
+
+import { API_KEY_PREFIX, hashApiKey } from './credentials.js';
+
+export const ROLES = ['viewer', 'editor', 'admin'];
+
+export function hasRole(principal, role) {
+  return Boolean(principal) && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+function readCredential(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : (req.get('X-API-Key') || '').trim() || null;
+}
+
+// Sets req.principal = { type, id, name, role } for valid credentials. Requests
+// without credentials carry on anonymously (requireRole turns them away); bad or
+// expired credentials are rejected outright. With `enabled: false` every request
+// is treated as an admin - for local development only.
+export function createAuthenticator({ users, apiKeys, tokens, enabled = true }) {
+  return async (req, res, next) => {
+    if (!enabled) {
+      req.principal = { type: 'anonymous', id: null, name: 'auth disabled', role: 'admin' };
+      return next();
+    }
+
+    const credential = readCredential(req);
+    if (!credential) return next();
+
+    try {
+      let principal = null;
+      if (credential.startsWith(API_KEY_PREFIX)) {
+        const key = await apiKeys.findByHash(hashApiKey(credential));
+        if (key) {
+          await apiKeys.touch(key.id);
+          principal = { type: 'apiKey', id: key.id, name: key.name, role: key.role };
+        }
+      } else {
+        const userId = tokens.verify(credential);
+        const user = userId && await users.get(userId);
+        if (user) principal = { type: 'user', id: user.id, name: user.username, role: user.role };
+      }
+
+      if (!principal) {
+        return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Invalid or expired credentials' });
+      }
+      req.principal = principal;
+      next();
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to authenticate' });
+    }
+  };
+}
+
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.principal) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Authentication required' });
+    }
+    if (!hasRole(req.principal, role)) {
+      return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+// Roles for a whole router: GET/HEAD need `read`, every other method `write`
+export function allow({ read, write }) {
+  const readers = requireRole(read);
+  const writers = requireRole(write);
+  return (req, res, next) => (req.method === 'GET' || req.method === 'HEAD' ? readers : writers)(req, res, next);
+}
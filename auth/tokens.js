@@ -0,0 +1,27 @@
+// Session tokens for the frontend - HS256 JWTs signed with AUTH_SECRET
+
+import jwt from 'jsonwebtoken';
+
+export function createTokenIssuer({ secret, ttl = '12h' }) {
+  return {
+    enabled: Boolean(secret),
+
+    sign(user) {
+      const token = jwt.sign({ sub: String(user.id), role: user.role }, secret, {
+        algorithm: 'HS256',
+        expiresIn: ttl
+      });
+      return { token, expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString() };
+    },
+
+    // The user id, or null for a bad, expired or foreign token
+    verify(token) {
+      if (!secret) return null;
+      try {
+        return Number(jwt.verify(token, secret, { algorithms: ['HS256'] }).sub);
+      } catch {
+        return null;
+      }
+    }
+  };
+}
@@ -1,192 +1,113 @@
 /**
  * AUTO IMAGE OPTIMIZER
  *
- * This script will:
- * 1. Extract all images from the database
- * 2. Automatically optimize them (requires 'sharp' package)
- * 3. Re-upload optimized images back to the database
- *
- * INSTALLATION:
- * npm install sharp
+ * Re-encodes project thumbnails with the same sharp pipeline as POST /api/upload
+ * (max 800x600, JPEG 75%, EXIF stripped), through the shared DB layer - so it
+ * works on the local SQLite file and on PostgreSQL alike (DB_DRIVER / DATABASE_URL /
+ * SQLITE_FILE, as for the server). See images/optimizer.js.
  *
  * USAGE:
- * node auto-optimize-images.js
+ * node auto-optimize-images.js [--dry-run] [--project <id>]... [--min-kb <n>] [--resume]
+ *
+ *   --dry-run        Report what would change, write nothing
+ *   --project <id>   Only this project (repeatable)
+ *   --min-kb <n>     Leave thumbnails smaller than n KB alone
+ *   --resume         Continue an interrupted run, skipping projects in the progress log
+ *
+ * Every change is recorded as a revision (source "optimizer"), so a project can be
+ * put back from its history; the old images stay in the store.
  */
 
-import sqlite3 from 'sqlite3';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Configuration
-const MAX_WIDTH = 800;          // Maximum image width
-const MAX_HEIGHT = 600;         // Maximum image height
-const QUALITY = 75;             // JPEG quality (0-100)
-const BACKUP_DB = true;         // Create database backup before updating
-
-console.log('🚀 Auto Image Optimizer\n');
-console.log('⚙️  Configuration:');
-console.log(`   Max width: ${MAX_WIDTH}px`);
-console.log(`   Max height: ${MAX_HEIGHT}px`);
-console.log(`   JPEG quality: ${QUALITY}%`);
-console.log(`   Backup database: ${BACKUP_DB ? 'Yes' : 'No'}\n`);
-
-// Check if sharp is installed
-let sharp;
-try {
-  const sharpModule = await import('sharp');
-  sharp = sharpModule.default;
-  console.log('✅ Sharp library loaded\n');
-} catch (error) {
-  console.error('❌ Sharp library not found!');
-  console.log('\n📋 Please install sharp first:');
-  console.log('   npm install sharp\n');
-  console.log('Or use the manual process:');
-  console.log('   1. node extract-and-optimize-images.js');
-  console.log('   2. Manually optimize images in extracted-images/');
-  console.log('   3. node optimize-and-reupload-images.js\n');
-  process.exit(1);
-}
-
-// Backup database BEFORE opening it
-if (BACKUP_DB) {
-  const backupPath = `./fenwick_backup_${Date.now()}.db`;
-  fs.copyFileSync('./fenwick.db', backupPath);
-  console.log(`💾 Database backed up to: ${backupPath}\n`);
-}
-
-// Open database and wait for it to be ready
-let db;
-await new Promise((resolve, reject) => {
-  db = new sqlite3.Database('./fenwick.db', sqlite3.OPEN_READWRITE, (err) => {
-    if (err) {
-      console.error('❌ Error opening database:', err.message);
-      reject(err);
+import 'dotenv/config';
+import { openDatabase, createRepositories } from './db/index.js';
+import { assertSchemaCurrent, MigrationError } from './db/migrate.js';
+import { optimizeThumbnails, openProgressLog } from './images/optimizer.js';
+
+const PROGRESS_FILE = process.env.OPTIMIZER_PROGRESS_FILE || 'optimizer-progress.jsonl';
+
+class UsageError extends Error {}
+
+function parseArgs(args) {
+  const options = { dryRun: false, projectIds: null, minBytes: 0, resume: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--resume') {
+      options.resume = true;
+    } else if (arg === '--project' && args[i + 1]) {
+      options.projectIds = [...(options.projectIds || []), args[++i]];
+    } else if (arg === '--min-kb' && Number(args[i + 1]) >= 0) {
+      options.minBytes = Number(args[++i]) * 1024;
     } else {
-      console.log('✅ Database opened in READWRITE mode\n');
-      resolve();
+      throw new UsageError(`Unknown or incomplete option "${arg}"`);
     }
-  });
-});
-
-console.log('📊 Fetching projects with images...\n');
-
-// Main processing function
-async function processImages() {
-  // Get all projects first
-  const projects = await new Promise((resolve, reject) => {
-    db.all("SELECT id, number, name, thumbnail FROM projects WHERE thumbnail IS NOT NULL AND thumbnail != ''", (err, rows) => {
-      if (err) reject(err);
-      else resolve(rows);
-    });
-  });
-
-  console.log(`Found ${projects.length} projects with images\n`);
-  console.log('━'.repeat(80));
-
-  let totalSizeBefore = 0;
-  let totalSizeAfter = 0;
-  let processedCount = 0;
-  let errorCount = 0;
+  }
+  return options;
+}
 
-  for (let i = 0; i < projects.length; i++) {
-    const project = projects[i];
-    const num = `[${i + 1}/${projects.length}]`;
+const kb = bytes => `${(bytes / 1024).toFixed(1)} KB`;
 
-    try {
-      // Extract base64 data
-      let base64Data = project.thumbnail;
-      const matches = base64Data.match(/^data:image\/([a-zA-Z]*);base64,(.+)$/);
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error('❌', err.message);
+    console.log('Usage: node auto-optimize-images.js [--dry-run] [--project <id>]... [--min-kb <n>] [--resume]');
+    process.exit(1);
+  }
 
-      if (matches) {
-        base64Data = matches[2];
+  console.log('🚀 Auto Image Optimizer\n');
+  if (options.dryRun) console.log('🔍 Dry run - nothing will be written\n');
+
+  const db = await openDatabase();
+  try {
+    await assertSchemaCurrent(db);
+
+    const progress = options.dryRun ? null : openProgressLog(PROGRESS_FILE, { fresh: !options.resume });
+    if (progress) console.log(`📝 Progress log: ${PROGRESS_FILE}${options.resume ? ' (resuming)' : ''}\n`);
+    console.log('━'.repeat(80));
+
+    const { results, unknownIds, totals } = await optimizeThumbnails(createRepositories(db), {
+      ...options,
+      progress,
+      onResult: (r) => {
+        const name = (r.name || r.projectId).substring(0, 50);
+        if (r.status === 'optimized') {
+          const reduction = ((r.before - r.after) / r.before * 100).toFixed(1);
+          console.log(`✅ ${name}`);
+          console.log(`   ${kb(r.before)} → ${kb(r.after)} (${reduction}% reduction)`);
+        } else if (r.status === 'skipped') {
+          console.log(`⏭️  ${name} - ${r.reason}`);
+        } else {
+          console.log(`❌ ${name} - ${r.reason}`);
+        }
       }
+    });
 
-      // Convert to buffer
-      const originalBuffer = Buffer.from(base64Data, 'base64');
-      const originalSizeKB = (originalBuffer.length / 1024);
-      totalSizeBefore += originalSizeKB;
-
-      // Optimize image using sharp
-      const optimizedBuffer = await sharp(originalBuffer)
-        .resize(MAX_WIDTH, MAX_HEIGHT, {
-          fit: 'inside',
-          withoutEnlargement: true
-        })
-        .jpeg({ quality: QUALITY })
-        .toBuffer();
-
-      const optimizedSizeKB = (optimizedBuffer.length / 1024);
-      totalSizeAfter += optimizedSizeKB;
-
-      // Convert back to base64
-      const optimizedBase64 = `data:image/jpeg;base64,${optimizedBuffer.toString('base64')}`;
-
-      // Update database
-      await new Promise((resolve, reject) => {
-        db.run(
-          'UPDATE projects SET thumbnail = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-          [optimizedBase64, project.id],
-          function(err) {
-            if (err) {
-              reject(err);
-            } else {
-              resolve();
-            }
-          }
-        );
-      });
-
-      const reduction = ((originalSizeKB - optimizedSizeKB) / originalSizeKB * 100);
-      const projectName = project.name.substring(0, 50);
-
-      console.log(`✅ ${num} ${projectName}`);
-      console.log(`   ${originalSizeKB.toFixed(1)} KB → ${optimizedSizeKB.toFixed(1)} KB (${reduction.toFixed(1)}% reduction)`);
-
-      processedCount++;
-
-    } catch (error) {
-      console.error(`❌ ${num} Error processing ${project.name}:`);
-      console.error(`   ${error.message}`);
-      console.error(`   Stack: ${error.stack}`);
-      errorCount++;
+    console.log('━'.repeat(80));
+    unknownIds.forEach(id => console.log(`⚠️  No project "${id}"`));
+    console.log(`\n📊 Final Summary${options.dryRun ? ' (dry run)' : ''}:`);
+    console.log(`   ✅ ${options.dryRun ? 'Would optimize' : 'Optimized'}: ${totals.optimized}`);
+    console.log(`   ⏭️  Skipped: ${totals.skipped}`);
+    console.log(`   ⚠️  Changed during the run: ${totals.conflicts}`);
+    console.log(`   ❌ Errors: ${totals.failed}`);
+    if (totals.optimized > 0) {
+      console.log(`   💾 ${kb(totals.bytesBefore)} → ${kb(totals.bytesAfter)} (saved ${kb(totals.bytesBefore - totals.bytesAfter)})`);
+    }
+    if (results.some(r => r.status === 'conflict' || r.status === 'failed')) {
+      console.log('\n💡 Run again with --resume to retry the projects that did not finish');
     }
+  } catch (err) {
+    console.error('❌', err.message);
+    if (err instanceof MigrationError) {
+      console.error('💡 Run "npm run db:migrate" first');
+    }
+    process.exitCode = 1;
+  } finally {
+    await db.close();
   }
-
-  console.log('━'.repeat(80));
-  console.log('\n📊 Final Summary:');
-  console.log(`   ✅ Successfully optimized: ${processedCount}`);
-  console.log(`   ❌ Errors: ${errorCount}`);
-  console.log(`   💾 Total size before: ${(totalSizeBefore / 1024).toFixed(2)} MB`);
-  console.log(`   💾 Total size after: ${(totalSizeAfter / 1024).toFixed(2)} MB`);
-  console.log(`   📉 Total reduction: ${((totalSizeBefore - totalSizeAfter) / totalSizeBefore * 100).toFixed(1)}%`);
-  console.log(`   💰 Space saved: ${((totalSizeBefore - totalSizeAfter) / 1024).toFixed(2)} MB`);
-
-  // Check final database size
-  const dbStats = fs.statSync('./fenwick.db');
-  const dbSizeMB = (dbStats.size / (1024 * 1024)).toFixed(2);
-  console.log(`   📁 Current database size: ${dbSizeMB} MB`);
-
-  return { processedCount, errorCount };
 }
 
-// Run the processing
-processImages()
-  .then(() => {
-    db.close(() => {
-      console.log('\n✅ All done! Database updated successfully.');
-      console.log('\n📋 Next steps:');
-      console.log('   1. Test the app: npm start');
-      console.log('   2. Verify images display correctly');
-      console.log('   3. Run VACUUM to compact database (optional):');
-      console.log('      sqlite3 fenwick.db "VACUUM;"');
-    });
-  })
-  .catch((err) => {
-    console.error('❌ Fatal error:', err);
-    db.close();
-    process.exit(1);
-  });
+main();
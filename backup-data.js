@@ -2,15 +2,16 @@
 // Usage: node backup-data.js
 
 import fs from 'fs';
+import { API_URL, apiHeaders, inlineImages } from './api-client.js';
 
-const PRODUCTION_URL = 'https://fenwick-backend.onrender.com/api/data';
+const PRODUCTION_URL = `${API_URL}/data`;
 const BACKUP_FILE = 'backup-data.json';
 
 console.log('🔄 Fetching production data...');
 console.log(`📡 Source: ${PRODUCTION_URL}`);
 
 try {
-  const response = await fetch(PRODUCTION_URL);
+  const response = await fetch(PRODUCTION_URL, { headers: apiHeaders() });
 
   if (!response.ok) {
     throw new Error(`HTTP error! status: ${response.status}`);
@@ -18,6 +19,10 @@ try {
 
   const data = await response.json();
 
+  // Thumbnails are served separately; embed them so the backup stands on its own
+  console.log('🖼️  Downloading thumbnails...');
+  data.projects = await inlineImages(data.projects || []);
+
   // Write to file with pretty formatting
   fs.writeFileSync(BACKUP_FILE, JSON.stringify(data, null, 2));
 
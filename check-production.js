@@ -1,13 +1,12 @@
 import fetch from 'node-fetch';
-
-const API_URL = 'https://fenwick-backend.onrender.com/api';
+import { API_URL, apiHeaders } from './api-client.js';
 
 async function checkProduction() {
   console.log('🔍 Checking Production Database\n');
   console.log('═══════════════════════════════════════\n');
 
   try {
-    const response = await fetch(`${API_URL}/data`);
+    const response = await fetch(`${API_URL}/data`, { headers: apiHeaders() });
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
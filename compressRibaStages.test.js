@@ -3,44 +3,7 @@
  * Run with: node compressRibaStages.test.js
  */
 
-/**
- * Compresses an array of RIBA stage numbers into a formatted string
- * @param {number[]} nums - Array of stage numbers (0-7)
- * @returns {string | null} - Formatted string like "Stages 0–3, 5" or null if empty
- */
-function compressRibaStages(nums) {
-  if (!nums || nums.length === 0) return null;
-  
-  // Filter valid stages (0-7), sort, and remove duplicates
-  const sorted = [...new Set(nums.filter(n => n >= 0 && n <= 7))].sort((a, b) => a - b);
-  
-  if (sorted.length === 0) return null;
-  
-  const ranges = [];
-  let start = sorted[0];
-  let end = sorted[0];
-  
-  for (let i = 1; i <= sorted.length; i++) {
-    if (i < sorted.length && sorted[i] === end + 1) {
-      // Continue the range
-      end = sorted[i];
-    } else {
-      // End of range, add it
-      if (start === end) {
-        ranges.push(`${start}`);
-      } else {
-        ranges.push(`${start}–${end}`);
-      }
-      if (i < sorted.length) {
-        start = sorted[i];
-        end = sorted[i];
-      }
-    }
-  }
-  
-  const prefix = sorted.length === 1 ? "Stage " : "Stages ";
-  return prefix + ranges.join(", ");
-}
+import { compressRibaStages } from './timeline/stages.js';
 
 // Test cases
 const tests = [
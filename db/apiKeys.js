@@ -0,0 +1,54 @@
+// API key repository - keys for scripts. Only a SHA-256 hash of each key is stored,
+// so a key can be shown once when it is created and never again.
+
+import { toISOTimestamp } from './timestamps.js';
+
+function rowToApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    prefix: row.prefix,
+    createdAt: toISOTimestamp(row.created_at),
+    lastUsedAt: toISOTimestamp(row.last_used_at),
+    revokedAt: toISOTimestamp(row.revoked_at)
+  };
+}
+
+export function createApiKeyRepository(db) {
+  return {
+    async list() {
+      const rows = await db.all('SELECT * FROM api_keys ORDER BY id');
+      return rows.map(rowToApiKey);
+    },
+
+    async create({ name, role, prefix, keyHash }) {
+      const row = await db.get(
+        'INSERT INTO api_keys (name, role, prefix, key_hash) VALUES (?, ?, ?, ?) RETURNING id',
+        [name, role, prefix, keyHash]
+      );
+      return row.id;
+    },
+
+    // The active (not revoked) key with this hash, or null
+    async findByHash(keyHash) {
+      const row = await db.get(
+        'SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+        [keyHash]
+      );
+      return row ? rowToApiKey(row) : null;
+    },
+
+    async touch(id) {
+      await db.run('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    },
+
+    async revoke(id) {
+      const { changes } = await db.run(
+        'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+        [id]
+      );
+      return changes > 0;
+    }
+  };
+}
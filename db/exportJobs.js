@@ -0,0 +1,98 @@
+// Export job repository - background PDF and image exports (routes/exports.js).
+// Rows track each job's progress (queued, running, done or failed); finished files live in the configured media
+// storage (storage/index.js) under mediaKeys.export(id) until the job expires.
+
+import crypto from 'crypto';
+import { toISOTimestamp, toSqlTimestamp } from './timestamps.js';
+import { mediaStorageFor, mediaKeys } from '../storage/index.js';
+
+function rowToJob(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    status: row.status,
+    owner: row.owner,
+    filename: row.filename,
+    mimeType: row.mime_type,
+    byteSize: row.byte_size,
+    error: row.error,
+    createdAt: toISOTimestamp(row.created_at),
+    startedAt: toISOTimestamp(row.started_at),
+    finishedAt: toISOTimestamp(row.finished_at),
+    expiresAt: toISOTimestamp(row.expires_at)
+  };
+}
+
+export function createExportJobRepository(db, { storage = mediaStorageFor(db) } = {}) {
+  async function get(id) {
+    const row = await db.get('SELECT * FROM export_jobs WHERE id = ?', [id]);
+    return row ? rowToJob(row) : null;
+  }
+
+  return {
+    get,
+
+    // A new queued job; owner is whoever may read it back
+    async create({ kind, owner, expiresAt }) {
+      const id = crypto.randomUUID();
+      await db.run(
+        "INSERT INTO export_jobs (id, kind, status, owner, expires_at) VALUES (?, ?, 'queued', ?, ?)",
+        [id, kind, owner, toSqlTimestamp(expiresAt)]
+      );
+      return get(id);
+    },
+
+    async start(id) {
+      await db.run(
+        "UPDATE export_jobs SET status = 'running', started_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [id]
+      );
+    },
+
+    // Stores the file, then marks the job done: { data, mimeType, filename }
+    async finish(id, { data, mimeType, filename }) {
+      await storage.put(mediaKeys.export(id), data, { contentType: mimeType });
+      await db.run(
+        `UPDATE export_jobs SET status = 'done', filename = ?, mime_type = ?, byte_size = ?,
+         finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [filename, mimeType, data.length, id]
+      );
+    },
+
+    async fail(id, message) {
+      await db.run(
+        "UPDATE export_jobs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [message, id]
+      );
+    },
+
+    // Jobs queued or running when the server stopped will never finish -> how many were failed
+    async failUnfinished(message) {
+      const { changes } = await db.run(
+        `UPDATE export_jobs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP
+         WHERE status IN ('queued', 'running')`,
+        [message]
+      );
+      return changes;
+    },
+
+    // The finished file, or null
+    async readFile(id) {
+      return storage.get(mediaKeys.export(id));
+    },
+
+    // Deletes finished jobs (and their files) that expired before `now` -> their ids.
+    // Jobs still queued or running are left to finish first.
+    async removeExpired(now = new Date()) {
+      const rows = await db.all(
+        "SELECT id, status FROM export_jobs WHERE expires_at < ? AND status IN ('done', 'failed')",
+        [toSqlTimestamp(now)]
+      );
+      for (const { id, status } of rows) {
+        if (status === 'done') await storage.remove(mediaKeys.export(id));
+        await db.run('DELETE FROM export_jobs WHERE id = ?', [id]);
+      }
+      return rows.map(row => row.id);
+    }
+  };
+}
@@ -0,0 +1,170 @@
+// Image store - images keyed by the SHA-256 of their content, so the same image
+// is stored once however many projects (or revisions) use it. Projects hold the
+// image URL (/api/images/<id>) instead of an inline data URI. The bytes themselves
+// live in the media storage driver chosen by MEDIA_STORAGE (storage/index.js).
+
+import crypto from 'crypto';
+import { toISOTimestamp } from './timestamps.js';
+import { describeImage } from '../images/metadata.js';
+import { optimizeImage } from '../images/pipeline.js';
+import { mediaStorageFor, mediaKeys } from '../storage/index.js';
+
+export const IMAGE_URL_PREFIX = '/api/images/';
+
+const DATA_URI_PATTERN = /^data:(image\/[a-z0-9.+-]+);base64,(.*)$/is;
+const IMAGE_URL_PATTERN = /\/api\/images\/([0-9a-f]{64})$/;
+
+export function imageIdFor(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+export function imageUrl(id) {
+  return `${IMAGE_URL_PREFIX}${id}`;
+}
+
+// "/api/images/<id>" (or an absolute URL ending in it) -> id, anything else -> null
+export function imageIdFromUrl(url) {
+  const match = typeof url === 'string' ? url.match(IMAGE_URL_PATTERN) : null;
+  return match ? match[1] : null;
+}
+
+// "data:image/png;base64,..." -> { mimeType, data }, anything else -> null
+export function parseDataUri(value) {
+  const match = typeof value === 'string' ? value.match(DATA_URI_PATTERN) : null;
+  if (!match) return null;
+  return { mimeType: match[1].toLowerCase(), data: Buffer.from(match[2], 'base64') };
+}
+
+export function toDataUri({ mimeType, data }) {
+  return `data:${mimeType};base64,${Buffer.from(data).toString('base64')}`;
+}
+
+// Metadata columns -> the `thumbnailInfo` shape on projects. `prefix` is for
+// rows where the columns were selected under aliases (image_width, ...).
+export function rowToImageInfo(row, prefix = '') {
+  return {
+    width: row[`${prefix}width`],
+    height: row[`${prefix}height`],
+    format: row[`${prefix}format`],
+    byteSize: row[`${prefix}byte_size`],
+    dominantColor: row[`${prefix}dominant_color`],
+    blurhash: row[`${prefix}blurhash`]
+  };
+}
+
+// Rows hold what an image is; the bytes are in the configured media storage
+// (storage/index.js), written before the row so a row never points at nothing
+export function createImageRepository(db, { storage = mediaStorageFor(db) } = {}) {
+  async function load(key) {
+    const data = await storage.get(key);
+    if (!data) throw new Error(`Media object ${key} is missing from ${storage.name} storage`);
+    return data;
+  }
+
+  // Stores the image with its metadata (a no-op if it is already there) and returns its id
+  async function put({ mimeType, data }) {
+    const id = imageIdFor(data);
+    if (await db.get('SELECT id FROM images WHERE id = ?', [id])) return id;
+
+    const meta = await describeImage(data);
+    await storage.put(mediaKeys.image(id), data, { contentType: mimeType });
+    await db.run(
+      `INSERT INTO images (id, mime_type, byte_size, width, height, format, dominant_color, blurhash)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (id) DO NOTHING`,
+      [id, mimeType, data.length, meta.width, meta.height, meta.format, meta.dominantColor, meta.blurhash]
+    );
+    return id;
+  }
+
+  // The file an image was made from, kept as uploaded (see migration 008)
+  async function putOriginal(imageId, { mimeType, data }) {
+    if (await db.get('SELECT image_id FROM image_originals WHERE image_id = ?', [imageId])) return;
+    await storage.put(mediaKeys.original(imageId), data, { contentType: mimeType });
+    await db.run(
+      `INSERT INTO image_originals (image_id, mime_type, byte_size) VALUES (?, ?, ?)
+       ON CONFLICT (image_id) DO NOTHING`,
+      [imageId, mimeType, data.length]
+    );
+  }
+
+  return {
+    put,
+    putOriginal,
+
+    async get(id) {
+      const row = await db.get('SELECT * FROM images WHERE id = ?', [id]);
+      if (!row) return null;
+      return {
+        id: row.id,
+        mimeType: row.mime_type,
+        byteSize: row.byte_size,
+        data: await load(mediaKeys.image(id)),
+        ...rowToImageInfo(row),
+        createdAt: toISOTimestamp(row.created_at)
+      };
+    },
+
+    // Metadata only, without loading the image data
+    async getInfo(id) {
+      const row = await db.get(
+        'SELECT byte_size, width, height, format, dominant_color, blurhash FROM images WHERE id = ?',
+        [id]
+      );
+      return row ? rowToImageInfo(row) : null;
+    },
+
+    // Best available input for new variants: the original if we kept one, else the image itself
+    async getSource(id) {
+      const original = await db.get('SELECT mime_type FROM image_originals WHERE image_id = ?', [id]);
+      if (original) return { mimeType: original.mime_type, data: await load(mediaKeys.original(id)) };
+      const image = await db.get('SELECT mime_type FROM images WHERE id = ?', [id]);
+      return image ? { mimeType: image.mime_type, data: await load(mediaKeys.image(id)) } : null;
+    },
+
+    // A variant whose object has gone missing counts as not cached
+    async getVariant(id, { width, format }) {
+      const row = await db.get(
+        'SELECT mime_type, byte_size FROM image_variants WHERE image_id = ? AND width = ? AND format = ?',
+        [id, width, format]
+      );
+      const data = row && await storage.get(mediaKeys.variant(id, width, format));
+      return data ? { mimeType: row.mime_type, byteSize: row.byte_size, data } : null;
+    },
+
+    async putVariant(id, { width, format, mimeType, data }) {
+      await storage.put(mediaKeys.variant(id, width, format), data, { contentType: mimeType });
+      await db.run(
+        `INSERT INTO image_variants (image_id, width, format, mime_type, byte_size) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (image_id, width, format) DO NOTHING`,
+        [id, width, format, mimeType, data.length]
+      );
+    },
+
+    // Every stored object, as { key, contentType } - for copying between drivers
+    async listObjects() {
+      const images = await db.all('SELECT id, mime_type FROM images ORDER BY id');
+      const originals = await db.all('SELECT image_id, mime_type FROM image_originals ORDER BY image_id');
+      const variants = await db.all('SELECT image_id, width, format, mime_type FROM image_variants ORDER BY image_id');
+      return [
+        ...images.map(r => ({ key: mediaKeys.image(r.id), contentType: r.mime_type })),
+        ...originals.map(r => ({ key: mediaKeys.original(r.image_id), contentType: r.mime_type })),
+        ...variants.map(r => ({ key: mediaKeys.variant(r.image_id, r.width, r.format), contentType: r.mime_type }))
+      ];
+    },
+
+    // Moves an inline data URI into the store, optimized like an upload (the
+    // decoded file kept as the original), and returns its URL; any other value
+    // (a URL, '' or null) is returned unchanged. Only the raster formats the
+    // pipeline accepts get in (InvalidImageError otherwise) - an SVG would be
+    // served from the API origin with its scripts.
+    async storeDataUri(value) {
+      const image = parseDataUri(value);
+      if (!image) return value;
+      const optimized = await optimizeImage(image.data);
+      const id = await put(optimized);
+      await putOriginal(id, { mimeType: `image/${optimized.inputFormat}`, data: image.data });
+      return imageUrl(id);
+    }
+  };
+}
@@ -0,0 +1,64 @@
+// Database connection - the driver is chosen by configuration, not NODE_ENV
+//
+//   DB_DRIVER=sqlite|postgres   explicit choice
+//   DATABASE_URL=postgres://... implies postgres when DB_DRIVER is unset
+//   SQLITE_FILE=./fenwick.db    SQLite database file
+//   DATABASE_SSL=false          disable SSL for local PostgreSQL servers
+
+import { openSQLiteDatabase } from './sqlite.js';
+import { openPostgresDatabase } from './postgres.js';
+import { createProjectRepository } from './projects.js';
+import { createSettingsRepository } from './settings.js';
+import { createRevisionRepository } from './revisions.js';
+import { createUserRepository } from './users.js';
+import { createApiKeyRepository } from './apiKeys.js';
+import { createImageRepository } from './images.js';
+import { createMediaRepository } from './media.js';
+import { createExportJobRepository } from './exportJobs.js';
+
+const DRIVERS = ['sqlite', 'postgres'];
+
+export function resolveDriver(env = process.env) {
+  const driver = (env.DB_DRIVER || (env.DATABASE_URL ? 'postgres' : 'sqlite')).toLowerCase();
+  if (!DRIVERS.includes(driver)) {
+    throw new Error(`Unknown DB_DRIVER "${env.DB_DRIVER}" (expected one of: ${DRIVERS.join(', ')})`);
+  }
+  return driver;
+}
+
+export async function openDatabase(env = process.env) {
+  const driver = resolveDriver(env);
+
+  if (driver === 'postgres') {
+    if (!env.DATABASE_URL) {
+      throw new Error('DB_DRIVER=postgres requires DATABASE_URL');
+    }
+    const db = await openPostgresDatabase({
+      connectionString: env.DATABASE_URL,
+      ssl: env.DATABASE_SSL !== 'false'
+    });
+    console.log('✅ Using PostgreSQL database');
+    return db;
+  }
+
+  const filename = env.SQLITE_FILE || './fenwick.db';
+  const db = await openSQLiteDatabase(filename);
+  console.log(`✅ SQLite database connected! (${filename})`);
+  return db;
+}
+
+// Repositories bound to one connection. transaction(fn) hands fn the same set,
+// bound to a single database transaction.
+export function createRepositories(db) {
+  return {
+    projects: createProjectRepository(db),
+    settings: createSettingsRepository(db),
+    revisions: createRevisionRepository(db),
+    users: createUserRepository(db),
+    apiKeys: createApiKeyRepository(db),
+    images: createImageRepository(db),
+    media: createMediaRepository(db),
+    exportJobs: createExportJobRepository(db),
+    transaction: (fn) => db.transaction(tx => fn(createRepositories(tx)))
+  };
+}
@@ -0,0 +1,157 @@
+// Media repository - each project's gallery (project_media, migration 011).
+// Items point at images in the image store and are kept in `position` order,
+// 0 upwards without gaps. A gallery with any items has exactly one cover, and
+// the cover is the project's `thumbnail`: routes/media.js updates the thumbnail
+// when the cover changes, and project writes call adoptCover() for the reverse.
+
+import { toISOTimestamp } from './timestamps.js';
+import { rowToImageInfo, imageUrl } from './images.js';
+
+const SELECT_MEDIA = `SELECT project_media.*, images.width AS image_width, images.height AS image_height,
+  images.format AS image_format, images.byte_size AS image_byte_size,
+  images.dominant_color AS image_dominant_color, images.blurhash AS image_blurhash
+  FROM project_media JOIN images ON images.id = project_media.image_id`;
+
+// API field -> column for the editable text fields
+export const MEDIA_TEXT_COLUMNS = {
+  caption: 'caption',
+  credit: 'credit',
+  altText: 'alt_text'
+};
+
+// SQLite stores is_cover as 0/1, PostgreSQL as a boolean
+function rowToMedia(row) {
+  return {
+    id: row.id,
+    imageId: row.image_id,
+    url: imageUrl(row.image_id),
+    caption: row.caption,
+    credit: row.credit,
+    altText: row.alt_text,
+    position: row.position,
+    cover: Boolean(row.is_cover),
+    imageInfo: rowToImageInfo(row, 'image_'),
+    updatedAt: toISOTimestamp(row.updated_at)
+  };
+}
+
+export function createMediaRepository(db) {
+  async function list(projectId) {
+    const rows = await db.all(
+      `${SELECT_MEDIA} WHERE project_media.project_id = ? ORDER BY project_media.position`,
+      [projectId]
+    );
+    return rows.map(rowToMedia);
+  }
+
+  async function setCover(projectId, mediaId) {
+    await db.run('UPDATE project_media SET is_cover = (id = ?) WHERE project_id = ?', [mediaId, projectId]);
+  }
+
+  // Rewrites positions as 0, 1, 2... in the given order of ids
+  async function writePositions(ids) {
+    for (const [position, id] of ids.entries()) {
+      await db.run('UPDATE project_media SET position = ? WHERE id = ?', [position, id]);
+    }
+  }
+
+  // Appends an item and returns its id; the first item of a gallery becomes the cover
+  async function add(projectId, { imageId, caption = null, credit = null, altText = null, cover = false }) {
+    const { count, next } = await db.get(
+      'SELECT COUNT(*) AS count, COALESCE(MAX(position) + 1, 0) AS next FROM project_media WHERE project_id = ?',
+      [projectId]
+    );
+    const row = await db.get(
+      `INSERT INTO project_media (project_id, image_id, caption, credit, alt_text, position)
+       VALUES (?, ?, ?, ?, ?, ?) RETURNING id`,
+      [projectId, imageId, caption, credit, altText, next]
+    );
+    if (cover || Number(count) === 0) await setCover(projectId, row.id);
+    return row.id;
+  }
+
+  return {
+    list,
+    add,
+
+    // Every gallery at once, as projectId -> items
+    async listAll() {
+      const rows = await db.all(`${SELECT_MEDIA} ORDER BY project_media.project_id, project_media.position`);
+      const galleries = new Map();
+      for (const row of rows) {
+        if (!galleries.has(row.project_id)) galleries.set(row.project_id, []);
+        galleries.get(row.project_id).push(rowToMedia(row));
+      }
+      return galleries;
+    },
+
+    async get(projectId, mediaId) {
+      const row = await db.get(
+        `${SELECT_MEDIA} WHERE project_media.project_id = ? AND project_media.id = ?`,
+        [projectId, mediaId]
+      );
+      return row ? rowToMedia(row) : null;
+    },
+
+    async cover(projectId) {
+      return (await list(projectId)).find(item => item.cover) ?? null;
+    },
+
+    // Makes the image the cover. An image already in the gallery just becomes the
+    // cover; a new one replaces the current cover's image in place (a new thumbnail
+    // is a replacement, not an addition), or starts the gallery.
+    async adoptCover(projectId, imageId) {
+      const existing = await db.get(
+        'SELECT id FROM project_media WHERE project_id = ? AND image_id = ? ORDER BY position LIMIT 1',
+        [projectId, imageId]
+      );
+      if (existing) return setCover(projectId, existing.id);
+
+      const { changes } = await db.run(
+        `UPDATE project_media SET image_id = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE project_id = ? AND is_cover = ?`,
+        [imageId, projectId, true]
+      );
+      if (changes === 0) await add(projectId, { imageId });
+    },
+
+    // Changes caption, credit and altText (whichever are given); false if there is no such item
+    async update(projectId, mediaId, changes) {
+      const fields = Object.keys(MEDIA_TEXT_COLUMNS).filter(field => changes[field] !== undefined);
+      const assignments = fields.map(field => `${MEDIA_TEXT_COLUMNS[field]} = ?, `).join('');
+      const { changes: updated } = await db.run(
+        `UPDATE project_media SET ${assignments}updated_at = CURRENT_TIMESTAMP WHERE project_id = ? AND id = ?`,
+        [...fields.map(field => changes[field]), projectId, mediaId]
+      );
+      if (updated > 0 && changes.cover === true) await setCover(projectId, mediaId);
+      return updated > 0;
+    },
+
+    // Removing the cover passes it to the first remaining item
+    async remove(projectId, mediaId) {
+      const { changes } = await db.run('DELETE FROM project_media WHERE project_id = ? AND id = ?', [projectId, mediaId]);
+      if (changes === 0) return false;
+      const remaining = await list(projectId);
+      await writePositions(remaining.map(item => item.id));
+      if (remaining.length > 0 && !remaining.some(item => item.cover)) {
+        await setCover(projectId, remaining[0].id);
+      }
+      return true;
+    },
+
+    // `ids` must name every item of the gallery exactly once; false otherwise
+    async reorder(projectId, ids) {
+      const current = (await list(projectId)).map(item => item.id);
+      if (ids.length !== current.length || new Set(ids).size !== ids.length
+          || !ids.every(id => current.includes(id))) {
+        return false;
+      }
+      await writePositions(ids);
+      return true;
+    },
+
+    async removeAll(projectId) {
+      await db.run('DELETE FROM project_media WHERE project_id = ?', [projectId]);
+    }
+  };
+}
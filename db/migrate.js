@@ -0,0 +1,169 @@
+// Versioned schema migrations
+//
+// Each file in db/migrations is named NNN_description.js and exports
+// `up(db)` and `down(db)`; branch on `db.dialect` where SQLite and
+// PostgreSQL differ. Every step runs in its own transaction and is
+// recorded in the schema_migrations table.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const FILE_PATTERN = /^(\d{3})_(.+)\.js$/;
+
+export class MigrationError extends Error {
+  constructor(message, { pending = [], failed = [] } = {}) {
+    super(message);
+    this.name = 'MigrationError';
+    this.pending = pending;
+    this.failed = failed;
+  }
+}
+
+// Column names of a table, for migrations that need to inspect an existing schema
+export async function tableColumns(db, table) {
+  if (db.dialect === 'postgres') {
+    const rows = await db.all(
+      'SELECT column_name FROM information_schema.columns WHERE table_name = ?',
+      [table]
+    );
+    return rows.map(row => row.column_name);
+  }
+  const rows = await db.all(`PRAGMA table_info(${table})`);
+  return rows.map(row => row.name);
+}
+
+export async function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(file => FILE_PATTERN.test(file)).sort();
+
+  return Promise.all(files.map(async (file) => {
+    const [, version, name] = file.match(FILE_PATTERN);
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    return {
+      version: Number(version),
+      name,
+      description: module.description || name,
+      up: module.up,
+      down: module.down
+    };
+  }));
+}
+
+async function ensureMigrationsTable(db) {
+  const timestamp = db.dialect === 'postgres' ? 'TIMESTAMP' : 'DATETIME';
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      status TEXT NOT NULL,
+      error TEXT,
+      applied_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function recordMigration(db, migration, status, error = null) {
+  await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+  await db.run(
+    'INSERT INTO schema_migrations (version, name, status, error) VALUES (?, ?, ?, ?)',
+    [migration.version, migration.name, status, error]
+  );
+}
+
+// One entry per known migration: status is 'applied', 'failed' or 'pending'.
+// Rows for migrations whose file no longer exists are reported as 'missing'.
+export async function getMigrationStatus(db) {
+  await ensureMigrationsTable(db);
+  const migrations = await loadMigrations();
+  const rows = await db.all('SELECT * FROM schema_migrations ORDER BY version');
+  const recorded = new Map(rows.map(row => [Number(row.version), row]));
+
+  const status = migrations.map(migration => {
+    const row = recorded.get(migration.version);
+    recorded.delete(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      status: row ? row.status : 'pending',
+      appliedAt: row?.applied_at || null,
+      error: row?.error || null
+    };
+  });
+
+  for (const row of recorded.values()) {
+    status.push({
+      version: Number(row.version),
+      name: row.name,
+      description: row.name,
+      status: 'missing',
+      appliedAt: row.applied_at,
+      error: row.error
+    });
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+// Apply pending (and previously failed) migrations in order, optionally stopping at `to`
+export async function migrateUp(db, { to = Infinity } = {}) {
+  const status = await getMigrationStatus(db);
+  const done = new Set(status.filter(m => m.status === 'applied').map(m => m.version));
+  const migrations = (await loadMigrations())
+    .filter(m => !done.has(m.version) && m.version <= to);
+
+  const applied = [];
+  for (const migration of migrations) {
+    console.log(`⬆️  Applying ${migration.version} ${migration.name}...`);
+    try {
+      await db.transaction(async (tx) => {
+        await migration.up(tx);
+        await recordMigration(tx, migration, 'applied');
+      });
+    } catch (err) {
+      await recordMigration(db, migration, 'failed', err.message);
+      throw new MigrationError(`Migration ${migration.version} ${migration.name} failed: ${err.message}`, {
+        failed: [migration.version]
+      });
+    }
+    applied.push(migration.version);
+  }
+  return applied;
+}
+
+// Roll back the most recently applied migrations, newest first
+export async function migrateDown(db, { steps = 1 } = {}) {
+  const status = await getMigrationStatus(db);
+  const migrations = new Map((await loadMigrations()).map(m => [m.version, m]));
+  const targets = status.filter(m => m.status === 'applied').reverse().slice(0, steps);
+
+  const rolledBack = [];
+  for (const { version, name } of targets) {
+    const migration = migrations.get(version);
+    if (!migration) {
+      throw new MigrationError(`Cannot roll back ${version} ${name}: migration file is missing`);
+    }
+    console.log(`⬇️  Rolling back ${version} ${name}...`);
+    await db.transaction(async (tx) => {
+      await migration.down(tx);
+      await tx.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    });
+    rolledBack.push(version);
+  }
+  return rolledBack;
+}
+
+// Throws unless every migration has been applied successfully
+export async function assertSchemaCurrent(db) {
+  const status = await getMigrationStatus(db);
+  const pending = status.filter(m => m.status === 'pending').map(m => m.version);
+  const failed = status.filter(m => m.status === 'failed').map(m => m.version);
+
+  if (failed.length > 0) {
+    throw new MigrationError(`Failed migrations: ${failed.join(', ')}`, { pending, failed });
+  }
+  if (pending.length > 0) {
+    throw new MigrationError(`Pending migrations: ${pending.join(', ')}`, { pending, failed });
+  }
+}
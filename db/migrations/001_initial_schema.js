@@ -0,0 +1,48 @@
+// Projects and settings tables.
+// Uses IF NOT EXISTS so databases created before migrations existed are adopted as-is;
+// 002 brings their columns up to date.
+
+export const description = 'Create projects and settings tables';
+
+export async function up(db) {
+  const pg = db.dialect === 'postgres';
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS projects (
+      id TEXT PRIMARY KEY,
+      number INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      practice_name TEXT,
+      brief_description TEXT,
+      client TEXT,
+      value TEXT,
+      area TEXT,
+      location TEXT,
+      project_types TEXT NOT NULL,
+      type_color TEXT NOT NULL,
+      thumbnail TEXT,
+      notes TEXT,
+      stages TEXT NOT NULL,
+      pauses TEXT,
+      responsibilities TEXT,
+      completed ${pg ? 'BOOLEAN DEFAULT FALSE' : 'INTEGER DEFAULT 0'},
+      created_at ${pg ? 'TIMESTAMP' : 'DATETIME'} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${pg ? 'TIMESTAMP' : 'DATETIME'} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS settings (
+      id ${pg ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+      start_year INTEGER DEFAULT 2011,
+      end_year INTEGER DEFAULT 2026,
+      color_map TEXT NOT NULL,
+      project_type_colors TEXT
+    )
+  `);
+}
+
+export async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS settings');
+  await db.exec('DROP TABLE IF EXISTS projects');
+}
@@ -0,0 +1,83 @@
+// Upgrades projects tables created by older server versions:
+// the single `type` column becomes the project_types JSON array, and
+// responsibilities/completed are added where missing. No-op on fresh databases.
+
+import { tableColumns } from '../migrate.js';
+
+export const description = 'Upgrade legacy projects columns (type -> project_types, responsibilities, completed)';
+
+async function replaceTypeColumn(db) {
+  if (db.dialect === 'postgres') {
+    await db.exec(`
+      ALTER TABLE projects
+      ADD COLUMN IF NOT EXISTS practice_name TEXT,
+      ADD COLUMN IF NOT EXISTS brief_description TEXT,
+      ADD COLUMN IF NOT EXISTS project_types TEXT
+    `);
+    await db.run(`
+      UPDATE projects SET project_types = '["' || type || '"]'
+      WHERE project_types IS NULL OR project_types = ''
+    `);
+    await db.exec('ALTER TABLE projects DROP COLUMN type');
+    return;
+  }
+
+  // Older SQLite versions cannot drop columns, so rebuild the table
+  await db.exec(`
+    CREATE TABLE projects_new (
+      id TEXT PRIMARY KEY,
+      number INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      practice_name TEXT,
+      brief_description TEXT,
+      client TEXT,
+      value TEXT,
+      area TEXT,
+      location TEXT,
+      project_types TEXT NOT NULL,
+      type_color TEXT NOT NULL,
+      thumbnail TEXT,
+      notes TEXT,
+      stages TEXT NOT NULL,
+      pauses TEXT,
+      responsibilities TEXT,
+      completed INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.run(`
+    INSERT INTO projects_new
+    (id, number, name, practice_name, brief_description, client, value, area, location,
+     project_types, type_color, thumbnail, notes, stages, pauses, responsibilities, completed, created_at, updated_at)
+    SELECT
+      id, number, name, NULL, NULL, client, value, area, location,
+      '["' || type || '"]',
+      type_color, thumbnail, notes, stages, pauses, NULL, 0, created_at, updated_at
+    FROM projects
+  `);
+  await db.exec('DROP TABLE projects');
+  await db.exec('ALTER TABLE projects_new RENAME TO projects');
+}
+
+export async function up(db) {
+  let columns = await tableColumns(db, 'projects');
+
+  if (columns.includes('type')) {
+    console.log('📦 Migrating from single type to project_types...');
+    await replaceTypeColumn(db);
+    columns = await tableColumns(db, 'projects');
+  }
+
+  if (!columns.includes('responsibilities')) {
+    await db.exec('ALTER TABLE projects ADD COLUMN responsibilities TEXT');
+  }
+
+  if (!columns.includes('completed')) {
+    const type = db.dialect === 'postgres' ? 'BOOLEAN DEFAULT FALSE' : 'INTEGER DEFAULT 0';
+    await db.exec(`ALTER TABLE projects ADD COLUMN completed ${type}`);
+  }
+}
+
+// The legacy layout is not worth restoring; 001's down drops the table entirely
+export async function down() {}
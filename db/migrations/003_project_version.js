@@ -0,0 +1,11 @@
+// Row version for optimistic concurrency: bumped on every update, exposed as the ETag
+
+export const description = 'Add projects.version for ETags / If-Match';
+
+export async function up(db) {
+  await db.exec('ALTER TABLE projects ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+}
+
+export async function down(db) {
+  await db.exec('ALTER TABLE projects DROP COLUMN version');
+}
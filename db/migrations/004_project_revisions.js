@@ -0,0 +1,24 @@
+// Revision history: every update or delete first copies the previous project here
+
+export const description = 'Create project_revisions for history and restore';
+
+export async function up(db) {
+  const pg = db.dialect === 'postgres';
+
+  await db.exec(`
+    CREATE TABLE project_revisions (
+      id ${pg ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT'},
+      project_id TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      source TEXT NOT NULL,
+      document TEXT NOT NULL,
+      created_at ${pg ? 'TIMESTAMP' : 'DATETIME'} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.exec('CREATE INDEX project_revisions_project_id ON project_revisions (project_id)');
+}
+
+export async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS project_revisions');
+}
@@ -0,0 +1,14 @@
+// Soft delete: a deleted project keeps its row, stamped with deleted_at, until purged
+
+export const description = 'Add projects.deleted_at for the trash';
+
+export async function up(db) {
+  const pg = db.dialect === 'postgres';
+  await db.exec(`ALTER TABLE projects ADD COLUMN deleted_at ${pg ? 'TIMESTAMP' : 'DATETIME'}`);
+}
+
+export async function down(db) {
+  // Trashed rows would reappear as live projects once the column is gone
+  await db.run('DELETE FROM projects WHERE deleted_at IS NOT NULL');
+  await db.exec('ALTER TABLE projects DROP COLUMN deleted_at');
+}
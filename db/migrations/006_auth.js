@@ -0,0 +1,39 @@
+// Accounts for the frontend (username + password, signed in with a JWT) and
+// API keys for scripts. Both carry a role: viewer, editor or admin.
+
+export const description = 'Create users and api_keys for authentication';
+
+export async function up(db) {
+  const pg = db.dialect === 'postgres';
+  const id = pg ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+  const timestamp = pg ? 'TIMESTAMP' : 'DATETIME';
+
+  await db.exec(`
+    CREATE TABLE users (
+      id ${id},
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Only a hash of each key is stored; the prefix lets people tell keys apart
+  await db.exec(`
+    CREATE TABLE api_keys (
+      id ${id},
+      name TEXT NOT NULL,
+      role TEXT NOT NULL,
+      prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      last_used_at ${timestamp},
+      revoked_at ${timestamp}
+    )
+  `);
+}
+
+export async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS api_keys');
+  await db.exec('DROP TABLE IF EXISTS users');
+}
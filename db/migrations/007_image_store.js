@@ -0,0 +1,74 @@
+// Image store: moves inline base64 thumbnails out of projects (and revision copies)
+// into the content-addressed images table, leaving /api/images/<id> URLs behind.
+// Rows are converted one at a time so large databases never load every image at once.
+
+import { parseDataUri, imageIdFor, imageIdFromUrl, imageUrl, toDataUri } from '../images.js';
+
+export const description = 'Create images table and move inline thumbnails into it';
+
+async function storeImage(db, image) {
+  const id = imageIdFor(image.data);
+  await db.run(
+    'INSERT INTO images (id, mime_type, byte_size, data) VALUES (?, ?, ?, ?) ON CONFLICT (id) DO NOTHING',
+    [id, image.mimeType, image.data.length, image.data]
+  );
+  return imageUrl(id);
+}
+
+export async function up(db) {
+  const pg = db.dialect === 'postgres';
+
+  await db.exec(`
+    CREATE TABLE images (
+      id TEXT PRIMARY KEY,
+      mime_type TEXT NOT NULL,
+      byte_size INTEGER NOT NULL,
+      data ${pg ? 'BYTEA' : 'BLOB'} NOT NULL,
+      created_at ${pg ? 'TIMESTAMP' : 'DATETIME'} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const projects = await db.all("SELECT id FROM projects WHERE thumbnail LIKE 'data:%'");
+  for (const { id } of projects) {
+    const { thumbnail } = await db.get('SELECT thumbnail FROM projects WHERE id = ?', [id]);
+    const image = parseDataUri(thumbnail);
+    if (image) {
+      await db.run('UPDATE projects SET thumbnail = ? WHERE id = ?', [await storeImage(db, image), id]);
+    }
+  }
+
+  const revisions = await db.all("SELECT id FROM project_revisions WHERE document LIKE '%\"thumbnail\":\"data:%'");
+  for (const { id } of revisions) {
+    const { document } = await db.get('SELECT document FROM project_revisions WHERE id = ?', [id]);
+    const project = JSON.parse(document);
+    const image = parseDataUri(project.thumbnail);
+    if (image) {
+      project.thumbnail = await storeImage(db, image);
+      await db.run('UPDATE project_revisions SET document = ? WHERE id = ?', [JSON.stringify(project), id]);
+    }
+  }
+}
+
+// Puts the data URIs back into projects and revisions before dropping the table
+export async function down(db) {
+  const inline = async (url) => {
+    const id = imageIdFromUrl(url);
+    const row = id && await db.get('SELECT mime_type, data FROM images WHERE id = ?', [id]);
+    return row ? toDataUri({ mimeType: row.mime_type, data: row.data }) : url;
+  };
+
+  const projects = await db.all("SELECT id, thumbnail FROM projects WHERE thumbnail LIKE '%/api/images/%'");
+  for (const { id, thumbnail } of projects) {
+    await db.run('UPDATE projects SET thumbnail = ? WHERE id = ?', [await inline(thumbnail), id]);
+  }
+
+  const revisions = await db.all("SELECT id FROM project_revisions WHERE document LIKE '%/api/images/%'");
+  for (const { id } of revisions) {
+    const { document } = await db.get('SELECT document FROM project_revisions WHERE id = ?', [id]);
+    const project = JSON.parse(document);
+    project.thumbnail = await inline(project.thumbnail);
+    await db.run('UPDATE project_revisions SET document = ? WHERE id = ?', [JSON.stringify(project), id]);
+  }
+
+  await db.exec('DROP TABLE images');
+}
@@ -0,0 +1,41 @@
+// Originals and resized variants for the image store. An upload keeps the file
+// exactly as it was sent next to the optimized image, so new sizes and formats
+// can be made from full quality later. Variants are a cache: any row can be
+// deleted and is rebuilt on the next request.
+
+export const description = 'Create image_originals and image_variants';
+
+export async function up(db) {
+  const pg = db.dialect === 'postgres';
+  const blob = pg ? 'BYTEA' : 'BLOB';
+  const timestamp = pg ? 'TIMESTAMP' : 'DATETIME';
+
+  // Keyed by the optimized image's id; never served directly (it may carry EXIF/GPS data)
+  await db.exec(`
+    CREATE TABLE image_originals (
+      image_id TEXT PRIMARY KEY REFERENCES images (id) ON DELETE CASCADE,
+      mime_type TEXT NOT NULL,
+      byte_size INTEGER NOT NULL,
+      data ${blob} NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.exec(`
+    CREATE TABLE image_variants (
+      image_id TEXT NOT NULL REFERENCES images (id) ON DELETE CASCADE,
+      width INTEGER NOT NULL,
+      format TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      byte_size INTEGER NOT NULL,
+      data ${blob} NOT NULL,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (image_id, width, format)
+    )
+  `);
+}
+
+export async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS image_variants');
+  await db.exec('DROP TABLE IF EXISTS image_originals');
+}
@@ -0,0 +1,36 @@
+// Per-image metadata (see images/metadata.js): dimensions, format, dominant colour
+// and a blurhash placeholder. Existing images are described one at a time.
+
+import { describeImage } from '../../images/metadata.js';
+
+export const description = 'Add image metadata columns and fill them for existing images';
+
+const COLUMNS = [
+  ['width', 'INTEGER'],
+  ['height', 'INTEGER'],
+  ['format', 'TEXT'],
+  ['dominant_color', 'TEXT'],
+  ['blurhash', 'TEXT']
+];
+
+export async function up(db) {
+  for (const [column, type] of COLUMNS) {
+    await db.exec(`ALTER TABLE images ADD COLUMN ${column} ${type}`);
+  }
+
+  const images = await db.all('SELECT id FROM images');
+  for (const { id } of images) {
+    const { data } = await db.get('SELECT data FROM images WHERE id = ?', [id]);
+    const meta = await describeImage(data);
+    await db.run(
+      'UPDATE images SET width = ?, height = ?, format = ?, dominant_color = ?, blurhash = ? WHERE id = ?',
+      [meta.width, meta.height, meta.format, meta.dominantColor, meta.blurhash, id]
+    );
+  }
+}
+
+export async function down(db) {
+  for (const [column] of [...COLUMNS].reverse()) {
+    await db.exec(`ALTER TABLE images DROP COLUMN ${column}`);
+  }
+}
@@ -0,0 +1,80 @@
+// Media storage drivers (see storage/index.js): image bytes move out of the
+// images, image_originals and image_variants rows into media_objects, the
+// table behind the default "database" driver. From there
+// `npm run media:migrate -- --to s3` copies them to another driver.
+// Rows are moved one at a time so large databases never load every image at once.
+
+import { mediaKeys } from '../../storage/index.js';
+
+export const description = 'Move image bytes into media_objects for the media storage drivers';
+
+// table -> key of each row's object
+const TABLES = {
+  images: { id: 'id', key: row => mediaKeys.image(row.id) },
+  image_originals: { id: 'image_id', key: row => mediaKeys.original(row.image_id) },
+  image_variants: {
+    id: 'image_id, width, format',
+    key: row => mediaKeys.variant(row.image_id, row.width, row.format)
+  }
+};
+
+function whereRow(table, row) {
+  const columns = TABLES[table].id.split(', ');
+  return { sql: columns.map(c => `${c} = ?`).join(' AND '), params: columns.map(c => row[c]) };
+}
+
+export async function up(db) {
+  const pg = db.dialect === 'postgres';
+
+  await db.exec(`
+    CREATE TABLE media_objects (
+      key TEXT PRIMARY KEY,
+      byte_size INTEGER NOT NULL,
+      data ${pg ? 'BYTEA' : 'BLOB'} NOT NULL,
+      created_at ${pg ? 'TIMESTAMP' : 'DATETIME'} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  for (const [table, { id, key }] of Object.entries(TABLES)) {
+    for (const row of await db.all(`SELECT ${id} FROM ${table}`)) {
+      const where = whereRow(table, row);
+      const { data } = await db.get(`SELECT data FROM ${table} WHERE ${where.sql}`, where.params);
+      await db.run(
+        'INSERT INTO media_objects (key, byte_size, data) VALUES (?, ?, ?) ON CONFLICT (key) DO NOTHING',
+        [key(row), data.length, data]
+      );
+    }
+    await db.exec(`ALTER TABLE ${table} DROP COLUMN data`);
+  }
+}
+
+// Only possible while every image is in the database driver - copy them back
+// with `npm run media:migrate -- --to database` first. Variants are a cache:
+// the ones that are missing are simply dropped.
+export async function down(db) {
+  const blob = db.dialect === 'postgres' ? 'BYTEA' : 'BLOB';
+
+  for (const table of ['images', 'image_originals']) {
+    const { id, key } = TABLES[table];
+    for (const row of await db.all(`SELECT ${id} FROM ${table}`)) {
+      if (!(await db.get('SELECT key FROM media_objects WHERE key = ?', [key(row)]))) {
+        throw new Error(`${key(row)} is not in the database media storage - run "npm run media:migrate -- --to database" first`);
+      }
+    }
+  }
+
+  for (const [table, { id, key }] of Object.entries(TABLES)) {
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN data ${blob}`);
+    for (const row of await db.all(`SELECT ${id} FROM ${table}`)) {
+      const where = whereRow(table, row);
+      const object = await db.get('SELECT data FROM media_objects WHERE key = ?', [key(row)]);
+      if (object) {
+        await db.run(`UPDATE ${table} SET data = ? WHERE ${where.sql}`, [object.data, ...where.params]);
+      } else {
+        await db.run(`DELETE FROM ${table} WHERE ${where.sql}`, where.params);
+      }
+    }
+  }
+
+  await db.exec('DROP TABLE media_objects');
+}
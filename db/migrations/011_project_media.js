@@ -0,0 +1,41 @@
+// Project media: an ordered gallery of images per project, each with a caption,
+// credit and alt text. One item is the cover, whose URL the project keeps in
+// `thumbnail` for the timeline. Every project whose thumbnail is already in the
+// image store starts with that image as its cover.
+
+import { IMAGE_URL_PREFIX } from '../images.js';
+
+export const description = 'Create project_media and seed it with the current thumbnails';
+
+export async function up(db) {
+  const pg = db.dialect === 'postgres';
+  const id = pg ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+  const timestamp = pg ? 'TIMESTAMP' : 'DATETIME';
+
+  await db.exec(`
+    CREATE TABLE project_media (
+      id ${id},
+      project_id TEXT NOT NULL,
+      image_id TEXT NOT NULL REFERENCES images (id),
+      caption TEXT,
+      credit TEXT,
+      alt_text TEXT,
+      position INTEGER NOT NULL,
+      is_cover ${pg ? 'BOOLEAN NOT NULL DEFAULT FALSE' : 'INTEGER NOT NULL DEFAULT 0'},
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.exec('CREATE INDEX project_media_project_id ON project_media (project_id, position)');
+
+  await db.run(
+    `INSERT INTO project_media (project_id, image_id, position, is_cover)
+     SELECT projects.id, images.id, 0, ${pg ? 'TRUE' : '1'}
+     FROM projects JOIN images ON images.id = substr(projects.thumbnail, ${IMAGE_URL_PREFIX.length + 1})
+     WHERE projects.thumbnail LIKE '${IMAGE_URL_PREFIX}%'`
+  );
+}
+
+export async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS project_media');
+}
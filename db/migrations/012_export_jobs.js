@@ -0,0 +1,38 @@
+// Export jobs: PDFs and images rendered in the background for POST /api/exports.
+// A row tracks a job from queued to done or failed; the finished file is kept
+// in the media storage (storage/index.js) until the job expires.
+
+import { mediaStorageFor, mediaKeys } from '../../storage/index.js';
+
+export const description = 'Create export_jobs for background exports';
+
+export async function up(db) {
+  const timestamp = db.dialect === 'postgres' ? 'TIMESTAMP' : 'DATETIME';
+
+  await db.exec(`
+    CREATE TABLE export_jobs (
+      id TEXT PRIMARY KEY,
+      kind TEXT NOT NULL,
+      status TEXT NOT NULL,
+      owner TEXT NOT NULL,
+      filename TEXT,
+      mime_type TEXT,
+      byte_size INTEGER,
+      error TEXT,
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+      started_at ${timestamp},
+      finished_at ${timestamp},
+      expires_at ${timestamp} NOT NULL
+    )
+  `);
+  await db.exec('CREATE INDEX export_jobs_expires_at ON export_jobs (expires_at)');
+}
+
+// The files go too, so none are left behind in external storage
+export async function down(db) {
+  const storage = mediaStorageFor(db);
+  for (const { id } of await db.all("SELECT id FROM export_jobs WHERE status = 'done'")) {
+    await storage.remove(mediaKeys.export(id));
+  }
+  await db.exec('DROP TABLE export_jobs');
+}
@@ -0,0 +1,65 @@
+// PostgreSQL driver adapter - exposes a pg Pool through the shared promise interface
+import pg from 'pg';
+const { Pool } = pg;
+
+// Queries are written once with SQLite-style `?` placeholders;
+// PostgreSQL wants numbered `$1, $2, ...` parameters instead.
+export function toPostgresPlaceholders(sql) {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+}
+
+function wrapClient(client) {
+  const query = (sql, params = []) => client.query(toPostgresPlaceholders(sql), params);
+
+  return {
+    dialect: 'postgres',
+    async all(sql, params) {
+      return (await query(sql, params)).rows;
+    },
+    async get(sql, params) {
+      return (await query(sql, params)).rows[0];
+    },
+    async run(sql, params) {
+      return { changes: (await query(sql, params)).rowCount };
+    },
+    async exec(sql) {
+      await client.query(sql);
+    }
+  };
+}
+
+export async function openPostgresDatabase({ connectionString, ssl }) {
+  const pool = new Pool({
+    connectionString,
+    ssl: ssl ? { rejectUnauthorized: false } : false
+  });
+
+  // Fail fast on bad credentials instead of on the first request
+  await pool.query('SELECT 1');
+
+  return {
+    ...wrapClient(pool),
+
+    async transaction(fn) {
+      const client = await pool.connect();
+      const tx = wrapClient(client);
+      tx.transaction = (inner) => inner(tx);
+      try {
+        await client.query('BEGIN');
+        const result = await fn(tx);
+        await client.query('COMMIT');
+        return result;
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+
+    close() {
+      return pool.end();
+    }
+  };
+}
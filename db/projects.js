@@ -0,0 +1,470 @@
+// Project repository - the only place that knows how projects are stored
+
+import { projectSpan, isActiveDuring } from '../timeline/stages.js';
+import { toISOTimestamp, toSqlTimestamp } from './timestamps.js';
+import { createRevisionRepository } from './revisions.js';
+import { createImageRepository, rowToImageInfo, imageIdFromUrl, IMAGE_URL_PREFIX } from './images.js';
+import { createMediaRepository } from './media.js';
+
+// API field -> column, also used for `fields=` projections
+const FIELD_COLUMNS = {
+  id: 'id',
+  number: 'number',
+  name: 'name',
+  practiceName: 'practice_name',
+  briefDescription: 'brief_description',
+  client: 'client',
+  value: 'value',
+  area: 'area',
+  location: 'location',
+  projectTypes: 'project_types',
+  typeColor: 'type_color',
+  thumbnail: 'thumbnail',
+  notes: 'notes',
+  stages: 'stages',
+  pauses: 'pauses',
+  responsibilities: 'responsibilities',
+  completed: 'completed'
+};
+
+// Maintained by the database; returned to clients but never written from a payload
+const READ_ONLY_COLUMNS = {
+  version: 'version',
+  updatedAt: 'updated_at'
+};
+
+const COLUMNS = Object.values(FIELD_COLUMNS);
+Object.assign(FIELD_COLUMNS, READ_ONLY_COLUMNS);
+
+// Read-only too: metadata of the thumbnail, joined in from the image store
+const IMAGE_INFO_COLUMNS = ['width', 'height', 'format', 'byte_size', 'dominant_color', 'blurhash']
+  .map(column => `images.${column} AS image_${column}`)
+  .join(', ');
+const FROM_PROJECTS = `projects LEFT JOIN images ON projects.thumbnail LIKE '${IMAGE_URL_PREFIX}%'
+  AND images.id = substr(projects.thumbnail, ${IMAGE_URL_PREFIX.length + 1})`;
+
+// ...and the gallery (db/media.js), loaded separately
+export const PROJECT_FIELDS = [...Object.keys(FIELD_COLUMNS), 'thumbnailInfo', 'media'];
+export const READ_ONLY_FIELDS = [...Object.keys(READ_ONLY_COLUMNS), 'thumbnailInfo', 'media'];
+
+// Select list for a `fields=` projection (null = everything)
+function selectColumns(fields) {
+  if (!fields) return `projects.*, ${IMAGE_INFO_COLUMNS}`;
+  return fields
+    .filter(field => field !== 'media')
+    .map(field => field === 'thumbnailInfo' ? IMAGE_INFO_COLUMNS : `projects.${FIELD_COLUMNS[field]}`)
+    .join(', ');
+}
+
+const wantsMedia = fields => !fields || fields.includes('media');
+
+// Adds each project's gallery, read in one query
+async function withMedia(db, projects) {
+  const galleries = await createMediaRepository(db).listAll();
+  return projects.map(project => ({ ...project, media: galleries.get(project.id) ?? [] }));
+}
+
+// Always loaded by query(), whatever the projection, because filters and sorting read them
+const QUERY_FIELDS = ['id', 'number', 'name', 'practiceName', 'location', 'projectTypes', 'stages', 'completed'];
+
+export const SORT_KEYS = {
+  number: p => p.number,
+  name: p => (p.name || '').toLowerCase(),
+  start: p => projectSpan(p.stages)?.start ?? null
+};
+
+function parseJSON(text, fallback) {
+  return text ? JSON.parse(text) : fallback;
+}
+
+// Database row -> API shape. SQLite stores `completed` as 0/1, PostgreSQL as a boolean.
+export function rowToProject(row) {
+  return {
+    id: row.id,
+    number: row.number,
+    name: row.name,
+    practiceName: row.practice_name,
+    briefDescription: row.brief_description,
+    client: row.client,
+    value: row.value,
+    area: row.area,
+    location: row.location,
+    projectTypes: parseJSON(row.project_types, []),
+    typeColor: row.type_color,
+    thumbnail: row.thumbnail,
+    notes: row.notes,
+    stages: parseJSON(row.stages, {}),
+    pauses: parseJSON(row.pauses, []),
+    responsibilities: parseJSON(row.responsibilities, []),
+    completed: Boolean(row.completed),
+    version: row.version,
+    updatedAt: toISOTimestamp(row.updated_at),
+    // Only projects whose thumbnail is in the image store carry thumbnailInfo
+    ...(row.image_byte_size != null && { thumbnailInfo: rowToImageInfo(row, 'image_') }),
+    // Only trashed projects carry deletedAt
+    ...(row.deleted_at && { deletedAt: toISOTimestamp(row.deleted_at) })
+  };
+}
+
+// API shape -> column values, in COLUMNS order
+function projectToRow(project) {
+  return [
+    project.id,
+    project.number,
+    project.name,
+    project.practiceName || null,
+    project.briefDescription || null,
+    project.client || '',
+    project.value || '',
+    project.area || '',
+    project.location || '',
+    JSON.stringify(project.projectTypes || []),
+    project.typeColor || '#5a8a99',
+    project.thumbnail || '',
+    project.notes || '',
+    JSON.stringify(project.stages),
+    JSON.stringify(project.pauses || []),
+    JSON.stringify(project.responsibilities || []),
+    Boolean(project.completed)
+  ];
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Only fields and RIBA stages 0-7 may be named in a dotted path; anything else
+// (e.g. "__proto__.x") would reach objects the patch has no business writing to
+const FORBIDDEN_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+const STAGE_KEY_PATTERN = /^[0-7]$/;
+
+// Patch keys that cannot be applied -> [{ field, message }]
+export function patchPathErrors(patch) {
+  const errors = [];
+  for (const [key, value] of Object.entries(patch)) {
+    const [field, ...rest] = key.split('.');
+    if (key.split('.').some(segment => FORBIDDEN_SEGMENTS.includes(segment))
+        || (rest.length > 0 && !PROJECT_FIELDS.includes(field))) {
+      errors.push({ field: key, message: 'is not a project field' });
+    } else if (field === 'stages' && rest.length > 0 && !STAGE_KEY_PATTERN.test(rest[0])) {
+      errors.push({ field: key, message: 'must name a stage 0-7' });
+    } else if (key === 'stages' && isPlainObject(value)) {
+      Object.keys(value)
+        .filter(stage => !STAGE_KEY_PATTERN.test(stage))
+        .forEach(stage => errors.push({ field: `stages.${stage}`, message: 'must name a stage 0-7' }));
+    }
+  }
+  return errors;
+}
+
+// { "stages.3.start": "2024-01" } -> { stages: { 3: { start: "2024-01" } } }
+// Keys are checked with patchPathErrors() first.
+function expandDottedKeys(patch) {
+  const expanded = {};
+  for (const [key, value] of Object.entries(patch)) {
+    const path = key.split('.');
+    let target = expanded;
+    path.slice(0, -1).forEach(segment => {
+      if (!Object.hasOwn(target, segment) || !isPlainObject(target[segment])) target[segment] = {};
+      target = target[segment];
+    });
+    mergeInto(target, path[path.length - 1], value);
+  }
+  return expanded;
+}
+
+// Objects merge all the way down, so "stages.2.start" and { stages: { 2: { end } } } both apply
+function mergeInto(target, key, value) {
+  if (isPlainObject(value) && Object.hasOwn(target, key) && isPlainObject(target[key])) {
+    for (const [field, inner] of Object.entries(value)) mergeInto(target[key], field, inner);
+  } else {
+    // Always an own property - a nested "__proto__" is then just a field the schema rejects
+    Object.defineProperty(target, key, {
+      value: isPlainObject(value) ? structuredClone(value) : value,
+      enumerable: true,
+      writable: true,
+      configurable: true
+    });
+  }
+}
+
+// Applies a partial document to a project. Top-level fields and whole arrays are
+// replaced; `stages` merges per stage and per stage field, so { stages: { 3: { start } } }
+// leaves every other date alone. A null stage entry removes that stage.
+export function mergeProjectPatch(project, patch) {
+  const changes = expandDottedKeys(patch);
+  const merged = { ...project, ...changes };
+
+  if (isPlainObject(changes.stages)) {
+    const stages = { ...project.stages };
+    for (const [key, stage] of Object.entries(changes.stages)) {
+      if (stage === null) delete stages[key];
+      else if (isPlainObject(stage) && Object.hasOwn(stages, key) && isPlainObject(stages[key])) {
+        stages[key] = { ...stages[key], ...stage };
+      } else {
+        stages[key] = stage;
+      }
+    }
+    merged.stages = stages;
+  }
+  return merged;
+}
+
+// Field-by-field differences between two versions of a project, as dotted paths
+// ("stages.3.start") in the same form PATCH accepts. Server-maintained fields are ignored.
+export function diffProjects(before, after) {
+  const changes = [];
+  const walk = (a, b, path) => {
+    if (isPlainObject(a) && isPlainObject(b)) {
+      for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        walk(a[key], b[key], path ? `${path}.${key}` : key);
+      }
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ field: path, from: a ?? null, to: b ?? null });
+    }
+  };
+  const strip = ({ version, updatedAt, deletedAt, thumbnailInfo, media, ...project }) => project;
+  walk(strip(before), strip(after), '');
+  return changes;
+}
+
+// A thumbnail from the image store is the gallery's cover; any other value
+// (an external URL, '') leaves the gallery alone
+async function adoptThumbnail(db, projectId, thumbnail) {
+  const imageId = imageIdFromUrl(thumbnail);
+  if (imageId && await db.get('SELECT id FROM images WHERE id = ?', [imageId])) {
+    await createMediaRepository(db).adoptCover(projectId, imageId);
+  }
+}
+
+function pick(project, fields) {
+  if (!fields) return project;
+  return Object.fromEntries(fields.map(field => [field, project[field]]));
+}
+
+// Opaque pagination cursor: the sort key and id of the last item on the previous page
+export function encodeCursor(key, id) {
+  return Buffer.from(JSON.stringify([key, id])).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  if (!Array.isArray(value) || value.length !== 2 || typeof value[1] !== 'string') {
+    throw new Error('Malformed cursor');
+  }
+  return value;
+}
+
+// Orders [key, id] pairs; null keys (e.g. projects without dates) always sort last
+function compareKeys([keyA, idA], [keyB, idB], descending) {
+  if (keyA !== keyB) {
+    if (keyA === null) return 1;
+    if (keyB === null) return -1;
+    const order = keyA < keyB ? -1 : 1;
+    return descending ? -order : order;
+  }
+  return idA < idB ? -1 : idA > idB ? 1 : 0;
+}
+
+function matchesFilters(project, filters) {
+  const { types, practiceName, completed, location, activeFrom, activeTo } = filters;
+
+  if (types?.length) {
+    const own = (project.projectTypes || []).map(t => String(t).toLowerCase());
+    if (!types.some(type => own.includes(type.toLowerCase()))) return false;
+  }
+  if (practiceName !== undefined
+      && (project.practiceName || '').toLowerCase() !== practiceName.toLowerCase()) {
+    return false;
+  }
+  if (completed !== undefined && project.completed !== completed) return false;
+  if (location !== undefined
+      && !(project.location || '').toLowerCase().includes(location.toLowerCase())) {
+    return false;
+  }
+  if ((activeFrom ?? activeTo ?? null) !== null
+      && !isActiveDuring(project.stages, activeFrom ?? null, activeTo ?? null)) {
+    return false;
+  }
+  return true;
+}
+
+// expectedVersion is null (any), one version, or a list of acceptable ones
+const versionExpected = (expected, version) => expected === null || [].concat(expected).includes(version);
+
+export function createProjectRepository(db) {
+  return {
+    // Trashed projects are left out unless includeDeleted is set
+    async list({ includeDeleted = false } = {}) {
+      const where = includeDeleted ? '' : ' WHERE projects.deleted_at IS NULL';
+      const rows = await db.all(`SELECT ${selectColumns(null)} FROM ${FROM_PROJECTS}${where} ORDER BY projects.number`);
+      return withMedia(db, rows.map(rowToProject));
+    },
+
+    // Filtered, sorted, cursor-paginated listing.
+    // Filters: types (any of), practiceName, completed, location (substring),
+    // activeFrom/activeTo (month indexes from timeline/stages.js).
+    async query({ filters = {}, sort = 'number', descending = false, limit = 50, cursor = null, fields = null } = {}) {
+      const columns = selectColumns([...new Set([...(fields || PROJECT_FIELDS), ...QUERY_FIELDS])]);
+      const rows = await db.all(`SELECT ${columns} FROM ${FROM_PROJECTS} WHERE projects.deleted_at IS NULL`);
+
+      const sortKey = SORT_KEYS[sort];
+      const matches = rows
+        .map(rowToProject)
+        .filter(project => matchesFilters(project, filters))
+        .map(project => ({ project, key: [sortKey(project), project.id] }))
+        .sort((a, b) => compareKeys(a.key, b.key, descending));
+
+      const remaining = cursor
+        ? matches.filter(({ key }) => compareKeys(key, cursor, descending) > 0)
+        : matches;
+      const page = remaining.slice(0, limit);
+      const last = page[page.length - 1];
+      const found = page.map(({ project }) => project);
+
+      return {
+        projects: (wantsMedia(fields) ? await withMedia(db, found) : found).map(project => pick(project, fields)),
+        nextCursor: remaining.length > limit ? encodeCursor(...last.key) : null
+      };
+    },
+
+    // forUpdate locks the row until the surrounding transaction ends (PostgreSQL;
+    // SQLite transactions already run one at a time). `trashed: true` looks in the
+    // trash instead of at live projects.
+    async get(id, { fields = null, forUpdate = false, trashed = false } = {}) {
+      const lock = forUpdate && db.dialect === 'postgres' ? ' FOR UPDATE OF projects' : '';
+      const row = await db.get(
+        `SELECT ${selectColumns(fields)} FROM ${FROM_PROJECTS}
+         WHERE projects.id = ? AND projects.deleted_at IS ${trashed ? 'NOT NULL' : 'NULL'}${lock}`,
+        [id]
+      );
+      if (!row) return null;
+      const project = rowToProject(row);
+      if (wantsMedia(fields)) project.media = await createMediaRepository(db).list(id);
+      return pick(project, fields);
+    },
+
+    // True when the id is taken by a live or a trashed project
+    async exists(id) {
+      return Boolean(await db.get('SELECT id FROM projects WHERE id = ?', [id]));
+    },
+
+    // Inline data URI thumbnails are moved into the image store on every write
+    async create(project) {
+      return db.transaction(async (tx) => {
+        const thumbnail = await createImageRepository(tx).storeDataUri(project.thumbnail);
+        const values = projectToRow({
+          ...project,
+          number: project.number || Math.floor(Math.random() * 1000),
+          thumbnail
+        });
+        await tx.run(
+          `INSERT INTO projects (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(() => '?').join(', ')})`,
+          values
+        );
+        await adoptThumbnail(tx, values[0], thumbnail);
+        return values[0];
+      });
+    },
+
+    // Returns the new version, or null when the project does not exist or
+    // (with expectedVersion) has been changed by someone else in the meantime.
+    // The previous version is kept in project_revisions, tagged with `source`.
+    async update(id, project, { expectedVersion = null, source = 'api' } = {}) {
+      return db.transaction(async (tx) => {
+        const previous = await createProjectRepository(tx).get(id, { forUpdate: true });
+        if (!previous || !versionExpected(expectedVersion, previous.version)) {
+          return null;
+        }
+        await createRevisionRepository(tx).record(previous, { action: 'update', source });
+
+        const thumbnail = await createImageRepository(tx).storeDataUri(project.thumbnail);
+        // number is optional in a document but NOT NULL in the table; a document without one keeps it
+        const [, ...values] = projectToRow({ ...project, number: project.number ?? previous.number, thumbnail });
+        const assignments = COLUMNS.slice(1).map(column => `${column} = ?`).join(', ');
+        const row = await tx.get(
+          `UPDATE projects SET ${assignments}, version = version + 1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ? RETURNING version`,
+          [...values, id]
+        );
+        if (thumbnail !== previous.thumbnail) await adoptThumbnail(tx, id, thumbnail);
+        return row.version;
+      });
+    },
+
+    // Moves the project to the trash; purge() or the retention sweep deletes it for good
+    async remove(id, { expectedVersion = null, source = 'api' } = {}) {
+      return db.transaction(async (tx) => {
+        const previous = await createProjectRepository(tx).get(id, { forUpdate: true });
+        if (!previous || !versionExpected(expectedVersion, previous.version)) {
+          return false;
+        }
+        await createRevisionRepository(tx).record(previous, { action: 'delete', source });
+        await tx.run(
+          `UPDATE projects SET deleted_at = CURRENT_TIMESTAMP, version = version + 1,
+           updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [id]
+        );
+        return true;
+      });
+    },
+
+    // Trashed projects, most recently deleted first
+    async listTrash() {
+      const rows = await db.all(
+        `SELECT ${selectColumns(null)} FROM ${FROM_PROJECTS}
+         WHERE projects.deleted_at IS NOT NULL ORDER BY projects.deleted_at DESC, projects.id`
+      );
+      return withMedia(db, rows.map(rowToProject));
+    },
+
+    // Brings a trashed project back; returns the new version, or null if it is not in the trash
+    async restore(id, { source = 'api' } = {}) {
+      return db.transaction(async (tx) => {
+        const previous = await createProjectRepository(tx).get(id, { forUpdate: true, trashed: true });
+        if (!previous) return null;
+        await createRevisionRepository(tx).record(previous, { action: 'restore', source });
+        const row = await tx.get(
+          `UPDATE projects SET deleted_at = NULL, version = version + 1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ? RETURNING version`,
+          [id]
+        );
+        return row.version;
+      });
+    },
+
+    // Bumps the version of a live project without recording a revision - for
+    // changes kept outside the projects row, like its gallery. Returns the new
+    // version, or null when there is no such project.
+    async touch(id) {
+      const row = await db.get(
+        `UPDATE projects SET version = version + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND deleted_at IS NULL RETURNING version`,
+        [id]
+      );
+      return row ? row.version : null;
+    },
+
+    // Permanently deletes a trashed project together with its revision history and gallery
+    async purge(id) {
+      return db.transaction(async (tx) => {
+        const { changes } = await tx.run('DELETE FROM projects WHERE id = ? AND deleted_at IS NOT NULL', [id]);
+        if (changes === 0) return false;
+        await createRevisionRepository(tx).removeAll(id);
+        await createMediaRepository(tx).removeAll(id);
+        return true;
+      });
+    },
+
+    // Purges everything trashed before `cutoff` (a Date); returns the purged ids
+    async purgeTrashedBefore(cutoff) {
+      const rows = await db.all(
+        'SELECT id FROM projects WHERE deleted_at IS NOT NULL AND deleted_at < ?',
+        [toSqlTimestamp(cutoff)]
+      );
+      const purged = [];
+      for (const { id } of rows) {
+        if (await createProjectRepository(db).purge(id)) purged.push(id);
+      }
+      return purged;
+    }
+  };
+}
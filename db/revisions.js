@@ -0,0 +1,57 @@
+// Revision repository - previous copies of projects, written by the project repository
+// on every update and delete. Rows are never changed once written; purging a project
+// from the trash removes its history with it.
+
+import { toISOTimestamp } from './timestamps.js';
+
+// A revision is the project as it was *before* a write:
+//   version  - the project version it holds
+//   action   - 'update', 'delete' (to the trash) or 'restore' (from it), the write that replaced it
+//   source   - who made that write ('api', 'sync', 'optimizer', ...)
+function rowToRevision(row, { withDocument = false } = {}) {
+  return {
+    id: row.id,
+    projectId: row.project_id,
+    version: row.version,
+    action: row.action,
+    source: row.source,
+    createdAt: toISOTimestamp(row.created_at),
+    ...(withDocument && { document: JSON.parse(row.document) })
+  };
+}
+
+export function createRevisionRepository(db) {
+  return {
+    async record(project, { action, source }) {
+      // thumbnailInfo belongs to the image and media to the gallery, not the project -
+      // both are joined in on read
+      const { thumbnailInfo, media, ...document } = project;
+      await db.run(
+        'INSERT INTO project_revisions (project_id, version, action, source, document) VALUES (?, ?, ?, ?, ?)',
+        [project.id, project.version, action, source, JSON.stringify(document)]
+      );
+    },
+
+    // Newest first, without the documents
+    async list(projectId) {
+      const rows = await db.all(
+        `SELECT id, project_id, version, action, source, created_at FROM project_revisions
+         WHERE project_id = ? ORDER BY id DESC`,
+        [projectId]
+      );
+      return rows.map(row => rowToRevision(row));
+    },
+
+    async removeAll(projectId) {
+      await db.run('DELETE FROM project_revisions WHERE project_id = ?', [projectId]);
+    },
+
+    async get(projectId, revisionId) {
+      const row = await db.get(
+        'SELECT * FROM project_revisions WHERE project_id = ? AND id = ?',
+        [projectId, revisionId]
+      );
+      return row ? rowToRevision(row, { withDocument: true }) : null;
+    }
+  };
+}
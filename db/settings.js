@@ -0,0 +1,92 @@
+// Settings repository - a single row holding the timeline range and colour maps
+
+export const DEFAULT_COLOR_MAP = {
+  "Commercial": "#C97373",
+  "Residential": "#C79A6B",
+  "Education": "#6A8FDB",
+  "Healthcare": "#8CC9A3",
+  "Cultural": "#B68CC9",
+  "Industrial": "#9AA5B1",
+  "Refurbishment": "#E0B762",
+  "Student Housing": "#7FB0C9",
+  "Interiors": "#A1C96D",
+  "Hospitality": "#E38FB3",
+  "Case Study": "#666666",
+  "Others": "#A0A0A0"
+};
+
+export const DEFAULT_PROJECT_TYPE_COLORS = {
+  "Commercial": "#C97373",
+  "Retail": "#E38FB3",
+  "Residential": "#C79A6B",
+  "Hospitality": "#E38FB3",
+  "Hotel": "#B68CC9",
+  "Restaurant": "#E0B762",
+  "Bar": "#A1C96D",
+  "Urban Mobility": "#27AE60",
+  "Infrastructure": "#7F8C8D",
+  "Cultural": "#B68CC9",
+  "Museum": "#9B59B6",
+  "Exhibition": "#8E44AD",
+  "Heritage": "#9AA5B1",
+  "UNESCO": "#5F6A7A",
+  "Interior": "#A1C96D",
+  "Refurbishment": "#E0B762",
+  "Competition": "#E74C3C",
+  "Research": "#3498DB",
+  "Academic": "#6A8FDB",
+  "Public": "#2980B9",
+  "Private": "#D68910"
+};
+
+export function rowToSettings(row) {
+  return {
+    startYear: row?.start_year || 2011,
+    endYear: row?.end_year || 2026,
+    colorMap: JSON.parse(row?.color_map || '{}'),
+    projectTypeColors: JSON.parse(row?.project_type_colors || '{}')
+  };
+}
+
+export function createSettingsRepository(db) {
+  return {
+    async get() {
+      const row = await db.get('SELECT * FROM settings ORDER BY id LIMIT 1');
+      return rowToSettings(row);
+    },
+
+    // Store a complete settings document (see schemas/settings.js) and return it
+    async update(settings) {
+      const values = [
+        settings.startYear,
+        settings.endYear,
+        JSON.stringify(settings.colorMap),
+        JSON.stringify(settings.projectTypeColors)
+      ];
+      const { changes } = await db.run(
+        `UPDATE settings SET start_year = ?, end_year = ?, color_map = ?, project_type_colors = ?
+         WHERE id = (SELECT MIN(id) FROM settings)`,
+        values
+      );
+      if (changes === 0) {
+        await db.run(
+          'INSERT INTO settings (start_year, end_year, color_map, project_type_colors) VALUES (?, ?, ?, ?)',
+          values
+        );
+      }
+      return this.get();
+    },
+
+    // Seed the settings row on a fresh database
+    async ensureDefaults() {
+      const { count } = await db.get('SELECT COUNT(*) AS count FROM settings');
+      if (Number(count) > 0) return false;
+
+      await db.run(
+        'INSERT INTO settings (color_map, project_type_colors) VALUES (?, ?)',
+        [JSON.stringify(DEFAULT_COLOR_MAP), JSON.stringify(DEFAULT_PROJECT_TYPE_COLORS)]
+      );
+      return true;
+    }
+  };
+}
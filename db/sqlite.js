@@ -0,0 +1,88 @@
+// SQLite driver adapter - wraps callback-style sqlite3 in the shared promise interface
+import sqlite3 from 'sqlite3';
+
+// sqlite3 runs everything on one connection, so statements from concurrent
+// requests would land inside an open transaction. Every top-level call goes
+// through this queue; a transaction holds it until COMMIT/ROLLBACK.
+function createQueue() {
+  let tail = Promise.resolve();
+  return (task) => {
+    const result = tail.then(task);
+    tail = result.catch(() => {});
+    return result;
+  };
+}
+
+function wrapConnection(conn) {
+  return {
+    all(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        conn.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+      });
+    },
+
+    get(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        conn.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+      });
+    },
+
+    run(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        conn.run(sql, params, function (err) {
+          if (err) reject(err);
+          else resolve({ changes: this.changes });
+        });
+      });
+    },
+
+    exec(sql) {
+      return new Promise((resolve, reject) => {
+        conn.exec(sql, (err) => (err ? reject(err) : resolve()));
+      });
+    }
+  };
+}
+
+export function openSQLiteDatabase(filename) {
+  return new Promise((resolve, reject) => {
+    const conn = new sqlite3.Database(filename, (err) => {
+      if (err) return reject(err);
+
+      const raw = wrapConnection(conn);
+      const enqueue = createQueue();
+
+      const db = {
+        dialect: 'sqlite',
+        all: (sql, params) => enqueue(() => raw.all(sql, params)),
+        get: (sql, params) => enqueue(() => raw.get(sql, params)),
+        run: (sql, params) => enqueue(() => raw.run(sql, params)),
+        exec: (sql) => enqueue(() => raw.exec(sql)),
+
+        transaction(fn) {
+          return enqueue(async () => {
+            const tx = { dialect: 'sqlite', ...raw, transaction: (inner) => inner(tx) };
+            await raw.exec('BEGIN');
+            try {
+              const result = await fn(tx);
+              await raw.exec('COMMIT');
+              return result;
+            } catch (err) {
+              await raw.exec('ROLLBACK');
+              throw err;
+            }
+          });
+        },
+
+        close() {
+          return enqueue(() => new Promise((res, rej) => {
+            conn.close((closeErr) => (closeErr ? rej(closeErr) : res()));
+          }));
+        }
+      };
+
+      // Foreign keys are off by default in SQLite
+      raw.exec('PRAGMA foreign_keys = ON').then(() => resolve(db), reject);
+    });
+  });
+}
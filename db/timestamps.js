@@ -0,0 +1,11 @@
+// SQLite hands back "YYYY-MM-DD HH:MM:SS" (UTC), PostgreSQL a Date
+export function toISOTimestamp(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value.toISOString();
+  return new Date(`${value.replace(' ', 'T')}Z`).toISOString();
+}
+
+// Date -> the "YYYY-MM-DD HH:MM:SS" UTC text CURRENT_TIMESTAMP produces, comparable on both drivers
+export function toSqlTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
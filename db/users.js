@@ -0,0 +1,64 @@
+// User repository - frontend accounts. Passwords arrive already hashed (auth/credentials.js).
+
+import { toISOTimestamp } from './timestamps.js';
+
+function rowToUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    createdAt: toISOTimestamp(row.created_at)
+  };
+}
+
+export function createUserRepository(db) {
+  return {
+    async list() {
+      const rows = await db.all('SELECT * FROM users ORDER BY username');
+      return rows.map(rowToUser);
+    },
+
+    async get(id) {
+      const row = await db.get('SELECT * FROM users WHERE id = ?', [id]);
+      return row ? rowToUser(row) : null;
+    },
+
+    // Includes passwordHash, for sign-in only
+    async findByUsername(username) {
+      const row = await db.get('SELECT * FROM users WHERE username = ?', [username]);
+      return row ? { ...rowToUser(row), passwordHash: row.password_hash } : null;
+    },
+
+    async create({ username, passwordHash, role }) {
+      const row = await db.get(
+        'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?) RETURNING id',
+        [username, passwordHash, role]
+      );
+      return row.id;
+    },
+
+    async update(username, { passwordHash, role }) {
+      const assignments = [];
+      const params = [];
+      if (passwordHash !== undefined) {
+        assignments.push('password_hash = ?');
+        params.push(passwordHash);
+      }
+      if (role !== undefined) {
+        assignments.push('role = ?');
+        params.push(role);
+      }
+      if (assignments.length === 0) return false;
+      const { changes } = await db.run(
+        `UPDATE users SET ${assignments.join(', ')} WHERE username = ?`,
+        [...params, username]
+      );
+      return changes > 0;
+    },
+
+    async remove(username) {
+      const { changes } = await db.run('DELETE FROM users WHERE username = ?', [username]);
+      return changes > 0;
+    }
+  };
+}
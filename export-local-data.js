@@ -1,8 +1,9 @@
 // Export local SQLite data to JSON file
 // Usage: node export-local-data.js
 
-import sqlite3 from 'sqlite3';
 import fs from 'fs';
+import { openDatabase, createRepositories } from './db/index.js';
+import { imageIdFromUrl, toDataUri } from './db/images.js';
 
 const DB_FILE = './fenwick.db';
 const OUTPUT_FILE = 'local-data.json';
@@ -10,31 +11,33 @@ const OUTPUT_FILE = 'local-data.json';
 console.log('🔄 Exporting local SQLite database...');
 console.log(`📁 Source: ${DB_FILE}`);
 
-const db = new sqlite3.Database(DB_FILE, (err) => {
-  if (err) {
-    console.error('❌ Failed to connect to database:', err.message);
-    process.exit(1);
-  }
-});
+let db;
+try {
+  db = await openDatabase({ ...process.env, DB_DRIVER: 'sqlite', SQLITE_FILE: DB_FILE });
+} catch (err) {
+  console.error('❌ Failed to connect to database:', err.message);
+  process.exit(1);
+}
 
-// Get settings
-db.get("SELECT * FROM settings LIMIT 1", (err, settings) => {
-  if (err) {
-    console.error('❌ Failed to get settings:', err.message);
-    db.close();
-    process.exit(1);
-  }
+try {
+  // Get settings
+  const settings = await db.get('SELECT * FROM settings LIMIT 1');
 
-  // Get all projects
-  db.all("SELECT * FROM projects ORDER BY number", (err, projects) => {
-    if (err) {
-      console.error('❌ Failed to get projects:', err.message);
-      db.close();
-      process.exit(1);
-    }
+  // Get all projects (trashed ones stay local)
+  const projects = await db.all('SELECT * FROM projects WHERE deleted_at IS NULL ORDER BY number');
 
-    // Process projects to match API format
-    const processedProjects = projects.map(p => ({
+  // Thumbnails live in the image store - inline them so the file is self-contained
+  const { images } = createRepositories(db);
+  const inlineThumbnail = async (thumbnail) => {
+    const imageId = imageIdFromUrl(thumbnail);
+    const image = imageId && await images.get(imageId);
+    return image ? toDataUri(image) : thumbnail;
+  };
+
+  // Process projects to match API format
+  const processedProjects = [];
+  for (const p of projects) {
+    processedProjects.push({
       id: p.id,
       number: p.number,
       name: p.name,
@@ -46,47 +49,50 @@ db.get("SELECT * FROM settings LIMIT 1", (err, settings) => {
       location: p.location,
       projectTypes: JSON.parse(p.project_types || '[]'),
       typeColor: p.type_color,
-      thumbnail: p.thumbnail,
+      thumbnail: await inlineThumbnail(p.thumbnail),
       notes: p.notes,
       stages: JSON.parse(p.stages || '{}'),
       pauses: JSON.parse(p.pauses || '[]')
-    }));
-
-    // Build export data
-    const exportData = {
-      projects: processedProjects,
-      settings: {
-        startYear: settings?.start_year || 2011,
-        endYear: settings?.end_year || 2026,
-        colorMap: JSON.parse(settings?.color_map || '{}'),
-        projectTypeColors: JSON.parse(settings?.project_type_colors || '{}')
-      }
-    };
+    });
+  }
 
-    // Write to file
-    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(exportData, null, 2));
+  // Build export data
+  const exportData = {
+    projects: processedProjects,
+    settings: {
+      startYear: settings?.start_year || 2011,
+      endYear: settings?.end_year || 2026,
+      colorMap: JSON.parse(settings?.color_map || '{}'),
+      projectTypeColors: JSON.parse(settings?.project_type_colors || '{}')
+    }
+  };
 
-    // Show summary
-    const fileSize = (fs.statSync(OUTPUT_FILE).size / 1024).toFixed(2);
+  // Write to file
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(exportData, null, 2));
 
-    console.log('\n✅ Export completed successfully!');
-    console.log(`📊 Projects exported: ${processedProjects.length}`);
-    console.log(`📁 File: ${OUTPUT_FILE}`);
-    console.log(`💾 Size: ${fileSize} KB`);
-    console.log(`📅 Settings: ${exportData.settings.startYear} - ${exportData.settings.endYear}`);
+  // Show summary
+  const fileSize = (fs.statSync(OUTPUT_FILE).size / 1024).toFixed(2);
 
-    if (exportData.settings.colorMap) {
-      const colorCount = Object.keys(exportData.settings.colorMap).length;
-      console.log(`🎨 Color mappings: ${colorCount}`);
-    }
+  console.log('\n✅ Export completed successfully!');
+  console.log(`📊 Projects exported: ${processedProjects.length}`);
+  console.log(`📁 File: ${OUTPUT_FILE}`);
+  console.log(`💾 Size: ${fileSize} KB`);
+  console.log(`📅 Settings: ${exportData.settings.startYear} - ${exportData.settings.endYear}`);
 
-    if (exportData.settings.projectTypeColors) {
-      const typeColorCount = Object.keys(exportData.settings.projectTypeColors).length;
-      console.log(`🏷️  Project type colors: ${typeColorCount}`);
-    }
+  if (exportData.settings.colorMap) {
+    const colorCount = Object.keys(exportData.settings.colorMap).length;
+    console.log(`🎨 Color mappings: ${colorCount}`);
+  }
 
-    console.log('\n✨ Ready to sync to production');
+  if (exportData.settings.projectTypeColors) {
+    const typeColorCount = Object.keys(exportData.settings.projectTypeColors).length;
+    console.log(`🏷️  Project type colors: ${typeColorCount}`);
+  }
 
-    db.close();
-  });
-});
+  console.log('\n✨ Ready to sync to production');
+} catch (err) {
+  console.error('❌ Export failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  await db.close();
+}
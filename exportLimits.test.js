@@ -0,0 +1,125 @@
+/**
+ * Tests for the export size limits: validateContentSize (schemas/index.js) and
+ * the capture-size guard of renderRaster (render/raster.js)
+ * Run with: node exportLimits.test.js
+ */
+
+import { validateContentSize } from './schemas/index.js';
+import { MAX_CONTENT_SIZE } from './schemas/contentSize.js';
+import { renderRaster, RasterOptionsError } from './render/raster.js';
+
+// Stands in for the browser pool: a render that gets this far has passed every check
+const RENDERED = 'rendered';
+const pool = {
+  async withPage() {
+    throw new Error(RENDERED);
+  }
+};
+
+// Raster tests: 'refused' (RasterOptionsError before any page is used) or 'rendered'
+async function capture(content) {
+  try {
+    await renderRaster(pool, { htmlContent: '<svg></svg>', ...content });
+    return 'returned';
+  } catch (err) {
+    if (err instanceof RasterOptionsError) return 'refused';
+    return err.message === RENDERED ? 'rendered' : err.message;
+  }
+}
+
+// Size tests list the fields expected to be reported (empty = valid)
+const tests = [
+  {
+    name: "Size at MAX_CONTENT_SIZE is accepted",
+    size: { width: MAX_CONTENT_SIZE, height: MAX_CONTENT_SIZE },
+    expected: []
+  },
+  {
+    name: "Size just over MAX_CONTENT_SIZE is refused",
+    size: { width: MAX_CONTENT_SIZE + 1, height: 600 },
+    expected: ['width']
+  },
+  {
+    name: "Fractional sizes are fine",
+    size: { width: 1600.5, height: 900.25 },
+    expected: []
+  },
+  {
+    name: "Zero and negative sizes are refused",
+    size: { width: 0, height: -10 },
+    expected: ['height', 'width']
+  },
+  {
+    name: "Non-numeric sizes are refused",
+    size: { width: '800', height: null },
+    expected: ['height', 'width']
+  },
+  {
+    name: "Missing sizes use the defaults",
+    size: {},
+    expected: []
+  },
+  {
+    name: "Capture within the limit renders",
+    raster: { width: 1600, height: 900, options: { dpi: 300 } },
+    expected: 'rendered'
+  },
+  {
+    name: "Whole content at scale² over the limit is refused",
+    raster: { width: 4000, height: 4000, options: { scale: 2 } },
+    expected: 'refused'
+  },
+  {
+    name: "A small crop does not lift the limit",
+    raster: { width: 5000, height: 5000, options: { dpi: 768, crop: { x: 0, y: 0, width: 10, height: 10 } } },
+    expected: 'refused'
+  },
+  {
+    name: "The same content at scale 1 renders",
+    raster: { width: 5000, height: 5000, options: { crop: { x: 0, y: 0, width: 10, height: 10 } } },
+    expected: 'rendered'
+  },
+  {
+    name: "Output over the limit is refused",
+    raster: { width: 8000, height: 8000, options: {} },
+    expected: 'refused'
+  },
+  {
+    name: "Crop outside the content is refused",
+    raster: { width: 800, height: 600, options: { crop: { x: 700, y: 0, width: 200, height: 100 } } },
+    expected: 'refused'
+  }
+];
+
+// Run tests
+let passed = 0;
+let failed = 0;
+
+console.log('🧪 Running export limit tests...\n');
+
+for (const [index, test] of tests.entries()) {
+  const result = test.raster
+    ? await capture(test.raster)
+    : validateContentSize(test.size).map(e => e.field).sort();
+  const success = JSON.stringify(result) === JSON.stringify(test.expected);
+
+  if (success) {
+    passed++;
+    console.log(`✅ Test ${index + 1}: ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ Test ${index + 1}: ${test.name}`);
+    console.log(`   Expected: ${JSON.stringify(test.expected)}`);
+    console.log(`   Got: ${JSON.stringify(result)}`);
+  }
+}
+
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed out of ${tests.length} tests`);
+
+if (failed === 0) {
+  console.log('🎉 All tests passed!');
+  process.exit(0);
+} else {
+  console.log('❌ Some tests failed');
+  process.exit(1);
+}
@@ -1,12 +1,20 @@
-import sqlite3 from 'sqlite3';
+// Extracts project thumbnails into extracted-images/ for manual optimization;
+// optimize-and-reupload-images.js puts the edited files back.
+// Works on any database the server can use (DB_DRIVER / DATABASE_URL / SQLITE_FILE).
+import 'dotenv/config';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { openDatabase, createRepositories } from './db/index.js';
+import { assertSchemaCurrent } from './db/migrate.js';
+import { loadThumbnail } from './images/optimizer.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const db = new sqlite3.Database('./fenwick.db');
+const db = await openDatabase();
+await assertSchemaCurrent(db);
+const { projects: projectRepo, images } = createRepositories(db);
 
 // Create output directory
 const outputDir = path.join(__dirname, 'extracted-images');
@@ -17,72 +25,61 @@ if (!fs.existsSync(outputDir)) {
 console.log('🚀 Starting image extraction...\n');
 
 // Get all projects with thumbnails
-db.all("SELECT id, number, name, thumbnail FROM projects WHERE thumbnail IS NOT NULL AND thumbnail != ''", (err, projects) => {
-  if (err) {
-    console.error('❌ Error:', err);
-    return;
-  }
-
-  console.log(`📊 Found ${projects.length} projects with images\n`);
-
-  let totalSize = 0;
-  const imageData = [];
-
-  projects.forEach((project, index) => {
-    try {
-      // Extract base64 data (remove data:image/jpeg;base64, prefix if present)
-      let base64Data = project.thumbnail;
-      const matches = base64Data.match(/^data:image\/([a-zA-Z]*);base64,(.+)$/);
-
-      let imageFormat = 'jpg';
-      if (matches) {
-        imageFormat = matches[1];
-        base64Data = matches[2];
-      }
-
-      // Convert base64 to buffer
-      const imageBuffer = Buffer.from(base64Data, 'base64');
-      const sizeKB = (imageBuffer.length / 1024).toFixed(2);
-      totalSize += imageBuffer.length;
-
-      // Create safe filename
-      const safeProjectName = project.name.replace(/[^a-z0-9]/gi, '_').substring(0, 50);
-      const filename = `${project.number}_${safeProjectName}_${project.id}.${imageFormat}`;
-      const filepath = path.join(outputDir, filename);
-
-      // Save to file
-      fs.writeFileSync(filepath, imageBuffer);
-
-      imageData.push({
-        id: project.id,
-        number: project.number,
-        name: project.name,
-        filename: filename,
-        originalSize: sizeKB + ' KB',
-        format: imageFormat
-      });
-
-      console.log(`✅ [${index + 1}/${projects.length}] ${project.name} - ${sizeKB} KB`);
-    } catch (error) {
-      console.error(`❌ Error extracting image for project ${project.name}:`, error.message);
-    }
-  });
-
-  // Save metadata
-  const metadataPath = path.join(outputDir, '_image_metadata.json');
-  fs.writeFileSync(metadataPath, JSON.stringify(imageData, null, 2));
-
-  const totalSizeMB = (totalSize / (1024 * 1024)).toFixed(2);
-  console.log(`\n📊 Summary:`);
-  console.log(`   Total images: ${projects.length}`);
-  console.log(`   Total size: ${totalSizeMB} MB`);
-  console.log(`   Average size: ${(totalSize / projects.length / 1024).toFixed(2)} KB per image`);
-  console.log(`\n💾 Images saved to: ${outputDir}`);
-  console.log(`📄 Metadata saved to: ${metadataPath}`);
-  console.log(`\n📋 Next steps:`);
-  console.log(`   1. Use image editing software or online tools to resize images`);
-  console.log(`   2. Recommended: Max width 800px, quality 70-80%`);
-  console.log(`   3. Run optimize-and-reupload-images.js to update the database`);
+const projects = [];
+for (const project of await projectRepo.list()) {
+  const thumbnail = await loadThumbnail(images, project.thumbnail);
+  if (thumbnail) projects.push({ ...project, thumbnail });
+}
 
-  db.close();
+console.log(`📊 Found ${projects.length} projects with images\n`);
+
+let totalSize = 0;
+const imageData = [];
+
+projects.forEach((project, index) => {
+  try {
+    const imageFormat = project.thumbnail.mimeType.split('/')[1];
+    const imageBuffer = project.thumbnail.data;
+    const sizeKB = (imageBuffer.length / 1024).toFixed(2);
+    totalSize += imageBuffer.length;
+
+    // Create safe filename
+    const safeProjectName = project.name.replace(/[^a-z0-9]/gi, '_').substring(0, 50);
+    const filename = `${project.number}_${safeProjectName}_${project.id}.${imageFormat}`;
+    const filepath = path.join(outputDir, filename);
+
+    // Save to file
+    fs.writeFileSync(filepath, imageBuffer);
+
+    imageData.push({
+      id: project.id,
+      number: project.number,
+      name: project.name,
+      filename: filename,
+      originalSize: sizeKB + ' KB',
+      format: imageFormat
+    });
+
+    console.log(`✅ [${index + 1}/${projects.length}] ${project.name} - ${sizeKB} KB`);
+  } catch (error) {
+    console.error(`❌ Error extracting image for project ${project.name}:`, error.message);
+  }
 });
+
+// Save metadata
+const metadataPath = path.join(outputDir, '_image_metadata.json');
+fs.writeFileSync(metadataPath, JSON.stringify(imageData, null, 2));
+
+const totalSizeMB = (totalSize / (1024 * 1024)).toFixed(2);
+console.log(`\n📊 Summary:`);
+console.log(`   Total images: ${projects.length}`);
+console.log(`   Total size: ${totalSizeMB} MB`);
+console.log(`   Average size: ${(totalSize / projects.length / 1024).toFixed(2)} KB per image`);
+console.log(`\n💾 Images saved to: ${outputDir}`);
+console.log(`📄 Metadata saved to: ${metadataPath}`);
+console.log(`\n📋 Next steps:`);
+console.log(`   1. Use image editing software or online tools to resize images`);
+console.log(`   2. Recommended: Max width 800px, quality 70-80%`);
+console.log(`   3. Run optimize-and-reupload-images.js to update the database`);
+
+await db.close();
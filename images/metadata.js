@@ -0,0 +1,39 @@
+// Image metadata stored alongside every image, so clients can reserve space and
+// show a placeholder before the image itself has loaded.
+
+import sharp from 'sharp';
+import { encode } from 'blurhash';
+
+// Blurhash detail: 4x3 components is enough for a thumbnail-sized blur
+const BLURHASH_COMPONENTS = { x: 4, y: 3 };
+// Blurhash is computed from a small copy - the result is the same, and much faster
+const BLURHASH_SIZE = 32;
+
+const toHex = ({ r, g, b }) => '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+
+// buffer -> { width, height, format, dominantColor, blurhash }. Fields are null
+// for data sharp cannot decode (inline data URIs are stored as they came).
+export async function describeImage(buffer) {
+  try {
+    const image = sharp(buffer).rotate();
+    const { width, height, format, orientation } = await sharp(buffer).metadata();
+    const { dominant } = await image.clone().stats();
+    const { data, info } = await image.clone()
+      .resize(BLURHASH_SIZE, BLURHASH_SIZE, { fit: 'inside' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    // EXIF orientations 5-8 swap width and height once the image is turned upright
+    const upright = orientation >= 5;
+    return {
+      width: upright ? height : width,
+      height: upright ? width : height,
+      format,
+      dominantColor: toHex(dominant),
+      blurhash: encode(new Uint8ClampedArray(data), info.width, info.height, BLURHASH_COMPONENTS.x, BLURHASH_COMPONENTS.y)
+    };
+  } catch {
+    return { width: null, height: null, format: null, dominantColor: null, blurhash: null };
+  }
+}
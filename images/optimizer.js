@@ -0,0 +1,138 @@
+// Thumbnail optimizer - re-encodes project thumbnails through the upload pipeline
+// (images/pipeline.js) on whichever database the repositories point at.
+//
+// Each project is rewritten in its own transaction with its version checked, so
+// an interrupted run leaves every project either done or untouched, and an edit
+// made meanwhile is never overwritten. The writes are recorded as revisions with
+// source "optimizer"; old images stay in the store for those revisions.
+// Used by auto-optimize-images.js and POST /api/admin/optimize-images.
+
+import fs from 'fs';
+import { optimizeImage, InvalidImageError } from './pipeline.js';
+import { parseDataUri, imageIdFromUrl, imageUrl } from '../db/images.js';
+
+export const OPTIMIZER_SOURCE = 'optimizer';
+
+// Outcomes that count as finished when a run is resumed
+const FINISHED = ['optimized', 'skipped'];
+
+// Append-only JSON-lines log of per-project results. Reopening an existing log
+// (resume) skips the projects it already finished; `fresh` starts it over.
+export function openProgressLog(file, { fresh = false } = {}) {
+  if (fresh) fs.rmSync(file, { force: true });
+
+  const finished = new Set();
+  if (fs.existsSync(file)) {
+    for (const line of fs.readFileSync(file, 'utf8').split('\n').filter(Boolean)) {
+      const entry = JSON.parse(line);
+      if (FINISHED.includes(entry.status)) finished.add(entry.projectId);
+    }
+  }
+
+  return {
+    file,
+    isFinished: projectId => finished.has(projectId),
+    record(entry) {
+      fs.appendFileSync(file, JSON.stringify({ ...entry, at: new Date().toISOString() }) + '\n');
+      if (FINISHED.includes(entry.status)) finished.add(entry.projectId);
+    }
+  };
+}
+
+// A project's thumbnail as { mimeType, data, imageId } - from an inline data URI
+// (imageId null) or the image store - or null when there is nothing to load
+export async function loadThumbnail(images, thumbnail) {
+  const inline = parseDataUri(thumbnail);
+  if (inline) return { ...inline, imageId: null };
+
+  const imageId = imageIdFromUrl(thumbnail);
+  const image = imageId && await images.get(imageId);
+  return image ? { mimeType: image.mimeType, data: image.data, imageId } : null;
+}
+
+// Stores `image` and points the project at it, keeping `original` for later
+// variants. Returns the new project version, or null if the project changed.
+export async function replaceThumbnail({ transaction }, project, image, original) {
+  return transaction(async ({ projects, images }) => {
+    const imageId = await images.put(image);
+    if (original) await images.putOriginal(imageId, original);
+    return projects.update(
+      project.id,
+      { ...project, thumbnail: imageUrl(imageId) },
+      { expectedVersion: project.version, source: OPTIMIZER_SOURCE }
+    );
+  });
+}
+
+async function optimizeProject(repos, project, { dryRun, minBytes }) {
+  const current = await loadThumbnail(repos.images, project.thumbnail);
+  if (!current) return { status: 'skipped', reason: 'no thumbnail' };
+
+  const before = current.data.length;
+  if (before < minBytes) return { status: 'skipped', reason: 'below size threshold', before };
+
+  // Start from the original upload when there is one, so re-running never re-compresses a JPEG
+  const source = (current.imageId && await repos.images.getSource(current.imageId)) || current;
+  let optimized;
+  try {
+    optimized = await optimizeImage(source.data);
+  } catch (err) {
+    // Rerunning will not make a broken or unsupported image readable
+    if (err instanceof InvalidImageError) return { status: 'skipped', reason: `unreadable image: ${err.message}`, before };
+    throw err;
+  }
+  const after = optimized.data.length;
+  if (after >= before) return { status: 'skipped', reason: 'already optimal', before };
+
+  if (!dryRun) {
+    const original = { mimeType: `image/${optimized.inputFormat}`, data: source.data };
+    const version = await replaceThumbnail(repos, project, optimized, original);
+    if (version === null) return { status: 'conflict', reason: 'project changed during the run', before };
+  }
+  return { status: 'optimized', before, after };
+}
+
+// Runs the optimizer over live projects (or just `projectIds`) and returns
+// { dryRun, results, unknownIds, totals }. With dryRun nothing is written and
+// 'optimized' means "would be optimized".
+export async function optimizeThumbnails(repos, {
+  dryRun = false,
+  projectIds = null,
+  minBytes = 0,
+  progress = null,
+  onResult = () => {}
+} = {}) {
+  const all = await repos.projects.list();
+  const selected = projectIds ? all.filter(p => projectIds.includes(p.id)) : all;
+  const unknownIds = projectIds ? projectIds.filter(id => !all.some(p => p.id === id)) : [];
+
+  const results = [];
+  for (const project of selected) {
+    let result;
+    if (progress?.isFinished(project.id)) {
+      result = { status: 'skipped', reason: 'finished in an earlier run' };
+    } else {
+      try {
+        result = await optimizeProject(repos, project, { dryRun, minBytes });
+      } catch (err) {
+        result = { status: 'failed', reason: err.message };
+      }
+      if (!dryRun) progress?.record({ projectId: project.id, ...result });
+    }
+
+    const entry = { projectId: project.id, name: project.name, ...result };
+    results.push(entry);
+    onResult(entry);
+  }
+
+  const optimized = results.filter(r => r.status === 'optimized');
+  const totals = {
+    optimized: optimized.length,
+    skipped: results.filter(r => r.status === 'skipped').length,
+    conflicts: results.filter(r => r.status === 'conflict').length,
+    failed: results.filter(r => r.status === 'failed').length,
+    bytesBefore: optimized.reduce((sum, r) => sum + r.before, 0),
+    bytesAfter: optimized.reduce((sum, r) => sum + r.after, 0)
+  };
+  return { dryRun, results, unknownIds, totals };
+}
@@ -0,0 +1,85 @@
+// Image optimization pipeline - shared by the upload endpoint and the offline
+// optimizer scripts, so an image looks the same however it got in.
+//
+// Every image is fitted inside 800x600 (never enlarged), turned upright from its
+// EXIF orientation, converted to sRGB and written as a JPEG at quality 75.
+// Sharp drops EXIF/XMP/ICC metadata on output, so camera and GPS data never
+// reach the database.
+
+import sharp from 'sharp';
+
+export const OPTIMIZE_DEFAULTS = {
+  maxWidth: 800,
+  maxHeight: 600,
+  quality: 75
+};
+
+// Formats we accept as input (sharp's names). SVG is left out: it can carry
+// scripts and external references.
+export const INPUT_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif', 'heif', 'tiff'];
+
+// Decompression-bomb guard: refuse anything larger than ~50 megapixels
+const MAX_INPUT_PIXELS = 50_000_000;
+
+export class InvalidImageError extends Error {}
+
+// Reads the header only - throws InvalidImageError unless the buffer is an image we accept
+export async function inspectImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch {
+    throw new InvalidImageError('File is not a readable image');
+  }
+  if (!INPUT_FORMATS.includes(metadata.format)) {
+    throw new InvalidImageError(`Unsupported image format "${metadata.format}" (expected ${INPUT_FORMATS.join(', ')})`);
+  }
+  if (metadata.width * metadata.height > MAX_INPUT_PIXELS) {
+    throw new InvalidImageError(`Image is too large (${metadata.width}x${metadata.height} pixels)`);
+  }
+  return metadata;
+}
+
+// buffer -> { mimeType, data, width, height, inputFormat }
+export async function optimizeImage(buffer, options = {}) {
+  const { maxWidth, maxHeight, quality } = { ...OPTIMIZE_DEFAULTS, ...options };
+  const { format: inputFormat } = await inspectImage(buffer);
+
+  try {
+    const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize(maxWidth, maxHeight, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .toColorspace('srgb')
+      .jpeg({ quality })
+      .toBuffer({ resolveWithObject: true });
+
+    return { mimeType: 'image/jpeg', data, width: info.width, height: info.height, inputFormat };
+  } catch (err) {
+    // Headers can be fine while the pixel data is truncated or corrupt
+    throw new InvalidImageError(`Image could not be decoded: ${err.message}`);
+  }
+}
+
+// Output formats for variants, best first - the server picks the first one the
+// client accepts (JPEG works everywhere)
+export const VARIANT_FORMATS = {
+  avif: { mimeType: 'image/avif', options: { quality: 50 } },
+  webp: { mimeType: 'image/webp', options: { quality: 75 } },
+  jpeg: { mimeType: 'image/jpeg', options: { quality: 80 } }
+};
+
+// buffer -> { mimeType, data, width, height } at most `width` pixels wide (never enlarged)
+export async function renderVariant(buffer, { width, format }) {
+  const { mimeType, options } = VARIANT_FORMATS[format];
+  let image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize({ width, withoutEnlargement: true })
+    .toColorspace('srgb');
+  if (format === 'jpeg') {
+    image = image.flatten({ background: '#ffffff' });
+  }
+
+  const { data, info } = await image.toFormat(format, options).toBuffer({ resolveWithObject: true });
+  return { mimeType, data, width: info.width, height: info.height };
+}
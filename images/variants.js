@@ -0,0 +1,49 @@
+// Responsive image variants - /api/images/:id?w=320&dpr=2
+//
+// A variant is an image resized to one of a few preset widths, at 1x or 2x
+// density, in the best format the client accepts. They are rendered on first
+// request from the original upload (or the stored image when there is none)
+// and cached in image_variants.
+
+import { renderVariant, VARIANT_FORMATS } from './pipeline.js';
+
+// CSS pixel widths: timeline thumbnails at the small end, PDF export at the top
+export const VARIANT_WIDTHS = [80, 160, 320, 640, 1280];
+export const VARIANT_DENSITIES = [1, 2];
+
+// Query -> { width, format } or { error }. An absent `format` is negotiated from
+// the Accept header; `w` is required, `dpr` defaults to 1.
+export function parseVariantRequest({ w, dpr = '1', format }, accept = '') {
+  const cssWidth = Number(w);
+  const density = Number(dpr);
+  if (!VARIANT_WIDTHS.includes(cssWidth)) {
+    return { error: { field: 'w', message: `must be one of ${VARIANT_WIDTHS.join(', ')}` } };
+  }
+  if (!VARIANT_DENSITIES.includes(density)) {
+    return { error: { field: 'dpr', message: `must be one of ${VARIANT_DENSITIES.join(', ')}` } };
+  }
+  if (format !== undefined && !Object.hasOwn(VARIANT_FORMATS, format)) {
+    return { error: { field: 'format', message: `must be one of ${Object.keys(VARIANT_FORMATS).join(', ')}` } };
+  }
+  return { width: cssWidth * density, format: format ?? negotiateFormat(accept) };
+}
+
+// Browsers list image/avif and image/webp in Accept when they can show them
+function negotiateFormat(accept) {
+  return Object.keys(VARIANT_FORMATS).find(format =>
+    format === 'jpeg' || accept.includes(VARIANT_FORMATS[format].mimeType)
+  );
+}
+
+// The cached variant, rendered and stored first if needed; null for an unknown image
+export async function getVariant(images, id, { width, format }) {
+  const cached = await images.getVariant(id, { width, format });
+  if (cached) return cached;
+
+  const source = await images.getSource(id);
+  if (!source) return null;
+
+  const variant = await renderVariant(source.data, { width, format });
+  await images.putVariant(id, { width, format, ...variant });
+  return { mimeType: variant.mimeType, byteSize: variant.data.length, data: variant.data };
+}
@@ -0,0 +1,136 @@
+// User and API key management
+// Usage:
+//   node manage-auth.js users                        List users
+//   node manage-auth.js user:add <username> <role>   Create a user (prompts for a password)
+//   node manage-auth.js user:password <username>     Set a new password
+//   node manage-auth.js user:role <username> <role>  Change a user's role
+//   node manage-auth.js user:remove <username>       Delete a user
+//   node manage-auth.js keys                         List API keys
+//   node manage-auth.js key:create <name> <role>     Create an API key (shown once)
+//   node manage-auth.js key:revoke <id>              Revoke an API key
+//
+// Roles: viewer, editor, admin. Set FENWICK_PASSWORD to skip the password prompt.
+// Uses the same DB_DRIVER / DATABASE_URL / SQLITE_FILE configuration as the server.
+
+import 'dotenv/config';
+import readline from 'readline';
+import { openDatabase, createRepositories } from './db/index.js';
+import { assertSchemaCurrent, MigrationError } from './db/migrate.js';
+import { ROLES } from './auth/middleware.js';
+import { hashPassword, generateApiKey } from './auth/credentials.js';
+
+const MIN_PASSWORD_LENGTH = 10;
+
+class UsageError extends Error {}
+
+function requireArg(value, name) {
+  if (!value) throw new UsageError(`Missing <${name}>`);
+  return value;
+}
+
+function requireRoleArg(value) {
+  if (!ROLES.includes(value)) throw new UsageError(`<role> must be one of: ${ROLES.join(', ')}`);
+  return value;
+}
+
+async function readPassword() {
+  let password = process.env.FENWICK_PASSWORD;
+  if (password === undefined) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    password = await new Promise(resolve => rl.question('🔑 Password: ', resolve));
+    rl.close();
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new UsageError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return hashPassword(password);
+}
+
+const commands = {
+  async users({ users }) {
+    const list = await users.list();
+    console.log(`\n👤 ${list.length} user(s):\n`);
+    list.forEach(u => console.log(`   ${u.username.padEnd(24)} ${u.role.padEnd(8)} created ${u.createdAt}`));
+    console.log();
+  },
+
+  async 'user:add'({ users }, username, role) {
+    requireArg(username, 'username');
+    requireRoleArg(role);
+    if (await users.findByUsername(username)) throw new UsageError(`User "${username}" already exists`);
+    await users.create({ username, role, passwordHash: await readPassword() });
+    console.log(`✅ User "${username}" created (${role})`);
+  },
+
+  async 'user:password'({ users }, username) {
+    requireArg(username, 'username');
+    if (!(await users.findByUsername(username))) throw new UsageError(`No user "${username}"`);
+    await users.update(username, { passwordHash: await readPassword() });
+    console.log(`✅ Password changed for "${username}"`);
+  },
+
+  async 'user:role'({ users }, username, role) {
+    requireArg(username, 'username');
+    requireRoleArg(role);
+    if (!(await users.update(username, { role }))) throw new UsageError(`No user "${username}"`);
+    console.log(`✅ "${username}" is now ${role}`);
+  },
+
+  async 'user:remove'({ users }, username) {
+    requireArg(username, 'username');
+    if (!(await users.remove(username))) throw new UsageError(`No user "${username}"`);
+    console.log(`✅ User "${username}" removed`);
+  },
+
+  async keys({ apiKeys }) {
+    const list = await apiKeys.list();
+    console.log(`\n🔐 ${list.length} API key(s):\n`);
+    list.forEach(k => {
+      const state = k.revokedAt ? `revoked ${k.revokedAt}` : `last used ${k.lastUsedAt || 'never'}`;
+      console.log(`   ${String(k.id).padStart(3)} ${k.prefix}…  ${k.name.padEnd(24)} ${k.role.padEnd(8)} ${state}`);
+    });
+    console.log();
+  },
+
+  async 'key:create'({ apiKeys }, name, role) {
+    requireArg(name, 'name');
+    requireRoleArg(role);
+    const { key, prefix, keyHash } = generateApiKey();
+    const id = await apiKeys.create({ name, role, prefix, keyHash });
+    console.log(`✅ API key ${id} created for "${name}" (${role})\n`);
+    console.log(`   ${key}\n`);
+    console.log('💡 Copy it now - it is not stored and cannot be shown again.');
+    console.log('   Scripts read it from FENWICK_API_KEY (e.g. in .env).');
+  },
+
+  async 'key:revoke'({ apiKeys }, id) {
+    if (!(await apiKeys.revoke(Number(requireArg(id, 'id'))))) {
+      throw new UsageError(`No active API key ${id}`);
+    }
+    console.log(`✅ API key ${id} revoked`);
+  }
+};
+
+async function main() {
+  const [command = 'users', ...args] = process.argv.slice(2);
+  if (!commands[command]) {
+    console.error(`❌ Unknown command "${command}" (expected ${Object.keys(commands).join(', ')})`);
+    process.exit(1);
+  }
+
+  const db = await openDatabase();
+  try {
+    await assertSchemaCurrent(db);
+    await commands[command](createRepositories(db), ...args);
+  } catch (err) {
+    console.error('❌', err.message);
+    if (err instanceof MigrationError) {
+      console.error('💡 Run "npm run db:migrate" first');
+    }
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main();
@@ -0,0 +1,132 @@
+/**
+ * Tests for patchPathErrors / mergeProjectPatch (db/projects.js)
+ * Run with: node mergeProjectPatch.test.js
+ */
+
+import { patchPathErrors, mergeProjectPatch } from './db/projects.js';
+
+const current = {
+  id: 'p1',
+  name: 'Haus TF',
+  client: 'Private',
+  stages: {
+    2: { start: '2024-01', end: '2024-06' },
+    3: { start: '2024-07', end: '2025-01', useDuration: false }
+  }
+};
+
+// Patches as they arrive - parsed from JSON, so "__proto__" is an ordinary key
+const body = (json) => JSON.parse(json);
+
+// Merge tests give the expected project; path tests the fields reported (empty = accepted)
+const tests = [
+  {
+    name: "Top-level fields are replaced",
+    patch: { name: 'Haus TF II', client: null },
+    expected: { ...current, name: 'Haus TF II', client: null }
+  },
+  {
+    name: "Dotted stage field changes only that date",
+    patch: { 'stages.3.start': '2024-08' },
+    expected: { ...current, stages: { ...current.stages, 3: { start: '2024-08', end: '2025-01', useDuration: false } } }
+  },
+  {
+    name: "Nested stage entry merges per field",
+    patch: { stages: { 2: { end: '2024-09' } } },
+    expected: { ...current, stages: { ...current.stages, 2: { start: '2024-01', end: '2024-09' } } }
+  },
+  {
+    name: "Dotted stage entry adds a new stage",
+    patch: { 'stages.5': { start: '2025-03', end: null } },
+    expected: { ...current, stages: { ...current.stages, 5: { start: '2025-03', end: null } } }
+  },
+  {
+    name: "Dotted and nested forms combine",
+    patch: { 'stages.2.start': '2023-12', stages: { 2: { end: '2024-05' } } },
+    expected: { ...current, stages: { ...current.stages, 2: { start: '2023-12', end: '2024-05' } } }
+  },
+  {
+    name: "A null stage entry removes the stage",
+    patch: { stages: { 2: null } },
+    expected: { ...current, stages: { 3: current.stages[3] } }
+  },
+  {
+    name: "A dotted null stage removes it too",
+    patch: { 'stages.3': null },
+    expected: { ...current, stages: { 2: current.stages[2] } }
+  },
+  {
+    name: "Paths: plain and stage paths are accepted",
+    paths: { name: 'X', 'stages.3.start': '2024-01', 'stages.0': null, stages: { 7: {} } },
+    expected: []
+  },
+  {
+    name: "Paths: __proto__ is rejected",
+    paths: body('{"__proto__.polluted": "yes", "__proto__": {"polluted": "yes"}}'),
+    expected: ['__proto__', '__proto__.polluted']
+  },
+  {
+    name: "Paths: constructor and prototype are rejected anywhere",
+    paths: { 'constructor.prototype.polluted': 'yes', 'stages.3.constructor': 1, 'name.prototype': 'x' },
+    expected: ['constructor.prototype.polluted', 'name.prototype', 'stages.3.constructor']
+  },
+  {
+    name: "Paths: unknown first segment is rejected",
+    paths: { 'foo.bar': 1, 'stage.3.start': '2024-01' },
+    expected: ['foo.bar', 'stage.3.start']
+  },
+  {
+    name: "Paths: stages outside 0-7 are rejected",
+    paths: { 'stages.8.start': '2024-01', 'stages.x': {}, stages: { 9: {}, 1: {} } },
+    expected: ['stages.8.start', 'stages.9', 'stages.x']
+  },
+  {
+    name: "Paths: __proto__ inside a stages object is rejected",
+    paths: { stages: body('{"__proto__": {"start": "2024-01"}}') },
+    expected: ['stages.__proto__']
+  }
+];
+
+// Run tests
+let passed = 0;
+let failed = 0;
+
+console.log('🧪 Running mergeProjectPatch tests...\n');
+
+tests.forEach((test, index) => {
+  const result = test.paths
+    ? patchPathErrors(test.paths).map(e => e.field).sort()
+    : mergeProjectPatch(current, test.patch);
+  const expected = test.paths ? [...test.expected].sort() : test.expected;
+  const success = JSON.stringify(result) === JSON.stringify(expected);
+
+  if (success) {
+    passed++;
+    console.log(`✅ Test ${index + 1}: ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ Test ${index + 1}: ${test.name}`);
+    console.log(`   Expected: ${JSON.stringify(expected)}`);
+    console.log(`   Got: ${JSON.stringify(result)}`);
+  }
+});
+
+// Nothing above may have reached Object.prototype
+const total = tests.length + 1;
+if (({}).polluted === undefined) {
+  passed++;
+  console.log(`✅ Test ${total}: Object.prototype is untouched`);
+} else {
+  failed++;
+  console.log(`❌ Test ${total}: Object.prototype is untouched`);
+}
+
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed out of ${total} tests`);
+
+if (failed === 0) {
+  console.log('🎉 All tests passed!');
+  process.exit(0);
+} else {
+  console.log('❌ Some tests failed');
+  process.exit(1);
+}
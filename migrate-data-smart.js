@@ -1,14 +1,13 @@
 import fs from 'fs';
 import fetch from 'node-fetch';
-
-// Your live backend URL
-const API_URL = 'https://fenwick-backend.onrender.com/api';
+import { validateProject } from './schemas/index.js';
+import { API_URL, apiHeaders } from './api-client.js';
 
 async function checkProductionSchema() {
   console.log('🔍 Checking production database schema...\n');
 
   try {
-    const response = await fetch(`${API_URL}/data`);
+    const response = await fetch(`${API_URL}/data`, { headers: apiHeaders() });
     const data = await response.json();
 
     console.log(`📊 Production database contains:`);
@@ -64,18 +63,29 @@ async function migrateData() {
 
       console.log(`[${i + 1}/${backup.projects.length}] ${project.name}`);
 
+      const errors = validateProject(project);
+      if (errors.length > 0) {
+        console.log(`   ❌ Invalid: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+        skipped++;
+        continue;
+      }
+
       try {
         if (existing) {
           // Project exists - UPDATE it
           const response = await fetch(`${API_URL}/projects/${project.id}`, {
             method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
+            headers: apiHeaders({ 'Content-Type': 'application/json', 'X-Change-Source': 'migrate' }),
             body: JSON.stringify(project)
           });
 
           if (response.ok) {
             console.log(`   ✅ Updated`);
             updated++;
+          } else if (response.status === 409) {
+            // The backup carries the version it was taken at; production has moved on since
+            console.log(`   ⚠️  Skipped: changed in production since the backup was taken`);
+            skipped++;
           } else {
             const error = await response.json();
             console.log(`   ❌ Failed to update: ${error.error}`);
@@ -85,7 +95,7 @@ async function migrateData() {
           // Project doesn't exist - CREATE it
           const response = await fetch(`${API_URL}/projects`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: apiHeaders({ 'Content-Type': 'application/json', 'X-Change-Source': 'migrate' }),
             body: JSON.stringify(project)
           });
 
@@ -1,8 +1,7 @@
 import fs from 'fs';
 import fetch from 'node-fetch';
-
-// Your live backend URL
-const API_URL = 'https://fenwick-backend.onrender.com/api';
+import { validateProject } from './schemas/index.js';
+import { API_URL, apiHeaders } from './api-client.js';
 
 async function migrateData() {
   console.log('🚀 Starting data migration...\n');
@@ -12,36 +11,39 @@ async function migrateData() {
     const data = JSON.parse(fs.readFileSync('./backup-data.json', 'utf8'));
     console.log(`📊 Found ${data.projects.length} projects to migrate\n`);
     
-    // Upload each project
-    for (let i = 0; i < data.projects.length; i++) {
-      const project = data.projects[i];
-      console.log(`⬆️  Uploading project ${i + 1}/${data.projects.length}: ${project.name}`);
-      
-      try {
-        const response = await fetch(`${API_URL}/projects`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(project)
-        });
-        
-        if (response.ok) {
-          console.log(`   ✅ Success!`);
-        } else {
-          const error = await response.json();
-          console.log(`   ❌ Failed: ${error.error}`);
-        }
-      } catch (err) {
-        console.log(`   ❌ Error: ${err.message}`);
+    // Validate locally first so the report names every bad project
+    const valid = [];
+    data.projects.forEach((project, i) => {
+      const errors = validateProject(project);
+      if (errors.length > 0) {
+        console.log(`❌ Skipping project ${i + 1}/${data.projects.length}: ${project.name}`);
+        console.log(`   Invalid: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+      } else {
+        valid.push(project);
+      }
+    });
+
+    // Upload everything in one atomic batch - all projects land, or none do
+    console.log(`⬆️  Uploading ${valid.length} projects...`);
+    const response = await fetch(`${API_URL}/batch`, {
+      method: 'POST',
+      headers: apiHeaders({
+        'Content-Type': 'application/json',
+        'X-Change-Source': 'migrate'
+      }),
+      body: JSON.stringify({ operations: valid.map(project => ({ op: 'create', project })) })
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      for (const r of (result.results || []).filter(r => r.status === 'failed' || r.status === 'invalid')) {
+        console.log(`   ❌ ${valid[r.index].name}: ${r.error || 'invalid'}`);
       }
-      
-      // Small delay to avoid overwhelming the server
-      await new Promise(resolve => setTimeout(resolve, 100));
+      throw new Error(`${result.error || response.status} - nothing was uploaded`);
     }
-    
+    console.log(`   ✅ ${result.results.length} projects uploaded`);
+
     console.log('\n🎉 Migration complete!');
-    console.log(`✅ Successfully uploaded projects to PostgreSQL database`);
     console.log(`\nCheck your live app: https://fenwick-frontend.vercel.app/`);
     
   } catch (error) {
@@ -0,0 +1,97 @@
+// Copies stored media (images, originals, variants) from one storage driver to another
+// Usage:
+//   node migrate-media.js --to <driver> [--from <driver>]
+//
+// Drivers: database, filesystem, s3 (see storage/index.js). --from defaults to the
+// configured MEDIA_STORAGE. Objects already in the target are skipped, so an
+// interrupted copy can simply be run again. Nothing is deleted from the source.
+// Switch MEDIA_STORAGE to the target once the copy reports no errors.
+// Background export files (exports/) are short-lived and not copied; after the
+// switch their downloads answer as expired.
+
+import 'dotenv/config';
+import { openDatabase, createRepositories } from './db/index.js';
+import { assertSchemaCurrent, MigrationError } from './db/migrate.js';
+import { MEDIA_DRIVERS, resolveMediaDriver, createMediaStorage } from './storage/index.js';
+
+class UsageError extends Error {}
+
+function parseArgs(args) {
+  const options = { from: null, to: null };
+  for (let i = 0; i < args.length; i += 2) {
+    const [flag, value] = [args[i], args[i + 1]];
+    if ((flag !== '--from' && flag !== '--to') || !MEDIA_DRIVERS.includes(value)) {
+      throw new UsageError(`Expected --from/--to <${MEDIA_DRIVERS.join('|')}>, got "${args.slice(i).join(' ')}"`);
+    }
+    options[flag.slice(2)] = value;
+  }
+  if (!options.to) throw new UsageError('Missing --to <driver>');
+  options.from = options.from || resolveMediaDriver();
+  if (options.from === options.to) throw new UsageError(`Source and target are both "${options.to}"`);
+  return options;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error('❌', err.message);
+    process.exit(1);
+  }
+
+  const db = await openDatabase();
+  try {
+    await assertSchemaCurrent(db);
+    const source = createMediaStorage(options.from, db);
+    const target = createMediaStorage(options.to, db);
+    const objects = await createRepositories(db).images.listObjects();
+
+    console.log(`📦 Copying ${objects.length} media object(s): ${options.from} → ${options.to}\n`);
+    let copied = 0, present = 0, staleVariants = 0;
+    const missing = [];
+
+    for (const [i, { key, contentType }] of objects.entries()) {
+      if (await target.exists(key)) {
+        present++;
+        continue;
+      }
+      const data = await source.get(key);
+      // Missing variants are harmless - they are rendered again on request
+      if (!data && key.startsWith('variants/')) {
+        staleVariants++;
+        continue;
+      }
+      if (!data) {
+        missing.push(key);
+        console.log(`❌ [${i + 1}/${objects.length}] ${key} - not in ${options.from} storage`);
+        continue;
+      }
+      await target.put(key, data, { contentType });
+      copied++;
+      console.log(`✅ [${i + 1}/${objects.length}] ${key} (${(data.length / 1024).toFixed(1)} KB)`);
+    }
+
+    console.log('\n📊 Summary:');
+    console.log(`   ✅ Copied: ${copied}`);
+    console.log(`   ⏭️  Already there: ${present}`);
+    console.log(`   ⏭️  Variants to re-render: ${staleVariants}`);
+    console.log(`   ❌ Missing from source: ${missing.length}`);
+    if (missing.length === 0) {
+      console.log(`\n💡 Set MEDIA_STORAGE=${options.to} and restart the server to use it`);
+    } else {
+      console.log('\n⚠️  Missing objects need restoring before switching drivers');
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error('❌', err.message);
+    if (err instanceof MigrationError) {
+      console.error('💡 Run "npm run db:migrate" first');
+    }
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main();
@@ -0,0 +1,63 @@
+// Schema migration CLI
+// Usage:
+//   node migrate-schema.js status          Show applied, pending and failed migrations
+//   node migrate-schema.js up [--to N]     Apply pending migrations (up to version N)
+//   node migrate-schema.js down [--steps N] Roll back the last N migrations (default 1)
+//
+// Uses the same DB_DRIVER / DATABASE_URL / SQLITE_FILE configuration as the server.
+
+import 'dotenv/config';
+import { openDatabase } from './db/index.js';
+import { getMigrationStatus, migrateUp, migrateDown } from './db/migrate.js';
+
+const STATUS_ICONS = { applied: '✅', pending: '⏳', failed: '❌', missing: '⚠️ ' };
+
+function readOption(name) {
+  const index = process.argv.indexOf(name);
+  if (index === -1) return undefined;
+  const value = Number(process.argv[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    console.error(`❌ ${name} expects a non-negative integer`);
+    process.exit(1);
+  }
+  return value;
+}
+
+async function printStatus(db) {
+  const status = await getMigrationStatus(db);
+  console.log('\n📋 Schema migrations:\n');
+  status.forEach(m => {
+    console.log(`   ${STATUS_ICONS[m.status]} ${String(m.version).padStart(3, '0')} ${m.description} (${m.status})`);
+    if (m.error) console.log(`        ${m.error}`);
+  });
+  console.log();
+}
+
+async function main() {
+  const command = process.argv[2] || 'status';
+  const db = await openDatabase();
+
+  try {
+    if (command === 'status') {
+      await printStatus(db);
+    } else if (command === 'up') {
+      const applied = await migrateUp(db, { to: readOption('--to') });
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Schema already up to date');
+    } else if (command === 'down') {
+      const rolledBack = await migrateDown(db, { steps: readOption('--steps') ?? 1 });
+      console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+    } else {
+      console.error(`❌ Unknown command "${command}" (expected status, up or down)`);
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error('❌', err.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main();
@@ -0,0 +1,146 @@
+/**
+ * Tests for parseVariantRequest (images/variants.js)
+ * Run with: node parseVariantRequest.test.js
+ */
+
+import { parseVariantRequest } from './images/variants.js';
+
+const CHROME_ACCEPT = 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8';
+const SAFARI_ACCEPT = 'image/webp,image/png,image/svg+xml,image/*;q=0.8,*/*;q=0.5';
+
+// Each test gives the query (all strings, as Express parses them), the Accept
+// header and the expected { width, format }, or the field expected to be reported
+const tests = [
+  {
+    name: "Width at 1x, format from Accept",
+    query: { w: '320' },
+    accept: CHROME_ACCEPT,
+    expected: { width: 320, format: 'avif' }
+  },
+  {
+    name: "dpr=2 doubles the width",
+    query: { w: '640', dpr: '2' },
+    accept: CHROME_ACCEPT,
+    expected: { width: 1280, format: 'avif' }
+  },
+  {
+    name: "Smallest and largest widths",
+    query: { w: '80' },
+    accept: '',
+    expected: { width: 80, format: 'jpeg' },
+    also: { query: { w: '1280', dpr: '2' }, expected: { width: 2560, format: 'jpeg' } }
+  },
+  {
+    name: "Width outside the whitelist",
+    query: { w: '300' },
+    expected: 'w'
+  },
+  {
+    name: "Missing width",
+    query: { format: 'webp' },
+    expected: 'w'
+  },
+  {
+    name: "Non-numeric width",
+    query: { w: 'big' },
+    expected: 'w'
+  },
+  {
+    name: "dpr outside the whitelist",
+    query: { w: '320', dpr: '3' },
+    expected: 'dpr'
+  },
+  {
+    name: "Fractional dpr",
+    query: { w: '320', dpr: '1.5' },
+    expected: 'dpr'
+  },
+  {
+    name: "WebP without AVIF in Accept",
+    query: { w: '160' },
+    accept: SAFARI_ACCEPT,
+    expected: { width: 160, format: 'webp' }
+  },
+  {
+    name: "JPEG when Accept names neither",
+    query: { w: '160' },
+    accept: 'image/png,image/*;q=0.8',
+    expected: { width: 160, format: 'jpeg' }
+  },
+  {
+    name: "JPEG without an Accept header",
+    query: { w: '160' },
+    accept: undefined,
+    expected: { width: 160, format: 'jpeg' }
+  },
+  {
+    name: "Explicit format wins over Accept",
+    query: { w: '160', format: 'jpeg' },
+    accept: CHROME_ACCEPT,
+    expected: { width: 160, format: 'jpeg' }
+  },
+  {
+    name: "Unknown format",
+    query: { w: '160', format: 'png' },
+    expected: 'format'
+  },
+  {
+    name: "constructor is not a format",
+    query: { w: '80', format: 'constructor' },
+    expected: 'format'
+  },
+  {
+    name: "toString is not a format",
+    query: { w: '80', format: 'toString' },
+    expected: 'format'
+  },
+  {
+    name: "__proto__ is not a format",
+    query: { w: '80', format: '__proto__' },
+    expected: 'format'
+  },
+  {
+    name: "hasOwnProperty is not a format",
+    query: { w: '80', format: 'hasOwnProperty' },
+    expected: 'format'
+  }
+];
+
+// parseVariantRequest result -> what the tests compare
+const outcome = (result) => (result.error ? result.error.field : result);
+
+// Run tests
+let passed = 0;
+let failed = 0;
+
+console.log('🧪 Running parseVariantRequest tests...\n');
+
+tests.forEach((test, index) => {
+  const results = [outcome(parseVariantRequest(test.query, test.accept))];
+  const expected = [test.expected];
+  if (test.also) {
+    results.push(outcome(parseVariantRequest(test.also.query, test.accept)));
+    expected.push(test.also.expected);
+  }
+  const success = JSON.stringify(results) === JSON.stringify(expected);
+
+  if (success) {
+    passed++;
+    console.log(`✅ Test ${index + 1}: ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ Test ${index + 1}: ${test.name}`);
+    console.log(`   Expected: ${JSON.stringify(expected)}`);
+    console.log(`   Got: ${JSON.stringify(results)}`);
+  }
+});
+
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed out of ${tests.length} tests`);
+
+if (failed === 0) {
+  console.log('🎉 All tests passed!');
+  process.exit(0);
+} else {
+  console.log('❌ Some tests failed');
+  process.exit(1);
+}
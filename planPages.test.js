@@ -0,0 +1,174 @@
+/**
+ * Tests for planPages / tileLabel (render/paper.js)
+ * Run with: node planPages.test.js
+ */
+
+import { planPages, tileLabel, PageLayoutError, PX_TO_MM } from './render/paper.js';
+
+// Content of a given size in mm, as the px planPages takes
+const mmContent = (width, height) => ({ width: width / PX_TO_MM, height: height / PX_TO_MM });
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Each test plans the content on the layout and compares the picked parts of
+// the plan, or expects a PageLayoutError (expected: 'error')
+const tests = [
+  {
+    name: "contain: wide content on one landscape A4",
+    content: mmContent(400, 200),
+    layout: { paper: 'A4' },
+    pick: plan => [plan.pageWidth, plan.pageHeight, plan.columns, plan.rows, round(plan.scale)],
+    // area 277x190: limited by the width, 277 / 400
+    expected: [297, 210, 1, 1, 0.693]
+  },
+  {
+    name: "contain: tall content turns the page portrait",
+    content: mmContent(100, 400),
+    layout: { paper: 'A4' },
+    pick: plan => [plan.pageWidth, plan.pageHeight, plan.columns, plan.rows, round(plan.scale)],
+    // area 190x277: limited by the height, 277 / 400
+    expected: [210, 297, 1, 1, 0.693]
+  },
+  {
+    name: "contain: small content is enlarged to fill the page",
+    content: mmContent(50, 20),
+    layout: { paper: 'A4', orientation: 'landscape' },
+    pick: plan => [plan.columns * plan.rows, round(plan.scale)],
+    expected: [1, 5.54]
+  },
+  {
+    name: "width: fills the width and continues downwards",
+    content: mmContent(200, 1000),
+    layout: { paper: 'A4', orientation: 'portrait', fit: 'width' },
+    // scale 0.95 -> 950 mm tall; pages of 277 mm overlapping by 10: ceil(940 / 267) = 4
+    pick: plan => [round(plan.scale), plan.columns, plan.rows, plan.tiles.map(tile => tile.y)],
+    expected: [0.95, 1, 4, [0, 267, 534, 801]]
+  },
+  {
+    name: "height: fills the height and continues across",
+    content: mmContent(2000, 150),
+    layout: { paper: 'A3', fit: 'height', overlap: 0 },
+    // A3 landscape, area 400x277: scale 277 / 150 -> 3693.3 mm wide, ceil(3693.3 / 400) = 10
+    pick: plan => [plan.pageWidth, plan.columns, plan.rows, plan.tiles[1].x],
+    expected: [420, 10, 1, 400]
+  },
+  {
+    name: "none: tiled both ways at the given scale",
+    content: mmContent(500, 500),
+    layout: { paper: 'A4', fit: 'none', scale: 1 },
+    // Square content -> portrait, area 190x277: ceil(490 / 180) = 3 across, ceil(490 / 267) = 2 down
+    pick: plan => [plan.columns, plan.rows, plan.tiles.length, plan.tiles.map(tile => [tile.column, tile.row, tile.x, tile.y])[5]],
+    expected: [3, 2, 6, [2, 1, 360, 267]]
+  },
+  {
+    name: "none: content that just fits is a single page",
+    content: mmContent(190.005, 277),
+    layout: { paper: 'A4', orientation: 'portrait', fit: 'none' },
+    pick: plan => [plan.columns, plan.rows],
+    expected: [1, 1]
+  },
+  {
+    name: "Overlap is capped at half the area",
+    content: mmContent(1000, 100),
+    layout: { paper: 'A4', fit: 'height', margin: 100, overlap: 50 },
+    // Area 97x10 (landscape): overlap min(50, 48.5, 5) = 5; scale 0.1 -> 100 mm, ceil(95 / 92) = 2
+    pick: plan => [plan.overlap, plan.area.width, plan.area.height, plan.columns],
+    expected: [5, 97, 10, 2]
+  },
+  {
+    name: "Bleed and crop marks grow the sheet around the trim",
+    content: mmContent(400, 200),
+    layout: { paper: 'A4', bleed: 3, cropMarks: true },
+    pick: plan => [plan.pageWidth, plan.pageHeight, plan.offset, plan.trim.width, plan.area.x],
+    // offset = bleed 3 + slug 8; area starts after the margin too
+    expected: [319, 232, 11, 297, 21]
+  },
+  {
+    name: "Header and footer bands come out of the area",
+    content: mmContent(400, 200),
+    layout: { paper: 'A4', header: 'Fenwick', footer: '{page}' },
+    pick: plan => [plan.headerHeight, plan.footerHeight, plan.area.y, plan.area.height],
+    expected: [8, 8, 18, 174]
+  },
+  {
+    name: "MAX_PAGES: 100 pages is allowed",
+    content: mmContent(1900, 2770),
+    layout: { paper: 'A4', orientation: 'portrait', fit: 'none', overlap: 0 },
+    // Exactly 10 x 10 tiles of 190x277
+    pick: plan => plan.tiles.length,
+    expected: 100
+  },
+  {
+    name: "MAX_PAGES: one more column is refused",
+    content: mmContent(1901, 2770),
+    layout: { paper: 'A4', orientation: 'portrait', fit: 'none', overlap: 0 },
+    expected: 'error'
+  },
+  {
+    name: "MAX_PAGES: a large scale is refused",
+    content: mmContent(1000, 1000),
+    layout: { paper: 'A4', fit: 'none', scale: 20 },
+    expected: 'error'
+  },
+  {
+    name: "Margins wider than the paper leave no area",
+    content: mmContent(400, 200),
+    layout: { paper: 'A4', margin: 110 },
+    expected: 'error'
+  },
+  {
+    name: "Margins plus header and footer leave no area",
+    content: mmContent(400, 200),
+    layout: { paper: 'A4', margin: 97, header: 'H', footer: 'F' },
+    // Landscape height 210 - 194 - 16 = 0
+    expected: 'error'
+  }
+];
+
+// Run tests
+let passed = 0;
+let failed = 0;
+
+console.log('🧪 Running planPages tests...\n');
+
+tests.forEach((test, index) => {
+  let result;
+  try {
+    result = test.pick(planPages(test.content, test.layout));
+  } catch (err) {
+    result = err instanceof PageLayoutError ? 'error' : `${err.name}: ${err.message}`;
+  }
+  const success = JSON.stringify(result) === JSON.stringify(test.expected);
+
+  if (success) {
+    passed++;
+    console.log(`✅ Test ${index + 1}: ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ Test ${index + 1}: ${test.name}`);
+    console.log(`   Expected: ${JSON.stringify(test.expected)}`);
+    console.log(`   Got: ${JSON.stringify(result)}`);
+  }
+});
+
+// Tile labels as written on tiled posters: row letter, column number
+const labels = [{ column: 0, row: 0 }, { column: 2, row: 1 }, { column: 9, row: 25 }].map(tileLabel);
+const total = tests.length + 1;
+if (JSON.stringify(labels) === JSON.stringify(['A1', 'B3', 'Z10'])) {
+  passed++;
+  console.log(`✅ Test ${total}: tileLabel`);
+} else {
+  failed++;
+  console.log(`❌ Test ${total}: tileLabel`);
+  console.log(`   Got: ${JSON.stringify(labels)}`);
+}
+
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed out of ${total} tests`);
+
+if (failed === 0) {
+  console.log('🎉 All tests passed!');
+  process.exit(0);
+} else {
+  console.log('❌ Some tests failed');
+  process.exit(1);
+}
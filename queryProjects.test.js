@@ -0,0 +1,235 @@
+/**
+ * Tests for projects.query() (db/projects.js) and GET /api/projects (routes/projects.js):
+ * sorting with ties, cursor pagination, filters and field projection
+ * Run with: node queryProjects.test.js
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { openSQLiteDatabase } from './db/sqlite.js';
+import { migrateUp } from './db/migrate.js';
+import { createRepositories } from './db/index.js';
+import { encodeCursor, decodeCursor } from './db/projects.js';
+import { createProjectsRouter } from './routes/projects.js';
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fenwick-query-'));
+const db = await openSQLiteDatabase(path.join(tempDir, 'test.db'));
+await migrateUp(db);
+const repos = createRepositories(db);
+
+// Ties on purpose: p3/p4 share a number, p1/p4 a name (case aside); p3 has no dates
+const fixtures = [
+  { id: 'p1', number: 3, name: 'Bravo', projectTypes: ['Residential'], location: 'London', completed: true,
+    stages: { 2: { start: '2020-01', end: '2020-12' } } },
+  { id: 'p2', number: 1, name: 'alpha', projectTypes: ['Commercial'], location: 'Leeds',
+    stages: { 0: { start: '2022-03', end: '2023-06' } } },
+  { id: 'p3', number: 2, name: 'Charlie', projectTypes: ['Residential', 'Hotel'], location: 'Leeds Dock',
+    stages: {} },
+  { id: 'p4', number: 2, name: 'bravo', projectTypes: ['Hotel'], practiceName: 'Fenwick',
+    stages: { 1: { start: '2021-05', end: null } } },
+  { id: 'p5', number: 5, name: 'Echo', projectTypes: ['Commercial'],
+    stages: { 3: { start: '2019-06', end: '2024-02' } } }
+];
+for (const project of fixtures) await repos.projects.create(project);
+
+const month = (year, m) => year * 12 + m - 1;
+const ids = async (options) => (await repos.projects.query(options)).projects.map(p => p.id);
+
+// Follows nextCursor to the end -> the ids of each page
+async function pages(options) {
+  const result = [];
+  let cursor = null;
+  do {
+    const page = await repos.projects.query({ ...options, cursor });
+    result.push(page.projects.map(p => p.id));
+    cursor = page.nextCursor && decodeCursor(page.nextCursor);
+  } while (cursor && result.length < 10);
+  return result;
+}
+
+// The router on an ephemeral port, for what the query string turns into
+const app = express();
+app.use('/api/projects', createProjectsRouter(repos));
+const server = await new Promise(resolve => {
+  const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+});
+const baseUrl = `http://127.0.0.1:${server.address().port}/api/projects`;
+
+async function get(query) {
+  const response = await fetch(`${baseUrl}?${query}`);
+  return { status: response.status, body: await response.json() };
+}
+
+// Each test returns a value compared with `expected`
+const tests = [
+  {
+    name: "Sort by number, ties by id",
+    run: () => ids({ sort: 'number' }),
+    expected: ['p2', 'p3', 'p4', 'p1', 'p5']
+  },
+  {
+    name: "Reversed sort keeps ties in id order",
+    run: () => ids({ sort: 'number', descending: true }),
+    expected: ['p5', 'p1', 'p3', 'p4', 'p2']
+  },
+  {
+    name: "Sort by name ignores case, ties by id",
+    run: () => ids({ sort: 'name' }),
+    expected: ['p2', 'p1', 'p4', 'p3', 'p5']
+  },
+  {
+    name: "Sort by start puts undated projects last",
+    run: () => ids({ sort: 'start' }),
+    expected: ['p5', 'p1', 'p4', 'p2', 'p3']
+  },
+  {
+    name: "Reversed start still puts undated projects last",
+    run: () => ids({ sort: 'start', descending: true }),
+    expected: ['p2', 'p4', 'p1', 'p5', 'p3']
+  },
+  {
+    name: "Pages follow the sort across a tie",
+    run: () => pages({ sort: 'number', limit: 2 }),
+    expected: [['p2', 'p3'], ['p4', 'p1'], ['p5']]
+  },
+  {
+    name: "Pages follow a reversed sort across null keys",
+    run: () => pages({ sort: 'start', descending: true, limit: 2 }),
+    expected: [['p2', 'p4'], ['p1', 'p5'], ['p3']]
+  },
+  {
+    name: "Last page has no nextCursor",
+    run: async () => (await repos.projects.query({ limit: 5 })).nextCursor,
+    expected: null
+  },
+  {
+    name: "Cursors round-trip",
+    run: () => decodeCursor(encodeCursor(null, 'p3')),
+    expected: [null, 'p3']
+  },
+  {
+    name: "Type filter matches any type, ignoring case",
+    run: () => ids({ filters: { types: ['hotel', 'COMMERCIAL'] } }),
+    expected: ['p2', 'p3', 'p4', 'p5']
+  },
+  {
+    name: "practiceName, completed and location filters",
+    run: async () => [
+      await ids({ filters: { practiceName: 'fenwick' } }),
+      await ids({ filters: { completed: true } }),
+      await ids({ filters: { location: 'leeds' } })
+    ],
+    expected: [['p4'], ['p1'], ['p2', 'p3']]
+  },
+  {
+    name: "activeFrom keeps projects ending on or after it",
+    run: () => ids({ filters: { activeFrom: month(2021, 1) } }),
+    expected: ['p2', 'p4', 'p5']
+  },
+  {
+    name: "activeTo keeps projects starting on or before it",
+    run: () => ids({ filters: { activeTo: month(2020, 12) } }),
+    expected: ['p1', 'p5']
+  },
+  {
+    name: "activeFrom and activeTo together, touching at both ends",
+    run: () => ids({ filters: { activeFrom: month(2020, 12), activeTo: month(2021, 5) } }),
+    expected: ['p4', 'p1', 'p5']
+  },
+  {
+    name: "Field projection returns only those fields",
+    run: async () => (await repos.projects.query({ fields: ['id', 'name'], limit: 2 })).projects,
+    expected: [{ id: 'p2', name: 'alpha' }, { id: 'p3', name: 'Charlie' }]
+  },
+  {
+    name: "Projection still sorts and filters on fields it leaves out",
+    run: async () => (await repos.projects.query({ fields: ['name'], sort: 'start', filters: { types: ['Hotel'] } })).projects,
+    expected: [{ name: 'bravo' }, { name: 'Charlie' }]
+  },
+  {
+    name: "GET: query string, fields always with id and version",
+    run: async () => {
+      const { status, body } = await get('type=Residential&sort=-number&fields=name');
+      return [status, body.projects.map(p => Object.keys(p).sort().join(','))];
+    },
+    expected: [200, ['id,name,version', 'id,name,version']]
+  },
+  {
+    name: "GET: bare years cover the whole year at both ends",
+    run: async () => [
+      (await get('activeFrom=2020&activeTo=2021&fields=id')).body.projects.map(p => p.id),
+      (await get('activeFrom=2021&activeTo=2022&fields=id')).body.projects.map(p => p.id)
+    ],
+    expected: [['p4', 'p1', 'p5'], ['p2', 'p4', 'p5']]
+  },
+  {
+    name: "GET: nextCursor leads to the next page",
+    run: async () => {
+      const first = await get('limit=3&fields=id');
+      const second = await get(`limit=3&fields=id&cursor=${first.body.nextCursor}`);
+      return [...first.body.projects, ...second.body.projects].map(p => p.id);
+    },
+    expected: ['p2', 'p3', 'p4', 'p1', 'p5']
+  },
+  {
+    name: "GET: cursor that is not base64 JSON is a 400",
+    run: async () => {
+      const { status, body } = await get('cursor=not-a-cursor');
+      return [status, body.details.map(d => d.field)];
+    },
+    expected: [400, ['cursor']]
+  },
+  {
+    name: "GET: tampered cursors are a 400",
+    run: async () => Promise.all(['{"key":1}', '[1,2]', '[1,"p1",3]', '"p1"'].map(async json =>
+      (await get(`cursor=${Buffer.from(json).toString('base64url')}`)).status)),
+    expected: [400, 400, 400, 400]
+  },
+  {
+    name: "GET: unknown field, bad sort and limit are 400s",
+    run: async () => (await get('fields=secret&sort=colour&limit=0')).body.details.map(d => d.field).sort(),
+    expected: ['fields', 'limit', 'sort']
+  }
+];
+
+// Run tests
+let passed = 0;
+let failed = 0;
+
+console.log('\n🧪 Running query tests...\n');
+
+for (const [index, test] of tests.entries()) {
+  let result;
+  try {
+    result = await test.run();
+  } catch (err) {
+    result = `${err.name}: ${err.message}`;
+  }
+  const success = JSON.stringify(result) === JSON.stringify(test.expected);
+
+  if (success) {
+    passed++;
+    console.log(`✅ Test ${index + 1}: ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ Test ${index + 1}: ${test.name}`);
+    console.log(`   Expected: ${JSON.stringify(test.expected)}`);
+    console.log(`   Got: ${JSON.stringify(result)}`);
+  }
+}
+
+server.close();
+await db.close();
+await fs.rm(tempDir, { recursive: true, force: true });
+
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed out of ${tests.length} tests`);
+
+if (failed === 0) {
+  console.log('🎉 All tests passed!');
+  process.exit(0);
+} else {
+  console.log('❌ Some tests failed');
+  process.exit(1);
+}
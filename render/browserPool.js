@@ -0,0 +1,138 @@
+// Browser pool - one shared headless Chromium for every server-side render.
+//
+// Launching Chromium takes a second or more, so the browser starts on first use
+// and stays up. A render borrows a page with withPage(): at most `size` run at
+// once, later ones wait in a queue of at most `maxQueue` (beyond that
+// RenderQueueFullError). A render that runs past `timeoutMs` fails with
+// RenderTimeoutError. Each page has its own browser context, so nothing carries
+// over between renders; `setupPage(page)` prepares each new one (see
+// render/sandbox.js). A page that failed, timed out or served `maxUses`
+// renders is closed instead of reused. If the browser crashes, the next
+// request launches a new one.
+
+import puppeteer from 'puppeteer';
+
+export class RenderQueueFullError extends Error {}
+export class RenderTimeoutError extends Error {}
+
+export const BROWSER_ARGS = ['--no-sandbox', '--disable-setuid-sandbox'];
+
+const launchChromium = () => puppeteer.launch({ headless: true, args: BROWSER_ARGS });
+
+export function createBrowserPool({
+  launch = launchChromium,
+  setupPage = async () => {},
+  size = 2,
+  maxQueue = 20,
+  timeoutMs = 30000,
+  maxUses = 50
+} = {}) {
+  let browserPromise = null;
+  let closed = false;
+  let busy = 0;
+  const idle = [];     // { browser, context, page, uses }
+  const waiting = [];  // { resolve, reject } of queued renders
+
+  function getBrowser() {
+    if (!browserPromise) {
+      const launching = launch().then((browser) => {
+        browser.on('disconnected', () => {
+          if (browserPromise === launching) browserPromise = null;
+        });
+        return browser;
+      });
+      launching.catch(() => {
+        if (browserPromise === launching) browserPromise = null;
+      });
+      browserPromise = launching;
+    }
+    return browserPromise;
+  }
+
+  // A render slot - immediately, or once a running render hands its slot on
+  async function acquireSlot() {
+    if (closed) throw new Error('Browser pool is closed');
+    if (busy < size) {
+      busy++;
+      return;
+    }
+    if (waiting.length >= maxQueue) {
+      throw new RenderQueueFullError(`Render queue is full (${maxQueue} waiting)`);
+    }
+    await new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  }
+
+  function releaseSlot() {
+    const next = waiting.shift();
+    if (next) next.resolve();
+    else busy--;
+  }
+
+  async function takePage() {
+    while (idle.length > 0) {
+      const entry = idle.pop();
+      if (entry.browser.connected && !entry.page.isClosed()) return entry;
+    }
+    const browser = await getBrowser();
+    const context = await browser.createBrowserContext();
+    const entry = { browser, context, page: await context.newPage(), uses: 0 };
+    try {
+      await setupPage(entry.page);
+    } catch (err) {
+      await discard(entry);
+      throw err;
+    }
+    return entry;
+  }
+
+  async function discard(entry) {
+    try {
+      await entry.context.close();
+    } catch {
+      // Already gone with its browser
+    }
+  }
+
+  return {
+    // Runs `render(page)` and returns its result
+    async withPage(render) {
+      await acquireSlot();
+      let entry = null;
+      let timer;
+      try {
+        entry = await takePage();
+        const timeout = new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new RenderTimeoutError(`Render took longer than ${timeoutMs} ms`)), timeoutMs);
+        });
+        const result = await Promise.race([render(entry.page), timeout]);
+        entry.uses++;
+        if (entry.uses < maxUses && !closed) {
+          idle.push(entry);
+          entry = null;
+        }
+        return result;
+      } finally {
+        clearTimeout(timer);
+        // Closing the context also aborts whatever a timed-out render is still doing
+        if (entry) await discard(entry);
+        releaseSlot();
+      }
+    },
+
+    stats() {
+      return { size, busy, idle: idle.length, waiting: waiting.length };
+    },
+
+    // Rejects queued renders and closes the browser; for shutdown
+    async close() {
+      closed = true;
+      waiting.splice(0).forEach(({ reject }) => reject(new Error('Browser pool is closed')));
+      idle.length = 0;
+      const launching = browserPromise;
+      browserPromise = null;
+      if (launching) {
+        await launching.then(browser => browser.close(), () => {});
+      }
+    }
+  };
+}
@@ -0,0 +1,75 @@
+// Export queue - runs background export jobs (routes/exports.js) in this
+// process, `concurrency` at a time, so a large export never holds an HTTP
+// request open. Renders still go through the browser pool; when the pool's own
+// queue is full a job waits `retryDelayMs` and tries again rather than failing.
+// Jobs live in memory only: the ones queued or running when the server stops
+// are marked failed on the next start (see server.js).
+
+import { RenderQueueFullError } from './browserPool.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// jobs: the export job repository (db/exportJobs.js)
+export function createExportQueue({ jobs, concurrency = 1, maxQueue = 20, retryDelayMs = 10000 }) {
+  const waiting = [];  // { id, name, render } not started yet
+  let running = 0;
+
+  async function renderWhenFree(render) {
+    for (;;) {
+      try {
+        return await render();
+      } catch (err) {
+        if (!(err instanceof RenderQueueFullError)) throw err;
+        await delay(retryDelayMs);
+      }
+    }
+  }
+
+  async function execute({ id, name, render }) {
+    try {
+      await jobs.start(id);
+      const { data, mimeType, extension } = await renderWhenFree(render);
+      await jobs.finish(id, { data, mimeType, filename: `${name}.${extension}` });
+      console.log(`✅ Export ${id} done (${data.length} bytes)`);
+    } catch (err) {
+      console.error(`❌ Export ${id} failed:`, err.message);
+      try {
+        await jobs.fail(id, err.message);
+      } catch (failErr) {
+        console.error('❌ Error:', failErr);
+      }
+    }
+  }
+
+  function next() {
+    while (running < concurrency && waiting.length > 0) {
+      running++;
+      execute(waiting.shift()).finally(() => {
+        running--;
+        next();
+      });
+    }
+  }
+
+  return {
+    // Whether another job fits in the queue
+    accepting() {
+      return waiting.length < maxQueue;
+    },
+
+    // Queues job `id`; render() -> { data, mimeType, extension }, saved as `${name}.${extension}`
+    enqueue(id, { name, render }) {
+      waiting.push({ id, name, render });
+      next();
+    },
+
+    // 1 for the next job to start, 0 once started (or unknown)
+    position(id) {
+      return waiting.findIndex(job => job.id === id) + 1;
+    },
+
+    stats() {
+      return { running, waiting: waiting.length };
+    }
+  };
+}
@@ -0,0 +1,39 @@
+// Fonts for server-side renders, embedded as data: URIs so a render never
+// touches the network. The timeline is set in Helvetica Neue / Helvetica /
+// Arial, which a server usually lacks, so those names (and Arimo, their
+// metric-compatible open equivalent) all resolve to Arimo from
+// @fontsource/arimo. Text lays out the same on every machine.
+
+import fs from 'fs';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+export const FONT_FAMILIES = ['Arimo', 'Helvetica Neue', 'Helvetica', 'Arial'];
+
+// The weights the timeline uses -> the Arimo file that serves each (there is no Arimo Light)
+const WEIGHT_FILES = { 300: 400, 400: 400, 500: 500, 700: 700 };
+
+let css = null;
+
+function fontDataUri(weight) {
+  const file = require.resolve(`@fontsource/arimo/files/arimo-latin-${weight}-normal.woff2`);
+  return `data:font/woff2;base64,${fs.readFileSync(file).toString('base64')}`;
+}
+
+// @font-face rules for every family and weight, built once
+export function fontFaceCss() {
+  if (css === null) {
+    const sources = Object.fromEntries(
+      [...new Set(Object.values(WEIGHT_FILES))].map(weight => [weight, fontDataUri(weight)])
+    );
+    css = FONT_FAMILIES.flatMap(family => Object.entries(WEIGHT_FILES).map(([weight, file]) => `
+      @font-face {
+        font-family: '${family}';
+        font-style: normal;
+        font-weight: ${weight};
+        src: url(${sources[file]}) format('woff2');
+      }`)).join('\n');
+  }
+  return css;
+}
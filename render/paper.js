@@ -0,0 +1,130 @@
+// Paper layout for PDF export - how content of a given pixel size lands on
+// named paper: orientation, scale, tiling across pages, bleed and crop marks.
+// All lengths are millimetres; content is measured in CSS pixels (96 per inch).
+//
+// A page (sheet) is built from the outside in:
+//   slug      room for crop marks, only when cropMarks is on
+//   bleed     background carried past the trim edge, cut off after printing
+//   trim      the paper size itself
+//   margin    blank border inside the trim
+//   header / footer bands, when there is text for them
+//   area      where content is drawn
+
+export class PageLayoutError extends Error {}
+
+export const PX_TO_MM = 25.4 / 96;
+
+// Portrait width x height
+export const PAPER_SIZES = {
+  A4: [210, 297],
+  A3: [297, 420],
+  A2: [420, 594],
+  A1: [594, 841],
+  A0: [841, 1189],
+  Letter: [215.9, 279.4],
+  Legal: [215.9, 355.6],
+  Tabloid: [279.4, 431.8]
+};
+
+export const ORIENTATIONS = ['auto', 'portrait', 'landscape'];
+
+// contain: the whole content on one page, scaled to fit
+// width:   scaled to the page width, continued on further pages downwards
+// height:  scaled to the page height, continued on further pages across (wide timelines)
+// none:    at `scale`, tiled both ways as needed
+export const FIT_MODES = ['contain', 'width', 'height', 'none'];
+
+export const LAYOUT_DEFAULTS = {
+  orientation: 'auto',
+  fit: 'contain',
+  scale: 1,
+  margin: 10,
+  overlap: 10,
+  bleed: 0,
+  cropMarks: false,
+  header: '',
+  footer: ''
+};
+
+const SLUG = 8;
+const BAND = 8;
+const MAX_PAGES = 100;
+
+// Number of tiles needed to cover `length` with tiles of `size` that overlap by `overlap`
+function tileCount(length, size, overlap) {
+  if (length <= size + 0.01) return 1;
+  return Math.ceil((length - overlap) / (size - overlap) - 0.0001);
+}
+
+// { width, height } in px + layout options -> the page plan renderPdf draws:
+// { pageWidth, pageHeight, trim, offset, area, scale, columns, rows, tiles: [{ column, row, x, y }] }
+// `area` is relative to the page; tile x/y are the content offsets (mm, scaled) shown on that page.
+export function planPages({ width, height }, layout) {
+  const options = { ...LAYOUT_DEFAULTS, ...layout };
+  const contentWidth = width * PX_TO_MM;
+  const contentHeight = height * PX_TO_MM;
+
+  const [short, long] = PAPER_SIZES[options.paper];
+  const landscape = options.orientation === 'landscape'
+    || (options.orientation === 'auto' && contentWidth > contentHeight);
+  const trim = landscape ? { width: long, height: short } : { width: short, height: long };
+
+  const offset = options.bleed + (options.cropMarks ? SLUG : 0);
+  const headerHeight = options.header ? BAND : 0;
+  const footerHeight = options.footer ? BAND : 0;
+  const area = {
+    x: offset + options.margin,
+    y: offset + options.margin + headerHeight,
+    width: trim.width - 2 * options.margin,
+    height: trim.height - 2 * options.margin - headerHeight - footerHeight
+  };
+  if (area.width <= 0 || area.height <= 0) {
+    throw new PageLayoutError('Margins, header and footer leave no room on the page');
+  }
+
+  const scale = {
+    contain: Math.min(area.width / contentWidth, area.height / contentHeight),
+    width: area.width / contentWidth,
+    height: area.height / contentHeight,
+    none: options.scale
+  }[options.fit];
+
+  const scaledWidth = contentWidth * scale;
+  const scaledHeight = contentHeight * scale;
+  const overlap = Math.min(options.overlap, area.width / 2, area.height / 2);
+  const columns = tileCount(scaledWidth, area.width, overlap);
+  const rows = tileCount(scaledHeight, area.height, overlap);
+
+  // A large scale on small paper could otherwise ask for thousands of sheets
+  if (columns * rows > MAX_PAGES) {
+    throw new PageLayoutError(`Layout needs ${columns * rows} pages, more than ${MAX_PAGES}; use a smaller scale or larger paper`);
+  }
+
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      tiles.push({ column, row, x: column * (area.width - overlap), y: row * (area.height - overlap) });
+    }
+  }
+
+  return {
+    pageWidth: trim.width + 2 * offset,
+    pageHeight: trim.height + 2 * offset,
+    trim,
+    offset,
+    bleed: options.bleed,
+    area,
+    headerHeight,
+    footerHeight,
+    scale,
+    overlap,
+    columns,
+    rows,
+    tiles
+  };
+}
+
+// "B3" for the tile in the second row, third column - as written on tiled posters
+export function tileLabel({ column, row }) {
+  return `${String.fromCharCode(65 + (row % 26))}${column + 1}`;
+}
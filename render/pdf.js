@@ -0,0 +1,227 @@
+// PDF export - renders the timeline markup the frontend sends into a PDF, on a
+// page borrowed from the browser pool (render/browserPool.js). The markup is
+// sanitized and rendered offline with embedded fonts (render/sandbox.js).
+//
+// Without a layout the PDF is one page sized to the content. With a layout
+// (render/paper.js) it goes on named paper: scaled, tiled over as many sheets
+// as it needs, with bleed, crop marks, headers and footers.
+
+import { fontFaceCss } from './fonts.js';
+import { sanitizeMarkup, sanitizeCss, escapeHtml } from './sanitize.js';
+import { RENDER_ORIGIN } from './sandbox.js';
+import { planPages, tileLabel, PX_TO_MM } from './paper.js';
+
+// Convert pixels to mm (96 DPI standard: 1 inch = 96px = 25.4mm)
+const pxToMm = (px) => px * PX_TO_MM;
+const mm = (value) => `${Number(value.toFixed(3))}mm`;
+
+const MARK_COLOR = '#000000';
+const GUIDE_COLOR = '#9a9a9a';
+
+// Complete HTML document with embedded styles, around markup already sanitized
+// (render/raster.js renders the same document)
+export function pageHtml(htmlContent, cssStyles) {
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <meta charset="UTF-8">
+        <base href="${RENDER_ORIGIN}">
+        <style>
+          ${fontFaceCss()}
+
+          * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+          }
+
+          body {
+            font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif;
+            -webkit-font-smoothing: antialiased;
+            -moz-osx-font-smoothing: grayscale;
+            text-rendering: geometricPrecision;
+            background: #fafafa;
+          }
+
+          /* Print-specific styles */
+          @media print {
+            body {
+              -webkit-print-color-adjust: exact;
+              print-color-adjust: exact;
+            }
+          }
+
+          ${sanitizeCss(cssStyles)}
+        </style>
+      </head>
+      <body>
+        ${htmlContent}
+      </body>
+    </html>
+  `;
+}
+
+// "{title} | | Page {page} of {pages}" -> left, centre and right parts of a header or footer
+function bandHtml(template, values, className, top, height, plan) {
+  const parts = template.split('|').map(part =>
+    escapeHtml(part.replace(/\{(title|date|page|pages|tile)\}/g, (_, key) => values[key] ?? '').trim()));
+  const [left = '', center = '', right = ''] = parts.length === 1 ? ['', parts[0], ''] : parts;
+  return `<div class="band ${className}" style="left:${mm(plan.area.x)};top:${mm(top)};width:${mm(plan.area.width)};height:${mm(height)}">` +
+    `<span>${left}</span><span>${center}</span><span>${right}</span></div>`;
+}
+
+// Crop marks at the four trim corners, kept out of the bleed
+function cropMarksSvg(plan) {
+  const { offset, bleed, trim } = plan;
+  const near = bleed + 2;
+  const far = offset - 1;
+  const lines = [];
+  for (const x of [offset, offset + trim.width]) {
+    for (const y of [offset, offset + trim.height]) {
+      const dx = x === offset ? -1 : 1;
+      const dy = y === offset ? -1 : 1;
+      lines.push(`<line x1="${x + dx * near}" y1="${y}" x2="${x + dx * far}" y2="${y}"/>`);
+      lines.push(`<line x1="${x}" y1="${y + dy * near}" x2="${x}" y2="${y + dy * far}"/>`);
+    }
+  }
+  return `<svg class="marks" width="${mm(plan.pageWidth)}" height="${mm(plan.pageHeight)}" viewBox="0 0 ${plan.pageWidth} ${plan.pageHeight}" stroke="${MARK_COLOR}" stroke-width="0.25">${lines.join('')}</svg>`;
+}
+
+// Dashed lines where this tile's content continues on the neighbouring tiles
+function overlapGuidesSvg(plan, tile) {
+  const { area, overlap } = plan;
+  const lines = [];
+  if (tile.column > 0) lines.push(`<line x1="${overlap}" y1="0" x2="${overlap}" y2="${area.height}"/>`);
+  if (tile.column < plan.columns - 1) lines.push(`<line x1="${area.width - overlap}" y1="0" x2="${area.width - overlap}" y2="${area.height}"/>`);
+  if (tile.row > 0) lines.push(`<line x1="0" y1="${overlap}" x2="${area.width}" y2="${overlap}"/>`);
+  if (tile.row < plan.rows - 1) lines.push(`<line x1="0" y1="${area.height - overlap}" x2="${area.width}" y2="${area.height - overlap}"/>`);
+  return `<svg class="guides" style="left:${mm(area.x)};top:${mm(area.y)}" width="${mm(area.width)}" height="${mm(area.height)}" viewBox="0 0 ${area.width} ${area.height}" stroke="${GUIDE_COLOR}" stroke-width="0.2" stroke-dasharray="2 1.5">${lines.join('')}</svg>`;
+}
+
+// One sheet per tile, each showing its window onto the (scaled) content
+function sheetsHtml(content, size, plan, layout) {
+  const tiled = plan.tiles.length > 1;
+  const values = {
+    title: layout.title,
+    date: layout.date ?? new Date().toISOString().slice(0, 10),
+    pages: plan.tiles.length
+  };
+  const { area, offset, bleed, trim } = plan;
+
+  return plan.tiles.map((tile, i) => {
+    const tileValues = { ...values, page: i + 1, tile: tileLabel(tile) };
+    const parts = [];
+    if (layout.background) {
+      parts.push(`<div class="paper" style="left:${mm(offset - bleed)};top:${mm(offset - bleed)};width:${mm(trim.width + 2 * bleed)};height:${mm(trim.height + 2 * bleed)};background:${layout.background}"></div>`);
+    }
+    parts.push(`<div class="area" style="left:${mm(area.x)};top:${mm(area.y)};width:${mm(area.width)};height:${mm(area.height)}">` +
+      `<div class="content" style="width:${size.width}px;height:${size.height}px;transform:translate(${mm(-tile.x)}, ${mm(-tile.y)}) scale(${plan.scale})">${content}</div></div>`);
+    if (tiled) {
+      parts.push(overlapGuidesSvg(plan, tile));
+      parts.push(`<div class="tile" style="right:${mm(offset + 2)};bottom:${mm(offset + 2)}">${tileLabel(tile)}</div>`);
+    }
+    if (layout.header) parts.push(bandHtml(layout.header, tileValues, 'header', area.y - plan.headerHeight, plan.headerHeight, plan));
+    if (layout.footer) parts.push(bandHtml(layout.footer, tileValues, 'footer', area.y + area.height, plan.footerHeight, plan));
+    if (layout.cropMarks) parts.push(cropMarksSvg(plan));
+    return `<section class="sheet">${parts.join('\n')}</section>`;
+  }).join('\n');
+}
+
+// Styles for the sheets, after the caller's so the page geometry wins
+function sheetCss(plan) {
+  return `
+    @page { size: ${mm(plan.pageWidth)} ${mm(plan.pageHeight)}; margin: 0; }
+    .sheet {
+      position: relative;
+      width: ${mm(plan.pageWidth)};
+      height: ${mm(plan.pageHeight)};
+      overflow: hidden;
+      background: #ffffff;
+      break-after: page;
+    }
+    .sheet:last-child { break-after: auto; }
+    .sheet > * { position: absolute; }
+    .area { overflow: hidden; }
+    .content { position: relative; transform-origin: 0 0; }
+    .band {
+      display: flex;
+      align-items: center;
+      font-size: 8pt;
+      color: #555555;
+    }
+    .band span { flex: 1; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .band span:nth-child(2) { text-align: center; }
+    .band span:nth-child(3) { text-align: right; }
+    .tile { font-size: 7pt; color: ${GUIDE_COLOR}; }
+    .marks { left: 0; top: 0; }
+  `;
+}
+
+// A document of fixed-size pages (pageWidth x pageHeight mm, set by @page) -> PDF Buffer
+function printPages(pool, html, { pageWidth, pageHeight }) {
+  return pool.withPage(async (page) => {
+    await page.setViewport({ width: Math.ceil(pageWidth / PX_TO_MM), height: Math.ceil(pageHeight / PX_TO_MM) });
+    await page.setContent(html, { waitUntil: 'networkidle0' });
+    const pdf = await page.pdf({
+      width: mm(pageWidth),
+      height: mm(pageHeight),
+      printBackground: true,
+      preferCSSPageSize: true,
+      margin: { top: 0, right: 0, bottom: 0, left: 0 }
+    });
+    return Buffer.from(pdf);
+  });
+}
+
+// Markup already laid out as pages (render/portfolio.js) -> PDF Buffer. Each
+// page is an element of pageWidth x pageHeight mm that breaks after itself.
+export async function renderPagedPdf(pool, { htmlContent, cssStyles, pageWidth, pageHeight }) {
+  const pageCss = `@page { size: ${mm(pageWidth)} ${mm(pageHeight)}; margin: 0; }`;
+  const html = pageHtml(sanitizeMarkup(htmlContent), `${cssStyles || ''}\n${pageCss}`);
+  return printPages(pool, html, { pageWidth, pageHeight });
+}
+
+// { htmlContent, cssStyles, width, height, layout } (width/height in px) -> PDF Buffer
+// layout: { paper, orientation, fit, scale, margin, overlap, bleed, cropMarks,
+// background, header, footer, title, date } - see render/paper.js
+export async function renderPdf(pool, { htmlContent, cssStyles, width, height, layout = null }) {
+  const content = sanitizeMarkup(htmlContent);
+
+  if (layout?.paper) {
+    // Content without a size is taken to be A4 landscape, as below
+    const size = { width: width || 297 / PX_TO_MM, height: height || 210 / PX_TO_MM };
+    const plan = planPages(size, layout);
+    const html = pageHtml(sheetsHtml(content, size, plan, layout), `${cssStyles || ''}\n${sheetCss(plan)}`);
+    return printPages(pool, html, plan);
+  }
+
+  const pdfWidth = width ? pxToMm(width) : 297; // Default A4 landscape width
+  const pdfHeight = height ? pxToMm(height) : 210; // Default A4 landscape height
+
+  return pool.withPage(async (page) => {
+    // Viewport to match content size (reused pages keep the last one otherwise)
+    await page.setViewport(width && height
+      ? { width: Math.ceil(width), height: Math.ceil(height) }
+      : { width: 800, height: 600 });
+
+    await page.setContent(pageHtml(content, cssStyles), {
+      waitUntil: 'networkidle0'
+    });
+
+    // Generate PDF with dynamic dimensions
+    const pdf = await page.pdf({
+      width: `${pdfWidth}mm`,
+      height: `${pdfHeight}mm`,
+      printBackground: true,
+      preferCSSPageSize: false,
+      margin: {
+        top: 0,
+        right: 0,
+        bottom: 0,
+        left: 0
+      }
+    });
+    return Buffer.from(pdf);
+  });
+}
@@ -0,0 +1,225 @@
+// Portfolio sheets - one page per project with its images, key facts, work
+// stages ("Stages 0–3, 5") and description, for CVs and bids. As a booklet the
+// sheets get a cover and contents pages in front, and page numbers. Pages are
+// laid out here and printed by renderPagedPdf (render/pdf.js).
+
+import { renderPagedPdf } from './pdf.js';
+import { PAPER_SIZES } from './paper.js';
+import { escapeHtml } from './sanitize.js';
+import { compressRibaStages, projectSpan } from '../timeline/stages.js';
+
+export const PORTFOLIO_DEFAULTS = {
+  paper: 'A4',
+  orientation: 'portrait',
+  booklet: false,
+  // Gallery images per sheet: the cover, then the next ones in gallery order
+  images: 3,
+  title: 'Portfolio',
+  subtitle: ''
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const monthLabel = (index) => `${MONTHS[index % 12]} ${Math.floor(index / 12)}`;
+
+// Everything is sized in rem; 1rem is 10pt on A4 and grows with the paper
+const A4_SHORT_SIDE = 210;
+const PT_TO_MM = 25.4 / 72;
+const PAGE_PADDING = 4.5;
+const CONTENTS_HEADING = 5;
+const CONTENTS_ROW = 2;
+const FOOTER = 2;
+
+function period(project) {
+  const span = projectSpan(project.stages);
+  if (!span) return null;
+  return span.start === span.end ? monthLabel(span.start) : `${monthLabel(span.start)} – ${monthLabel(span.end)}`;
+}
+
+// Label/value pairs shown for a project, those without a value left out
+function projectFacts(project) {
+  return [
+    ['Client', project.client],
+    ['Location', project.location],
+    ['Value', project.value],
+    ['Area', project.area],
+    ['Type', (project.projectTypes || []).join(', ')],
+    ['Period', period(project)],
+    ['Work stages', compressRibaStages(project.responsibilities)],
+    ['Status', project.completed === undefined ? null : project.completed ? 'Completed' : 'Ongoing']
+  ].filter(([, value]) => value);
+}
+
+// The cover first, then the gallery in order; the thumbnail for projects without a gallery
+function projectImages(project, limit) {
+  const media = [...(project.media || [])]
+    .sort((a, b) => Number(b.cover) - Number(a.cover) || a.position - b.position);
+  if (media.length === 0 && project.thumbnail) {
+    return [{ url: project.thumbnail }].slice(0, limit);
+  }
+  return media.slice(0, limit);
+}
+
+const projectNumber = (project) => (project.number === undefined || project.number === null
+  ? ''
+  : String(project.number).padStart(2, '0'));
+
+function figureHtml(image, className, fallbackAlt) {
+  const caption = [image.caption, image.credit && `© ${image.credit}`].filter(Boolean).join(' — ');
+  return `<figure class="${className}"><img src="${escapeHtml(image.url)}" alt="${escapeHtml(image.altText || image.caption || fallbackAlt)}">` +
+    (caption ? `<figcaption>${escapeHtml(caption)}</figcaption>` : '') + '</figure>';
+}
+
+function footerHtml(left, right) {
+  return `<footer><span>${escapeHtml(left)}</span><span>${escapeHtml(right)}</span></footer>`;
+}
+
+function projectSheet(project, { images, title, date, booklet, orientation }, pageNumber) {
+  const pictures = projectImages(project, images);
+  const facts = projectFacts(project)
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join('');
+
+  return `<section class="sheet project ${orientation}">
+<header><span class="number">${escapeHtml(projectNumber(project))}</span><h1>${escapeHtml(project.name)}</h1>` +
+    (project.practiceName ? `<p class="practice">${escapeHtml(project.practiceName)}</p>` : '') + `</header>
+<div class="images count-${pictures.length}">${pictures.map((image, i) => figureHtml(image, i === 0 ? 'hero' : 'extra', project.name)).join('')}</div>
+<div class="details"><dl>${facts}</dl>` +
+    (project.briefDescription ? `<p class="description">${escapeHtml(project.briefDescription)}</p>` : '') + `</div>
+${footerHtml(title, booklet ? String(pageNumber) : date)}
+</section>`;
+}
+
+function coverPage(projects, { title, subtitle, date }) {
+  return `<section class="sheet cover">
+<h1>${escapeHtml(title)}</h1>` +
+    (subtitle ? `<p class="subtitle">${escapeHtml(subtitle)}</p>` : '') + `
+<p class="meta">${projects.length} project${projects.length === 1 ? '' : 's'} · ${escapeHtml(date)}</p>
+</section>`;
+}
+
+// Contents rows that fit on one page of this height (mm) at this rem size (mm)
+function contentsRowsPerPage(pageHeight, rem) {
+  const available = pageHeight / rem - 2 * PAGE_PADDING - CONTENTS_HEADING - FOOTER;
+  return Math.max(1, Math.floor(available / CONTENTS_ROW));
+}
+
+function contentsPages(projects, firstProjectPage, rowsPerPage, { title }) {
+  const pages = [];
+  for (let i = 0; i < projects.length; i += rowsPerPage) {
+    const rows = projects.slice(i, i + rowsPerPage).map((project, j) =>
+      `<tr><td class="number">${escapeHtml(projectNumber(project))}</td><td>${escapeHtml(project.name)}</td>` +
+      `<td class="muted">${escapeHtml(project.location || '')}</td><td class="page">${firstProjectPage + i + j}</td></tr>`);
+    pages.push(`<section class="sheet contents">
+<h2>Contents</h2>
+<table>${rows.join('')}</table>
+${footerHtml(title, String(pages.length + 2))}
+</section>`);
+  }
+  return pages;
+}
+
+function portfolioCss({ pageWidth, pageHeight, rem }) {
+  return `
+    html { font-size: ${(rem / PT_TO_MM).toFixed(2)}pt; }
+    body { background: #ffffff; color: #222222; }
+    .sheet {
+      position: relative;
+      width: ${pageWidth}mm;
+      height: ${pageHeight}mm;
+      padding: ${PAGE_PADDING}rem;
+      overflow: hidden;
+      break-after: page;
+      display: flex;
+      flex-direction: column;
+    }
+    .sheet:last-child { break-after: auto; }
+    footer {
+      position: absolute;
+      left: ${PAGE_PADDING}rem;
+      right: ${PAGE_PADDING}rem;
+      bottom: ${PAGE_PADDING / 2}rem;
+      display: flex;
+      justify-content: space-between;
+      font-size: 0.75rem;
+      color: #8a8a8a;
+    }
+
+    .cover { justify-content: center; }
+    .cover h1 { font-size: 3.2rem; font-weight: 500; line-height: 1.1; }
+    .cover .subtitle { font-size: 1.4rem; color: #555555; margin-top: 1rem; }
+    .cover .meta { font-size: 1rem; color: #8a8a8a; margin-top: 2rem; }
+
+    .contents h2 { font-size: 1.8rem; font-weight: 500; height: ${CONTENTS_HEADING}rem; }
+    .contents table { width: 100%; border-collapse: collapse; font-size: 1rem; }
+    .contents td { height: ${CONTENTS_ROW}rem; border-bottom: 1px solid #e2e2e2; padding-right: 1rem; }
+    .contents .number, .muted { color: #8a8a8a; }
+    .contents .number { width: 3rem; }
+    .contents .page { text-align: right; padding-right: 0; }
+
+    .project { display: grid; gap: 1.5rem; padding-bottom: ${PAGE_PADDING + FOOTER}rem; }
+    .project.portrait {
+      grid-template-rows: auto 46% minmax(0, 1fr);
+      grid-template-areas: "header" "images" "details";
+    }
+    .project.landscape {
+      grid-template-columns: 58% minmax(0, 1fr);
+      grid-template-rows: auto minmax(0, 1fr);
+      grid-template-areas: "header header" "images details";
+    }
+    .project header { grid-area: header; }
+    .project .number { font-size: 1rem; color: #8a8a8a; }
+    .project h1 { font-size: 2.2rem; font-weight: 500; line-height: 1.15; }
+    .project .practice { font-size: 1rem; color: #555555; margin-top: 0.3rem; }
+
+    .images {
+      grid-area: images;
+      display: grid;
+      grid-template-rows: repeat(2, minmax(0, 1fr));
+      gap: 0.8rem;
+      min-height: 0;
+    }
+    .images.count-2, .images.count-3 { grid-template-columns: 2fr 1fr; }
+    .images.count-2 .extra { grid-row: span 2; }
+    .images .hero { grid-row: span 2; }
+    figure { display: flex; flex-direction: column; min-height: 0; }
+    figure img { flex: 1; min-height: 0; width: 100%; object-fit: cover; display: block; background: #f0f0f0; }
+    figcaption { font-size: 0.7rem; color: #8a8a8a; margin-top: 0.3rem; }
+
+    .details { grid-area: details; min-height: 0; overflow: hidden; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.35rem 1.5rem; font-size: 0.95rem; }
+    dt { color: #8a8a8a; }
+    .description { font-size: 1rem; line-height: 1.5; margin-top: 1.2rem; }
+  `;
+}
+
+// projects (in the order to print) -> { htmlContent, cssStyles, pageWidth, pageHeight } (mm)
+export function portfolioHtml(projects, options = {}) {
+  const opts = { ...PORTFOLIO_DEFAULTS, date: new Date().toISOString().slice(0, 10), ...options };
+  const [short, long] = PAPER_SIZES[opts.paper];
+  const [pageWidth, pageHeight] = opts.orientation === 'landscape' ? [long, short] : [short, long];
+  // 1rem in mm
+  const rem = 10 * PT_TO_MM * Math.min(pageWidth, pageHeight) / A4_SHORT_SIDE;
+
+  const pages = [];
+  let firstProjectPage = 1;
+  if (opts.booklet) {
+    const rowsPerPage = contentsRowsPerPage(pageHeight, rem);
+    firstProjectPage = 2 + Math.ceil(projects.length / rowsPerPage);
+    pages.push(coverPage(projects, opts));
+    pages.push(...contentsPages(projects, firstProjectPage, rowsPerPage, opts));
+  }
+  projects.forEach((project, i) => pages.push(projectSheet(project, opts, firstProjectPage + i)));
+
+  return {
+    htmlContent: pages.join('\n'),
+    cssStyles: portfolioCss({ pageWidth, pageHeight, rem }),
+    pageWidth,
+    pageHeight
+  };
+}
+
+// projects -> portfolio PDF Buffer. Options: paper, orientation, booklet, images, title, subtitle, date
+export async function renderPortfolio(pool, projects, options = {}) {
+  const { htmlContent, cssStyles, pageWidth, pageHeight } = portfolioHtml(projects, options);
+  return renderPagedPdf(pool, { htmlContent, cssStyles, pageWidth, pageHeight });
+}
@@ -0,0 +1,104 @@
+// Raster export - the same sandboxed render as render/pdf.js, captured as a
+// screenshot and finished with sharp: PNG, JPEG or WebP at a chosen DPI or
+// scale, optionally cropped to a region of the content and/or cut to a
+// social-preview size.
+
+import sharp from 'sharp';
+import { pageHtml } from './pdf.js';
+import { sanitizeMarkup } from './sanitize.js';
+
+export class RasterOptionsError extends Error {}
+
+export const RASTER_FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png' },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  webp: { mimeType: 'image/webp', extension: 'webp' }
+};
+
+// Social preview sizes (px) - the capture is scaled to cover them, then cut
+export const SOCIAL_PRESETS = {
+  og: [1200, 630],        // Open Graph link previews (Facebook, LinkedIn, Slack…)
+  twitter: [1200, 675],   // X / Twitter large summary card
+  square: [1080, 1080],   // Instagram feed
+  portrait: [1080, 1350], // Instagram portrait
+  story: [1080, 1920]     // Stories and reels
+};
+
+// Which part of the capture a preset keeps (sharp's positions and strategies)
+export const CROP_POSITIONS = [
+  'centre', 'north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest',
+  'entropy', 'attention'
+];
+
+export const RASTER_DEFAULTS = {
+  format: 'png',
+  quality: 90,
+  position: 'centre'
+};
+
+// CSS pixels per inch: scale 1 is 96 DPI
+const CSS_DPI = 96;
+const MAX_SCALE = 8;
+const MAX_OUTPUT_PIXELS = 50_000_000;
+
+// Device scale for the capture: as asked (dpi or scale), else for a preset
+// just enough to cover it without upscaling, else 1
+function captureScale(options, region, target) {
+  if (options.scale !== undefined) return options.scale;
+  if (options.dpi !== undefined) return options.dpi / CSS_DPI;
+  if (!target) return 1;
+  return Math.min(MAX_SCALE, Math.max(1, target[0] / region.width, target[1] / region.height));
+}
+
+// { htmlContent, cssStyles, width, height, options } (width/height in px) ->
+// { data, mimeType, extension, width, height }
+// options: { format, dpi | scale, quality, background (hex or 'transparent'),
+// crop: { x, y, width, height } in content px, preset, position }
+export async function renderRaster(pool, { htmlContent, cssStyles, width = 800, height = 600, options = {} }) {
+  const { format, quality, background, crop, preset, position } = { ...RASTER_DEFAULTS, ...options };
+
+  const region = crop ?? { x: 0, y: 0, width, height };
+  if (region.x + region.width > width || region.y + region.height > height) {
+    throw new RasterOptionsError(`Crop region must lie within the ${width}x${height} content`);
+  }
+
+  const target = preset ? SOCIAL_PRESETS[preset] : null;
+  const scale = captureScale(options, region, target);
+  // Chromium paints the whole viewport at this scale, however small the crop
+  if (width * height * scale * scale > MAX_OUTPUT_PIXELS) {
+    throw new RasterOptionsError(`Content of ${width}x${height} px is too large to capture at scale ${Number(scale.toFixed(2))}; use a lower DPI`);
+  }
+  const pixelWidth = Math.round(region.width * scale);
+  const pixelHeight = Math.round(region.height * scale);
+  if (pixelWidth * pixelHeight > MAX_OUTPUT_PIXELS) {
+    throw new RasterOptionsError(`Image would be ${pixelWidth}x${pixelHeight} pixels; use a lower DPI or a crop`);
+  }
+
+  // An explicit background wins over the caller's CSS
+  const transparent = background === 'transparent';
+  const backgroundCss = background ? `html, body { background: ${background} !important; }` : '';
+  const html = pageHtml(sanitizeMarkup(htmlContent), `${cssStyles || ''}\n${backgroundCss}`);
+
+  const screenshot = await pool.withPage(async (page) => {
+    await page.setViewport({ width: Math.ceil(width), height: Math.ceil(height), deviceScaleFactor: scale });
+    await page.setContent(html, { waitUntil: 'networkidle0' });
+    const png = await page.screenshot({ type: 'png', clip: region, omitBackground: transparent });
+    return Buffer.from(png);
+  });
+
+  // Encoding happens after the page is handed back to the pool
+  let image = sharp(screenshot);
+  if (target) {
+    image = image.resize(target[0], target[1], { fit: 'cover', position });
+  }
+  if (format === 'jpeg') {
+    image = image.flatten({ background: background && !transparent ? background : '#ffffff' });
+  }
+  // The DPI goes into the file, so presentation software places it at the intended size
+  image = image.withMetadata({ density: target ? CSS_DPI : scale * CSS_DPI });
+
+  const { data, info } = await image
+    .toFormat(format, format === 'png' ? {} : { quality })
+    .toBuffer({ resolveWithObject: true });
+  return { data, ...RASTER_FORMATS[format], width: info.width, height: info.height };
+}
@@ -0,0 +1,61 @@
+// Render sandbox - what a page borrowed for an export may do.
+//
+// JavaScript is off and every request is intercepted: data: URLs load as
+// usual, images from the image store (/api/images/<id>, variants included)
+// are answered straight from the store, and everything else is aborted. A
+// render therefore works offline, always comes out the same, and cannot be
+// used to make the server fetch other URLs. Markup is rendered under
+// RENDER_ORIGIN so relative /api/images/ URLs resolve too.
+
+import { imageIdFromUrl } from '../db/images.js';
+import { parseVariantRequest, getVariant } from '../images/variants.js';
+
+export const RENDER_ORIGIN = 'http://fenwick.render/';
+
+// Chromium sends this for <img>; variant requests without `format` are negotiated from it
+const IMAGE_ACCEPT = 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8';
+
+// The image (or variant) an /api/images/ URL names, from the store; null if there is none
+async function loadImage(images, url) {
+  const imageId = imageIdFromUrl(url.pathname);
+  if (!imageId) return null;
+  const query = Object.fromEntries(url.searchParams);
+  if (!['w', 'dpr', 'format'].some(key => query[key] !== undefined)) {
+    return images.get(imageId);
+  }
+  const variant = parseVariantRequest(query, IMAGE_ACCEPT);
+  return variant.error ? null : getVariant(images, imageId, variant);
+}
+
+async function answer(request, images) {
+  const url = new URL(request.url());
+  const image = request.method() === 'GET' && url.pathname.startsWith('/api/images/')
+    ? await loadImage(images, url)
+    : undefined;
+
+  if (image === undefined) {
+    console.log('🚫 Render blocked request:', url.href.slice(0, 120));
+    return request.abort('blockedbyclient');
+  }
+  if (!image) {
+    return request.respond({ status: 404, contentType: 'text/plain', body: 'Image not found' });
+  }
+  return request.respond({ status: 200, contentType: image.mimeType, body: image.data });
+}
+
+// Sets up a fresh page; used as the browser pool's setupPage
+export async function sandboxPage(page, { images }) {
+  await page.setJavaScriptEnabled(false);
+  await page.setRequestInterception(true);
+  page.on('request', (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+    if (request.url().startsWith('data:')) {
+      request.continue().catch(() => {});
+      return;
+    }
+    answer(request, images).catch((err) => {
+      console.error('❌ Render request failed:', err.message);
+      request.abort('failed').catch(() => {});
+    });
+  });
+}
@@ -0,0 +1,78 @@
+// Markup clean-up for server-side renders. Export pages run with JavaScript
+// disabled and no network (render/sandbox.js), so this is not the only line of
+// defence. It keeps submitted markup to what can be drawn: no scripts or
+// embedded documents, no event handlers or javascript: links, and no tags
+// that load or redirect anything.
+
+// Removed together with their content
+const DROPPED_ELEMENTS = ['script', 'iframe', 'frameset', 'object', 'applet', 'noscript', 'template'];
+// Removed on their own (void elements)
+const DROPPED_TAGS = ['base', 'link', 'meta', 'param', 'embed', 'frame'];
+// Attributes holding a URL that could be javascript:
+const URL_ATTRIBUTES = ['href', 'xlink:href', 'src', 'action', 'formaction', 'data', 'srcdoc'];
+
+const ELEMENT_PATTERN = new RegExp(`<(${DROPPED_ELEMENTS.join('|')})\\b[\\s\\S]*?(?:<\\/\\1\\s*>|$)`, 'gi');
+const TAG_PATTERN = new RegExp(`<\\/?(?:${DROPPED_TAGS.join('|')})\\b(?:[^>"']|"[^"]*"|'[^']*')*>`, 'gi');
+// An opening tag, with quoted attribute values allowed to contain ">"
+const OPEN_TAG_PATTERN = /<([a-zA-Z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'>]+))?/g;
+
+function unquote(value = '') {
+  return value.replace(/^(["'])([\s\S]*)\1$/, '$2');
+}
+
+const codePoint = code => (code <= 0x10ffff ? String.fromCodePoint(code) : '');
+
+// Enough entity decoding to see through "&#106;avascript&colon;"
+function decodeEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (m, hex) => codePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (m, dec) => codePoint(Number(dec)))
+    .replace(/&colon;/gi, ':')
+    .replace(/&(tab|newline);/gi, ' ');
+}
+
+function isScriptUrl(value) {
+  // Browsers ignore whitespace and control characters inside the scheme
+  const compact = decodeEntities(unquote(value)).replace(/[\s\u0000-\u001f]/g, '').toLowerCase();
+  return compact.startsWith('javascript:') || compact.startsWith('vbscript:');
+}
+
+function cleanTag(tag, name, attributes) {
+  const kept = [];
+  for (const [attribute, key, value] of attributes.matchAll(ATTRIBUTE_PATTERN)) {
+    const lower = key.toLowerCase();
+    if (lower.startsWith('on')) continue;
+    if (lower === 'srcdoc' || (URL_ATTRIBUTES.includes(lower) && isScriptUrl(value))) continue;
+    kept.push(attribute);
+  }
+  const selfClosing = /\/\s*$/.test(attributes);
+  return `<${name}${kept.length > 0 ? ` ${kept.join(' ')}` : ''}${selfClosing ? ' /' : ''}>`;
+}
+
+// HTML or SVG markup -> the same markup without anything executable
+export function sanitizeMarkup(html) {
+  let result = String(html ?? '');
+  // Repeat until nothing changes, so removals cannot splice a new tag together
+  let previous;
+  do {
+    previous = result;
+    result = result.replace(ELEMENT_PATTERN, '').replace(TAG_PATTERN, '');
+  } while (result !== previous);
+  return result.replace(OPEN_TAG_PATTERN, cleanTag);
+}
+
+// Stylesheet text for a <style> element: no @import (fonts are embedded, see
+// render/fonts.js) and no way to close the element early
+export function sanitizeCss(css) {
+  return String(css ?? '')
+    .replace(/@import\b[^;]*;?/gi, '')
+    .replace(/<\//g, '<\\/');
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Text (or an attribute value) for markup the server builds itself
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
@@ -6,8 +6,9 @@
 import fs from 'fs';
 import fetch from 'node-fetch';
 import readline from 'readline';
+import { validateProject } from './schemas/index.js';
+import { API_URL, apiHeaders, inlineImages } from './api-client.js';
 
-const API_URL = 'https://fenwick-backend.onrender.com/api';
 const LOCAL_DATA_FILE = 'local-data.json';
 const BACKUP_FILE = `production-backup-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
 
@@ -23,70 +24,54 @@ function askQuestion(query) {
 
 async function fetchProductionData() {
   console.log('🔍 Fetching production data for backup...\n');
-  const response = await fetch(`${API_URL}/data`);
+  const response = await fetch(`${API_URL}/data`, { headers: apiHeaders() });
   if (!response.ok) {
     throw new Error(`Failed to fetch production data: ${response.status}`);
   }
   return await response.json();
 }
 
-async function deleteAllProjects(projects) {
-  console.log('\n🗑️  Deleting all production projects...\n');
-  let deleted = 0;
-  let failed = 0;
-
-  for (const project of projects) {
-    try {
-      const response = await fetch(`${API_URL}/projects/${project.id}`, {
-        method: 'DELETE'
-      });
-
-      if (response.ok) {
-        console.log(`✅ Deleted: ${project.name}`);
-        deleted++;
-      } else {
-        console.log(`❌ Failed to delete: ${project.name}`);
-        failed++;
-      }
-    } catch (err) {
-      console.log(`❌ Error deleting ${project.name}: ${err.message}`);
-      failed++;
-    }
-    await new Promise(resolve => setTimeout(resolve, 50));
+// Makes production match local in a single atomic batch, so a failure part-way leaves
+// production exactly as it was. Projects missing locally go to the production trash;
+// the rest are overwritten or created.
+async function replaceAll(prodProjects, localProjects, settings) {
+  const localIds = new Set(localProjects.map(p => p.id));
+  const prodVersions = new Map(prodProjects.map(p => [p.id, p.version]));
+  const removed = prodProjects.filter(p => !localIds.has(p.id));
+
+  const operations = [
+    ...removed.map(project => ({ op: 'delete', id: project.id, version: project.version })),
+    ...localProjects.map(({ version, updatedAt, thumbnailInfo, media, ...project }) => (prodVersions.has(project.id)
+      ? { op: 'update', id: project.id, project, version: prodVersions.get(project.id) }
+      : { op: 'create', project }))
+  ];
+  const names = [...removed, ...localProjects].map(p => p.name);
+
+  const response = await fetch(`${API_URL}/batch`, {
+    method: 'POST',
+    headers: apiHeaders({ 'Content-Type': 'application/json', 'X-Change-Source': 'replace' }),
+    body: JSON.stringify({ operations, settings })
+  });
+  const result = await response.json();
+
+  if (!result.results) {
+    throw new Error(result.error || `Batch request failed: ${response.status}`);
   }
 
-  return { deleted, failed };
-}
-
-async function createProjects(projects) {
-  console.log('\n📦 Creating projects from local data...\n');
-  let created = 0;
-  let failed = 0;
-
-  for (const project of projects) {
-    try {
-      const response = await fetch(`${API_URL}/projects`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(project)
-      });
-
-      if (response.ok) {
-        console.log(`✅ Created: ${project.name}`);
-        created++;
-      } else {
-        const error = await response.json();
-        console.log(`❌ Failed to create ${project.name}: ${error.error}`);
-        failed++;
-      }
-    } catch (err) {
-      console.log(`❌ Error creating ${project.name}: ${err.message}`);
-      failed++;
-    }
-    await new Promise(resolve => setTimeout(resolve, 100));
+  for (const r of result.results.filter(r => r.status === 'failed' || r.status === 'invalid')) {
+    console.log(`❌ ${r.op} ${names[r.index]}: ${r.error || 'invalid'}`);
+    (r.details || []).forEach(d => console.log(`   ${d.field}: ${d.message}`));
+  }
+  if (result.settings?.status === 'failed') {
+    console.log(`❌ Settings: ${result.settings.error}`);
+    (result.settings.details || []).forEach(d => console.log(`   ${d.field}: ${d.message}`));
+  }
+  if (!result.success) {
+    throw new Error(`${result.error} - production was not changed`);
   }
 
-  return { created, failed };
+  const count = op => result.results.filter(r => r.op === op).length;
+  return { deleted: count('delete'), replaced: count('update'), created: count('create') };
 }
 
 async function replaceProduction() {
@@ -107,12 +92,29 @@ async function replaceProduction() {
     const localData = JSON.parse(fs.readFileSync(LOCAL_DATA_FILE, 'utf8'));
     console.log(`📦 Local data loaded: ${localData.projects.length} projects`);
 
+    // Refuse to wipe production for a dataset the server would reject
+    const invalid = localData.projects
+      .map(project => ({ project, errors: validateProject(project) }))
+      .filter(({ errors }) => errors.length > 0);
+
+    if (invalid.length > 0) {
+      console.error(`\n❌ ${invalid.length} local project(s) failed validation:\n`);
+      invalid.forEach(({ project, errors }) => {
+        console.error(`   ${project.name || project.id}`);
+        errors.forEach(e => console.error(`     ${e.field}: ${e.message}`));
+      });
+      console.log('\n💡 Fix these locally and export again. Production was not touched.');
+      rl.close();
+      process.exit(1);
+    }
+
     // Fetch and backup production data
     const prodData = await fetchProductionData();
     console.log(`🌐 Production data loaded: ${prodData.projects.length} projects\n`);
 
-    // Save production backup
-    fs.writeFileSync(BACKUP_FILE, JSON.stringify(prodData, null, 2));
+    // Save production backup, thumbnails included
+    const backup = { ...prodData, projects: await inlineImages(prodData.projects) };
+    fs.writeFileSync(BACKUP_FILE, JSON.stringify(backup, null, 2));
     const backupSize = (fs.statSync(BACKUP_FILE).size / 1024).toFixed(2);
     console.log(`💾 Production backup saved: ${BACKUP_FILE} (${backupSize} KB)\n`);
 
@@ -121,9 +123,10 @@ async function replaceProduction() {
     console.log('📊 REPLACEMENT PLAN');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
     console.log(`1️⃣  Backup saved: ${BACKUP_FILE}`);
-    console.log(`2️⃣  Delete ${prodData.projects.length} production projects`);
-    console.log(`3️⃣  Create ${localData.projects.length} projects from local`);
-    console.log(`4️⃣  Update settings\n`);
+    console.log(`2️⃣  Move production projects that are not in local data to the trash`);
+    console.log(`3️⃣  Overwrite or create all ${localData.projects.length} local projects`);
+    console.log(`4️⃣  Update settings`);
+    console.log('   (steps 2-4 run as one transaction - all or nothing)\n');
 
     console.log('⚠️  WARNING: This will COMPLETELY REPLACE production data!');
     console.log('⚠️  Make sure your backup is safe: ' + BACKUP_FILE + '\n');
@@ -151,27 +154,18 @@ async function replaceProduction() {
     console.log('\n🚀 Starting production replacement...\n');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
-    // Step 1: Delete all production projects
-    const deleteResults = await deleteAllProjects(prodData.projects);
-    console.log(`\n📊 Deletion complete: ${deleteResults.deleted} deleted, ${deleteResults.failed} failed`);
-
-    // Step 2: Create all local projects
-    const createResults = await createProjects(localData.projects);
-    console.log(`\n📊 Creation complete: ${createResults.created} created, ${createResults.failed} failed`);
-
-    // Step 3: Update settings
-    console.log('\n⚙️  Settings update...');
-    console.log('⚠️  Settings sync not yet implemented - requires API endpoint');
-    console.log('💡 Note: Settings need to be updated manually or via database migration');
+    console.log(`\n🔁 Replacing production with ${localData.projects.length} local projects...`);
+    const results = await replaceAll(prodData.projects, localData.projects, localData.settings);
 
     // Final summary
     console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('🎉 Production replacement complete!');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
     console.log('📊 Summary:');
-    console.log(`   🗑️  Deleted: ${deleteResults.deleted} projects`);
-    console.log(`   ✨ Created: ${createResults.created} projects`);
-    console.log(`   ❌ Failed: ${deleteResults.failed + createResults.failed} operations`);
+    console.log(`   🗑️  Trashed: ${results.deleted} projects (GET /api/trash to review)`);
+    console.log(`   🔄 Replaced: ${results.replaced} projects`);
+    console.log(`   ✨ Created: ${results.created} projects`);
+    console.log(`   ⚙️  Settings: updated (${localData.settings.startYear} - ${localData.settings.endYear})`);
     console.log(`   💾 Backup: ${BACKUP_FILE}\n`);
     console.log('🌐 Check your live app: https://fenwick-frontend.vercel.app/');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
@@ -183,8 +177,7 @@ async function replaceProduction() {
 
   } catch (error) {
     console.error('\n❌ Replacement failed:', error.message);
-    console.error('\n⚠️  Production may be in an inconsistent state!');
-    console.error(`💡 Restore from backup: ${BACKUP_FILE}`);
+    console.error(`💡 The replace runs as one transaction; if in doubt, compare with the backup: ${BACKUP_FILE}`);
     process.exit(1);
   } finally {
     rl.close();
@@ -0,0 +1,48 @@
+// Auth routes - /api/auth
+import express from 'express';
+import { hashPassword, verifyPassword } from '../auth/credentials.js';
+
+// Compared against when the username is unknown, so both cases take as long
+const DUMMY_HASH = hashPassword('not-a-real-password');
+
+export function createAuthRouter({ users, tokens }) {
+  const router = express.Router();
+
+  // Sign in - returns a session token for `Authorization: Bearer <token>`
+  router.post('/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    console.log('📥 Request: Login', typeof username === 'string' ? username : '');
+
+    if (!tokens.enabled) {
+      return res.status(503).json({ error: 'Sign-in is not configured (AUTH_SECRET is not set)' });
+    }
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Username and password required' });
+    }
+
+    try {
+      const user = await users.findByUsername(username);
+      const valid = verifyPassword(password, user ? user.passwordHash : DUMMY_HASH);
+      if (!user || !valid) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+      const { token, expiresAt } = tokens.sign(user);
+      console.log('✅ Signed in!');
+      res.json({ token, expiresAt, user: { username: user.username, role: user.role } });
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to sign in' });
+    }
+  });
+
+  // Who the current credentials belong to
+  router.get('/me', (req, res) => {
+    if (!req.principal) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Authentication required' });
+    }
+    const { type, name, role } = req.principal;
+    res.json({ type, name, role });
+  });
+
+  return router;
+}
@@ -0,0 +1,227 @@
+// Batch route - POST /api/batch
+//
+// Applies a list of project operations, plus optional settings, in one request:
+//
+//   {
+//     "operations": [
+//       { "op": "create", "project": { ... } },
+//       { "op": "update", "id": "p1", "project": { ... }, "version": 3 },
+//       { "op": "delete", "id": "p2", "version": 1 }
+//     ],
+//     "settings": { ... },
+//     "atomic": true
+//   }
+//
+// `version` is optional and works like If-Match. With `atomic` (the default) everything
+// runs in one database transaction: the first failing operation rolls back all of them.
+// With `atomic: false` each operation is applied on its own and failures are reported.
+
+import express from 'express';
+import { validateProject, validateSettings, normalizeProject } from '../schemas/index.js';
+import { changeSource } from './revisions.js';
+import { thumbnailErrors } from './projects.js';
+
+const OPERATIONS = ['create', 'update', 'delete'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Thrown inside the transaction to abort it with a per-operation reason
+class OperationFailed extends Error {
+  constructor(reason, current) {
+    super(reason);
+    this.name = 'OperationFailed';
+    this.current = current;
+  }
+}
+
+// Shape and schema checks, before anything touches the database
+function checkOperation(operation) {
+  if (!isPlainObject(operation) || !OPERATIONS.includes(operation.op)) {
+    return [{ field: 'op', message: `must be one of: ${OPERATIONS.join(', ')}` }];
+  }
+
+  const errors = [];
+  if (operation.version !== undefined && !Number.isInteger(operation.version)) {
+    errors.push({ field: 'version', message: 'must be an integer' });
+  }
+
+  if (operation.op === 'create') {
+    errors.push(...validateProject(operation.project).map(e => ({ ...e, field: `project.${e.field}` })));
+    return errors;
+  }
+
+  if (typeof operation.id !== 'string' || operation.id === '') {
+    errors.push({ field: 'id', message: 'is required' });
+  }
+  if (operation.op === 'update') {
+    const project = isPlainObject(operation.project) ? { id: operation.id, ...operation.project } : operation.project;
+    errors.push(...validateProject(project).map(e => ({ ...e, field: `project.${e.field}` })));
+    if (isPlainObject(project) && project.id !== operation.id) {
+      errors.push({ field: 'project.id', message: 'does not match id' });
+    }
+  }
+  return errors;
+}
+
+// A thumbnail the image store refuses fails its operation like any other invalid field
+async function applyOperation(repos, operation, source) {
+  try {
+    return await writeOperation(repos, operation, source);
+  } catch (err) {
+    const details = thumbnailErrors(err);
+    if (!details) throw err;
+    const failed = new OperationFailed('Invalid project');
+    failed.details = details.map(e => ({ ...e, field: `project.${e.field}` }));
+    throw failed;
+  }
+}
+
+async function writeOperation({ projects }, operation, source) {
+  const expectedVersion = operation.version ?? null;
+
+  if (operation.op === 'create') {
+    if (await projects.exists(operation.project.id)) {
+      const trashed = await projects.get(operation.project.id, { fields: ['id'], trashed: true });
+      throw new OperationFailed(trashed ? 'Project is in the trash - restore or purge it first' : 'Project already exists');
+    }
+    const id = await projects.create(normalizeProject(operation.project));
+    const { version } = await projects.get(id, { fields: ['version'] });
+    return { id, version };
+  }
+
+  if (operation.op === 'update') {
+    const project = normalizeProject({ id: operation.id, ...operation.project });
+    const version = await projects.update(operation.id, project, { expectedVersion, source });
+    if (version === null) await explainMissingWrite(projects, operation.id);
+    return { id: operation.id, version };
+  }
+
+  const removed = await projects.remove(operation.id, { expectedVersion, source });
+  if (!removed) await explainMissingWrite(projects, operation.id);
+  return { id: operation.id };
+}
+
+// An update/delete touched no row: either the project is gone or its version moved on
+async function explainMissingWrite(projects, id) {
+  const current = await projects.get(id);
+  if (!current) throw new OperationFailed('Project not found');
+  throw new OperationFailed('Project has been changed since you loaded it', current);
+}
+
+async function applySettings({ settings }, changes) {
+  const updated = { ...(await settings.get()), ...changes };
+  const errors = validateSettings(updated);
+  if (errors.length > 0) {
+    const err = new OperationFailed('Invalid settings');
+    err.details = errors;
+    throw err;
+  }
+  return settings.update(updated);
+}
+
+function failureResult(index, operation, err) {
+  if (!(err instanceof OperationFailed)) throw err;
+  return {
+    index,
+    op: operation.op,
+    id: operation.id ?? operation.project?.id,
+    status: 'failed',
+    error: err.message,
+    ...(err.current && { current: err.current }),
+    ...(err.details && { details: err.details })
+  };
+}
+
+export function createBatchRouter({ transaction }) {
+  const router = express.Router();
+
+  router.post('/', async (req, res) => {
+    const { operations = [], settings: settingsChanges, atomic = true } = req.body || {};
+    const source = changeSource(req);
+    console.log(`📥 Request: Batch (${Array.isArray(operations) ? operations.length : 0} operations${atomic ? ', atomic' : ''})`);
+
+    if (!Array.isArray(operations) || (settingsChanges !== undefined && !isPlainObject(settingsChanges))) {
+      return res.status(400).json({ error: 'Batch needs an operations array and an optional settings object' });
+    }
+
+    // Validate everything up front - an invalid batch applies nothing, atomic or not
+    const invalid = operations
+      .map((operation, index) => ({ index, op: operation?.op, id: operation?.id ?? operation?.project?.id, details: checkOperation(operation) }))
+      .filter(result => result.details.length > 0)
+      .map(result => ({ ...result, status: 'invalid' }));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid batch, no changes applied', results: invalid });
+    }
+
+    try {
+      if (atomic) {
+        const results = [];
+        let failedAt = null; // operation index, or 'settings'
+        try {
+          const savedSettings = await transaction(async (repos) => {
+            for (const [index, operation] of operations.entries()) {
+              failedAt = index;
+              results.push({ index, op: operation.op, status: 'ok', ...(await applyOperation(repos, operation, source)) });
+            }
+            failedAt = 'settings';
+            const saved = settingsChanges ? await applySettings(repos, settingsChanges) : undefined;
+            failedAt = null;
+            return saved;
+          });
+
+          console.log(`✅ Batch applied: ${results.length} operations`);
+          return res.json({ success: true, results, ...(savedSettings && { settings: savedSettings }) });
+        } catch (err) {
+          if (!(err instanceof OperationFailed)) throw err;
+
+          // Everything before the failure was rolled back, everything after never ran
+          const report = operations.map((operation, index) => {
+            if (index === failedAt) return failureResult(index, operation, err);
+            if (failedAt === 'settings' || index < failedAt) return { ...results[index], status: 'rolled_back' };
+            return { index, op: operation.op, id: operation.id ?? operation.project?.id, status: 'not_run' };
+          });
+          let settingsReport;
+          if (failedAt === 'settings') settingsReport = { status: 'failed', error: err.message, details: err.details };
+          else if (settingsChanges) settingsReport = { status: 'not_run' };
+
+          console.log('❌ Batch aborted, rolled back');
+          return res.status(409).json({
+            error: 'Batch aborted, no changes applied',
+            results: report,
+            ...(settingsReport && { settings: settingsReport })
+          });
+        }
+      }
+
+      // Best effort: each operation commits or fails on its own
+      const results = [];
+      for (const [index, operation] of operations.entries()) {
+        try {
+          const applied = await transaction(repos => applyOperation(repos, operation, source));
+          results.push({ index, op: operation.op, status: 'ok', ...applied });
+        } catch (err) {
+          results.push(failureResult(index, operation, err));
+        }
+      }
+
+      let settingsResult;
+      if (settingsChanges) {
+        try {
+          settingsResult = { status: 'ok', ...(await transaction(repos => applySettings(repos, settingsChanges))) };
+        } catch (err) {
+          if (!(err instanceof OperationFailed)) throw err;
+          settingsResult = { status: 'failed', error: err.message, details: err.details };
+        }
+      }
+
+      const failures = results.filter(r => r.status === 'failed').length + (settingsResult?.status === 'failed' ? 1 : 0);
+      console.log(`✅ Batch applied: ${results.length - failures} ok, ${failures} failed`);
+      res.json({ success: failures === 0, results, ...(settingsResult && { settings: settingsResult }) });
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to apply batch' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,155 @@
+// Export routes - /api/export-pdf and /api/export-image
+//
+// Renders on the shared browser pool. When every page is busy requests queue;
+// once the queue is full they get 503 with Retry-After, and a render that hangs
+// gets 504. Paper layout options (schemas/pdfLayout.js) put the content on
+// named paper instead of one page of its own size; raster options
+// (schemas/rasterOptions.js) choose the image format, DPI and crop.
+import express from 'express';
+import { renderPdf } from '../render/pdf.js';
+import { renderRaster, RasterOptionsError } from '../render/raster.js';
+import { RenderQueueFullError, RenderTimeoutError } from '../render/browserPool.js';
+import { PageLayoutError } from '../render/paper.js';
+import { pdfLayoutSchema, PDF_LAYOUT_FIELDS } from '../schemas/pdfLayout.js';
+import { rasterOptionsSchema, RASTER_OPTION_FIELDS } from '../schemas/rasterOptions.js';
+import { validatePdfLayout, validateRasterOptions, validateContentSize } from '../schemas/index.js';
+
+const NUMBER_PATTERN = /^\d+(\.\d+)?$/;
+
+const queryNumber = (value) => (NUMBER_PATTERN.test(value) ? Number(value) : value);
+
+// Query strings carry only strings; numbers, booleans and crop=x,y,width,height
+// are converted, anything else is left for the schema to reject
+function fromQuery(schema, field, value) {
+  const { type } = schema.properties[field];
+  if ((type === 'number' || type === 'integer') && NUMBER_PATTERN.test(value)) return Number(value);
+  if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  if (type === 'object' && typeof value === 'string') {
+    const [x, y, width, height] = value.split(',').map(v => queryNumber(v.trim()));
+    return { x, y, width, height };
+  }
+  return value;
+}
+
+// The options of `schema` given in a request body (or query string, query: true)
+function pickOptions(source, schema, fields, query) {
+  const options = {};
+  for (const field of fields) {
+    if (source[field] === undefined) continue;
+    options[field] = query ? fromQuery(schema, field, source[field]) : source[field];
+  }
+  return options;
+}
+
+// { width, height } of the markup in a request body, collecting errors as { field, message }
+export function readContentSize({ width, height }, errors) {
+  errors.push(...validateContentSize({ width, height }));
+  return { width, height };
+}
+
+// The layout options given in a request body (or query string, query: true) ->
+// layout for renderPdf(), or null when there are none. Errors are collected as
+// { field, message }.
+export function readPdfLayout(source, errors, { query = false, fields = PDF_LAYOUT_FIELDS } = {}) {
+  const layout = pickOptions(source, pdfLayoutSchema, fields, query);
+  if (Object.keys(layout).length === 0) return null;
+  errors.push(...validatePdfLayout(layout));
+  return layout;
+}
+
+// Same for the options of renderRaster() - always an object, defaults apply to what's missing
+export function readRasterOptions(source, errors, { query = false, fields = RASTER_OPTION_FIELDS } = {}) {
+  const options = pickOptions(source, rasterOptionsSchema, fields, query);
+  errors.push(...validateRasterOptions(options));
+  return options;
+}
+
+// Error reply for a failed render - shared with the other routes that render
+export function sendRenderError(res, err, what) {
+  if (err instanceof PageLayoutError || err instanceof RasterOptionsError) {
+    return res.status(400).json({ error: 'Invalid options', message: err.message });
+  }
+  if (err instanceof RenderQueueFullError) {
+    console.log(`⏳ ${what} turned away:`, err.message);
+    res.set('Retry-After', '10');
+    return res.status(503).json({ error: `${what} is busy, try again shortly` });
+  }
+  if (err instanceof RenderTimeoutError) {
+    console.error(`❌ ${what} timed out:`, err.message);
+    return res.status(504).json({ error: `Failed to generate ${what}`, message: err.message });
+  }
+  console.error(`❌ Error generating ${what}:`, err);
+  res.status(500).json({ error: `Failed to generate ${what}`, message: err.message });
+}
+
+// Sends a rendered { data, mimeType, extension }, named `${name}.<extension>`
+export function sendFile(res, { data, mimeType, extension }, name) {
+  res.set('Content-Disposition', `inline; filename="${name}.${extension}"`);
+  res.contentType(mimeType);
+  res.send(data);
+}
+
+export function createExportRouter({ pool }) {
+  const router = express.Router();
+
+  // Body: { htmlContent, cssStyles, width, height } - width/height in px -
+  // plus any paper layout options: { paper: 'A3', fit: 'height', footer: ... }
+  router.post('/', async (req, res) => {
+    console.log('📥 Request: Export PDF');
+
+    const { htmlContent, cssStyles } = req.body || {};
+    if (!htmlContent) {
+      return res.status(400).json({ error: 'HTML content required' });
+    }
+
+    const errors = [];
+    const { width, height } = readContentSize(req.body, errors);
+    const layout = readPdfLayout(req.body, errors);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid layout', details: errors });
+    }
+
+    try {
+      const pdf = await renderPdf(pool, { htmlContent, cssStyles, width, height, layout });
+      console.log('✅ PDF generated successfully');
+      res.contentType('application/pdf');
+      res.send(pdf);
+    } catch (err) {
+      sendRenderError(res, err, 'PDF');
+    }
+  });
+
+  return router;
+}
+
+export function createImageExportRouter({ pool }) {
+  const router = express.Router();
+
+  // Body: { htmlContent, cssStyles, width, height } - width/height in px -
+  // plus raster options: { format: 'webp', dpi: 300, crop: {…}, preset: 'og' … }
+  router.post('/', async (req, res) => {
+    console.log('📥 Request: Export image');
+
+    const { htmlContent, cssStyles } = req.body || {};
+    if (!htmlContent) {
+      return res.status(400).json({ error: 'HTML content required' });
+    }
+
+    const errors = [];
+    const { width, height } = readContentSize(req.body, errors);
+    const options = readRasterOptions(req.body, errors);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid options', details: errors });
+    }
+
+    try {
+      const image = await renderRaster(pool, { htmlContent, cssStyles, width, height, options });
+      console.log(`✅ Image generated (${image.width}x${image.height} ${image.mimeType})`);
+      sendFile(res, image, 'fenwick-export');
+    } catch (err) {
+      sendRenderError(res, err, 'image');
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,195 @@
+// Export job routes - /api/exports
+//
+// The same exports as /api/export-pdf, /api/export-image, /api/timeline.* and /api/portfolio,
+// rendered in the background (render/exportQueue.js) so no request waits on a
+// render: POST returns a job at once, GET /:id reports its progress and
+// GET /:id/file downloads the result. Jobs and their files are kept until they
+// expire (EXPORT_TTL_HOURS), then removed by the sweep. A job is only visible
+// to whoever created it, and to admins.
+import express from 'express';
+import { renderPdf } from '../render/pdf.js';
+import { renderRaster } from '../render/raster.js';
+import { hasRole } from '../auth/middleware.js';
+import { readPdfLayout, readRasterOptions, readContentSize } from './export.js';
+import { readTimelineOptions, renderTimelineFile, TIMELINE_FILE_EXTENSIONS } from './timeline.js';
+import { renderPortfolioRequest } from './portfolio.js';
+import { validatePortfolio } from '../schemas/index.js';
+
+export const EXPORT_KINDS = ['pdf', 'image', 'timeline', 'portfolio'];
+
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+// Removes expired jobs and their files, now and then every 15 minutes
+export function startExportSweep({ exportJobs }) {
+  const sweep = async () => {
+    try {
+      const removed = await exportJobs.removeExpired();
+      if (removed.length > 0) {
+        console.log(`🗑️  Removed ${removed.length} expired export(s)`);
+      }
+    } catch (err) {
+      console.error('❌ Export sweep failed:', err);
+    }
+  };
+
+  sweep();
+  const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+const ownerOf = (principal) => `${principal.type}:${principal.id}`;
+
+// Timeline options are the query parameters of /api/timeline.<format>; JSON
+// numbers and booleans are accepted for them too, and crop as an object
+function queryValue(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (value && typeof value === 'object') return [value.x, value.y, value.width, value.height].join(',');
+  return String(value);
+}
+
+const asQuery = (options) => Object.fromEntries(Object.entries(options).map(([key, value]) => [key, queryValue(value)]));
+
+// Request body -> { name, render } for the queue, collecting { field, message } errors
+function readJob(body, errors, { repos, pool }) {
+  if (!EXPORT_KINDS.includes(body.kind)) {
+    errors.push({ field: 'kind', message: `must be one of: ${EXPORT_KINDS.join(', ')}` });
+    return null;
+  }
+
+  if (body.kind === 'timeline') {
+    if (!TIMELINE_FILE_EXTENSIONS.includes(body.format)) {
+      errors.push({ field: 'format', message: `must be one of: ${TIMELINE_FILE_EXTENSIONS.join(', ')}` });
+      return null;
+    }
+    const options = body.options ?? {};
+    if (typeof options !== 'object' || Array.isArray(options)) {
+      errors.push({ field: 'options', message: 'must be an object' });
+      return null;
+    }
+    const timeline = readTimelineOptions(asQuery(options), errors, body.format);
+    return { name: 'fenwick-timeline', render: () => renderTimelineFile(repos, pool, timeline, body.format) };
+  }
+
+  if (body.kind === 'portfolio') {
+    const { kind, ...request } = body;
+    errors.push(...validatePortfolio(request));
+    return {
+      name: 'fenwick-portfolio',
+      render: async () => ({ data: await renderPortfolioRequest(repos, pool, request), mimeType: 'application/pdf', extension: 'pdf' })
+    };
+  }
+
+  const { htmlContent, cssStyles } = body;
+  if (!htmlContent) {
+    errors.push({ field: 'htmlContent', message: 'is required' });
+    return null;
+  }
+  const content = { htmlContent, cssStyles, ...readContentSize(body, errors) };
+
+  if (body.kind === 'pdf') {
+    const layout = readPdfLayout(body, errors);
+    return {
+      name: 'fenwick-export',
+      render: async () => ({ data: await renderPdf(pool, { ...content, layout }), mimeType: 'application/pdf', extension: 'pdf' })
+    };
+  }
+  const options = readRasterOptions(body, errors);
+  return { name: 'fenwick-export', render: () => renderRaster(pool, { ...content, options }) };
+}
+
+// A job as the API shows it
+function jobView(job, queue) {
+  const { owner, ...view } = job;
+  // Queued jobs still waiting for a free slot show their place in line
+  const position = job.status === 'queued' ? queue.position(job.id) : 0;
+  if (position > 0) view.position = position;
+  if (job.status === 'done') view.downloadUrl = `/api/exports/${job.id}/file`;
+  return view;
+}
+
+export function createExportJobsRouter(repos, { pool, queue, ttlHours }) {
+  const router = express.Router();
+  const { exportJobs } = repos;
+
+  // The job, if this caller may see it (anyone else gets the same 404 as for a missing job)
+  async function findJob(req, res) {
+    const job = await exportJobs.get(req.params.id);
+    if (!job || (job.owner !== ownerOf(req.principal) && !hasRole(req.principal, 'admin'))) {
+      res.status(404).json({ error: 'Export not found' });
+      return null;
+    }
+    return job;
+  }
+
+  // Body: { kind: 'pdf' | 'image' | 'portfolio', ... } with the body of /api/export-pdf,
+  // /api/export-image or /api/portfolio, or
+  // { kind: 'timeline', format: 'pdf' | 'png' | 'jpg' | 'webp', options: { ... } }
+  router.post('/', async (req, res) => {
+    console.log('📥 Request: Create export job');
+
+    const errors = [];
+    const work = readJob(req.body || {}, errors, { repos, pool });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid export', details: errors });
+    }
+    if (!queue.accepting()) {
+      console.log('⏳ Export job turned away: queue full');
+      res.set('Retry-After', '30');
+      return res.status(503).json({ error: 'Export queue is full, try again shortly' });
+    }
+
+    try {
+      const job = await exportJobs.create({
+        kind: req.body.kind,
+        owner: ownerOf(req.principal),
+        expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+      });
+      queue.enqueue(job.id, work);
+      console.log(`✅ Export job ${job.id} queued (${job.kind})`);
+      res.status(202).location(`/api/exports/${job.id}`).json(jobView(job, queue));
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to create export job' });
+    }
+  });
+
+  // Job status: queued (with its place in line), running, done (with downloadUrl) or failed (with error)
+  router.get('/:id', async (req, res) => {
+    try {
+      const job = await findJob(req, res);
+      if (job) res.json(jobView(job, queue));
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to load export job' });
+    }
+  });
+
+  // The finished file
+  router.get('/:id/file', async (req, res) => {
+    console.log(`📥 Request: Download export ${req.params.id}`);
+
+    try {
+      const job = await findJob(req, res);
+      if (!job) return;
+      if (job.status === 'failed') {
+        return res.status(409).json({ error: 'Export failed', message: job.error });
+      }
+      if (job.status !== 'done') {
+        return res.status(409).json({ error: 'Export is not ready', status: job.status });
+      }
+      const data = new Date(job.expiresAt) > new Date() ? await exportJobs.readFile(job.id) : null;
+      if (!data) {
+        return res.status(410).json({ error: 'Export has expired' });
+      }
+      res.set('Content-Disposition', `attachment; filename="${job.filename}"`);
+      res.contentType(job.mimeType);
+      res.send(data);
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to download export' });
+    }
+  });
+
+  return router;
+}
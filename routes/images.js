@@ -0,0 +1,66 @@
+// Image routes - /api/images
+//
+// Public on purpose: <img> tags cannot send credentials, and an image id is the
+// SHA-256 of its content, so it can't be guessed. The content behind an id never
+// changes, which makes it safe to cache forever - variants included, as they are
+// derived from that content.
+import express from 'express';
+import { parseVariantRequest, getVariant } from '../images/variants.js';
+
+const ID_PATTERN = /^[0-9a-f]{64}$/;
+const CACHE_FOREVER = 'public, max-age=31536000, immutable';
+// Served from the API origin, so nothing stored here may run as a page: no
+// sniffing, and no scripts even in an SVG that got in before only rasters did
+const CONTENT_SECURITY_POLICY = "default-src 'none'; sandbox";
+
+export function createImagesRouter({ images }) {
+  const router = express.Router();
+
+  // The stored image, or with ?w=<width>[&dpr=2][&format=avif|webp|jpeg] a resized variant
+  router.get('/:id', async (req, res) => {
+    const imageId = req.params.id;
+
+    if (!ID_PATTERN.test(imageId)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const wantsVariant = ['w', 'dpr', 'format'].some(key => req.query[key] !== undefined);
+    const variant = wantsVariant ? parseVariantRequest(req.query, req.get('Accept')) : null;
+    if (variant?.error) {
+      return res.status(400).json({ error: 'Invalid query', details: [variant.error] });
+    }
+
+    // Without an explicit format the response depends on Accept
+    if (variant && req.query.format === undefined) {
+      res.vary('Accept');
+    }
+
+    const etag = variant ? `"${imageId}-${variant.width}.${variant.format}"` : `"${imageId}"`;
+    if (req.get('If-None-Match') === etag) {
+      return res.status(304).end();
+    }
+
+    try {
+      const image = variant
+        ? await getVariant(images, imageId, variant)
+        : await images.get(imageId);
+      if (!image) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
+      res.set({
+        'Content-Type': image.mimeType,
+        'Content-Length': image.byteSize,
+        'ETag': etag,
+        'Cache-Control': CACHE_FOREVER,
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Security-Policy': CONTENT_SECURITY_POLICY
+      });
+      res.send(image.data);
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to get image' });
+    }
+  });
+
+  return router;
+}
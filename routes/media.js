@@ -0,0 +1,192 @@
+// Gallery routes - /api/projects/:id/media
+//
+// A project's images with caption, credit, alt text and order (db/media.js).
+// The cover item's URL is the project's `thumbnail`, so making another item the
+// cover - or removing it - updates the project like any other edit. Every write
+// bumps the project version, honours If-Match / body `version` like a project
+// write (routes/versioning.js) and sends the new version as the ETag.
+import express from 'express';
+import { imageIdFromUrl, imageUrl } from '../db/images.js';
+import { validateMedia, validateMediaOrder } from '../schemas/index.js';
+import { etagFor, readPrecondition, preconditionFails, sendVersionConflict } from './versioning.js';
+import { changeSource } from './revisions.js';
+
+function parseMediaId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+export function createMediaRouter({ projects, media, transaction }) {
+  const router = express.Router({ mergeParams: true });
+
+  // Runs `write(repos)` on a live project. When the cover changed the project's
+  // thumbnail follows it (a revision is recorded); otherwise only its version moves.
+  // `write` returns its result, or { status: 404 } when the item is not there.
+  async function writeGallery(req, write) {
+    const projectId = req.params.id;
+    const precondition = readPrecondition(req);
+
+    const result = await transaction(async (repos) => {
+      const project = await repos.projects.get(projectId, { forUpdate: true });
+      if (!project) return { status: 404, error: 'Project not found' };
+      if (preconditionFails(precondition, project.version)) return { conflict: project };
+
+      const before = await repos.media.cover(projectId);
+      const outcome = await write(repos);
+      if (outcome.status) return outcome;
+
+      const after = await repos.media.cover(projectId);
+      let version;
+      if (before?.id !== after?.id) {
+        const thumbnail = after ? imageUrl(after.imageId) : '';
+        version = await repos.projects.update(projectId, { ...project, thumbnail }, { source: changeSource(req) });
+      } else {
+        version = await repos.projects.touch(projectId);
+      }
+      return { ...outcome, version };
+    });
+
+    return { ...result, precondition };
+  }
+
+  function sendWriteResult(res, result, status = 200) {
+    if (result.status) {
+      return res.status(result.status).json({ error: result.error, ...(result.details && { details: result.details }) });
+    }
+    if (result.conflict) {
+      return sendVersionConflict(res, result.precondition, result.conflict);
+    }
+    res.set('ETag', etagFor(result.version));
+    res.status(status).json(result.body);
+  }
+
+  // List the gallery in order
+  router.get('/', async (req, res) => {
+    const projectId = req.params.id;
+    console.log('📥 Request: List media', projectId);
+
+    try {
+      const project = await projects.get(projectId, { fields: ['version'] });
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      res.set('ETag', etagFor(project.version));
+      res.json({ media: await media.list(projectId) });
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to list media' });
+    }
+  });
+
+  // Add an image already in the store - { imageId | url, caption, credit, altText, cover }.
+  // The first item of a gallery is its cover.
+  router.post('/', async (req, res) => {
+    const projectId = req.params.id;
+    console.log('📥 Request: Add media', projectId);
+
+    const errors = validateMedia(req.body, { new: true });
+    const imageId = req.body?.imageId ?? imageIdFromUrl(req.body?.url);
+    if (errors.length === 0 && !imageId) {
+      errors.push({ field: 'url', message: 'must be an image store URL (/api/images/<id>)' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid media', details: errors });
+    }
+
+    try {
+      const result = await writeGallery(req, async ({ media, images }) => {
+        if (!(await images.getInfo(imageId))) {
+          return { status: 422, error: 'Invalid media', details: [{ field: 'imageId', message: 'is not in the image store' }] };
+        }
+        const { caption, credit, altText, cover } = req.body;
+        const id = await media.add(projectId, { imageId, caption, credit, altText, cover });
+        return { body: await media.get(projectId, id) };
+      });
+      if (!result.status && !result.conflict) console.log('✅ Media added!');
+      sendWriteResult(res, result, 201);
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to add media' });
+    }
+  });
+
+  // Reorder - { order: [every item id, in the new order] }
+  router.put('/order', async (req, res) => {
+    const projectId = req.params.id;
+    console.log('📥 Request: Reorder media', projectId);
+
+    const errors = validateMediaOrder(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid order', details: errors });
+    }
+
+    try {
+      const result = await writeGallery(req, async ({ media }) => {
+        if (!(await media.reorder(projectId, req.body.order))) {
+          return {
+            status: 400,
+            error: 'Invalid order',
+            details: [{ field: 'order', message: 'must list every media item of the project exactly once' }]
+          };
+        }
+        return { body: { media: await media.list(projectId) } };
+      });
+      if (!result.status && !result.conflict) console.log('✅ Media reordered!');
+      sendWriteResult(res, result);
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to reorder media' });
+    }
+  });
+
+  // Change caption, credit or altText, or make the item the cover ({ cover: true })
+  router.patch('/:mediaId', async (req, res) => {
+    const projectId = req.params.id;
+    console.log('📥 Request: Update media', projectId, req.params.mediaId);
+
+    const mediaId = parseMediaId(req.params.mediaId);
+    const errors = validateMedia(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid media', details: errors });
+    }
+
+    try {
+      const result = await writeGallery(req, async ({ media }) => {
+        if (!mediaId || !(await media.update(projectId, mediaId, req.body))) {
+          return { status: 404, error: 'Media not found' };
+        }
+        return { body: await media.get(projectId, mediaId) };
+      });
+      if (!result.status && !result.conflict) console.log('✅ Media updated!');
+      sendWriteResult(res, result);
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to update media' });
+    }
+  });
+
+  // Remove an item (the image stays in the store). Removing the cover makes the
+  // first remaining item the cover, or clears the thumbnail if none is left.
+  router.delete('/:mediaId', async (req, res) => {
+    const projectId = req.params.id;
+    console.log('📥 Request: Remove media', projectId, req.params.mediaId);
+
+    const mediaId = parseMediaId(req.params.mediaId);
+
+    try {
+      const result = await writeGallery(req, async ({ media }) => {
+        if (!mediaId || !(await media.remove(projectId, mediaId))) {
+          return { status: 404, error: 'Media not found' };
+        }
+        return { body: { success: true } };
+      });
+      if (!result.status && !result.conflict) console.log('✅ Media removed!');
+      sendWriteResult(res, result);
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to remove media' });
+    }
+  });
+
+  return router;
+}
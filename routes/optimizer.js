@@ -0,0 +1,53 @@
+// Image optimizer route - /api/admin/optimize-images
+//
+// Runs images/optimizer.js on the server's own database, the same job as
+// `node auto-optimize-images.js`. One run at a time; the response is the full report.
+import express from 'express';
+import { optimizeThumbnails, openProgressLog } from '../images/optimizer.js';
+
+function parseOptions(body, errors) {
+  const { dryRun = false, projectIds = null, minBytes = 0, resume = false } = body || {};
+  if (typeof dryRun !== 'boolean') errors.push({ field: 'dryRun', message: 'must be true or false' });
+  if (typeof resume !== 'boolean') errors.push({ field: 'resume', message: 'must be true or false' });
+  if (projectIds !== null && !(Array.isArray(projectIds) && projectIds.every(id => typeof id === 'string'))) {
+    errors.push({ field: 'projectIds', message: 'must be an array of project ids' });
+  }
+  if (!Number.isInteger(minBytes) || minBytes < 0) {
+    errors.push({ field: 'minBytes', message: 'must be a non-negative integer' });
+  }
+  return { dryRun, projectIds, minBytes, resume };
+}
+
+export function createOptimizerRouter(repos, { progressFile }) {
+  const router = express.Router();
+  let running = false;
+
+  // Body (all optional): { dryRun, projectIds: [...], minBytes, resume }
+  router.post('/', async (req, res) => {
+    console.log('📥 Request: Optimize images');
+
+    const errors = [];
+    const { resume, ...options } = parseOptions(req.body, errors);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid options', details: errors });
+    }
+    if (running) {
+      return res.status(409).json({ error: 'An optimizer run is already in progress' });
+    }
+
+    running = true;
+    try {
+      const progress = options.dryRun ? null : openProgressLog(progressFile, { fresh: !resume });
+      const report = await optimizeThumbnails(repos, { ...options, progress });
+      console.log(`✅ Optimizer ${options.dryRun ? 'dry run ' : ''}done: ${report.totals.optimized} optimized`);
+      res.json(report);
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to optimize images' });
+    } finally {
+      running = false;
+    }
+  });
+
+  return router;
+}
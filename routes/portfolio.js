@@ -0,0 +1,60 @@
+// Portfolio route - /api/portfolio
+//
+// One page per project (images, key facts, work stages, description) for the
+// projects chosen, in the order given; with `booklet` a cover and contents go
+// in front (render/portfolio.js). Large booklets can be made in the background
+// with POST /api/exports { kind: 'portfolio', ... }.
+import express from 'express';
+import { renderPortfolio } from '../render/portfolio.js';
+import { validatePortfolio } from '../schemas/index.js';
+import { sendRenderError } from './export.js';
+
+export class UnknownProjectsError extends Error {
+  constructor(ids) {
+    super(`Unknown project(s): ${ids.join(', ')}`);
+    this.ids = ids;
+  }
+}
+
+// The projects with these ids, in that order; UnknownProjectsError names any that are missing or trashed
+export async function loadPortfolioProjects({ projects }, ids) {
+  const found = await Promise.all(ids.map(id => projects.get(id)));
+  const missing = ids.filter((id, i) => !found[i]);
+  if (missing.length > 0) throw new UnknownProjectsError(missing);
+  return found;
+}
+
+// Request body -> PDF Buffer
+export async function renderPortfolioRequest(repos, pool, { projectIds, ...options }) {
+  const selected = await loadPortfolioProjects(repos, projectIds);
+  return renderPortfolio(pool, selected, options);
+}
+
+export function createPortfolioRouter(repos, { pool }) {
+  const router = express.Router();
+
+  // Body: { projectIds: [...], booklet, paper, orientation, images, title, subtitle, date }
+  router.post('/', async (req, res) => {
+    console.log('📥 Request: Portfolio PDF');
+
+    const errors = validatePortfolio(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid portfolio', details: errors });
+    }
+
+    try {
+      const pdf = await renderPortfolioRequest(repos, pool, req.body);
+      console.log(`✅ Portfolio generated (${req.body.projectIds.length} projects)`);
+      res.set('Content-Disposition', 'inline; filename="fenwick-portfolio.pdf"');
+      res.contentType('application/pdf');
+      res.send(pdf);
+    } catch (err) {
+      if (err instanceof UnknownProjectsError) {
+        return res.status(422).json({ error: err.message, ids: err.ids });
+      }
+      sendRenderError(res, err, 'portfolio');
+    }
+  });
+
+  return router;
+}
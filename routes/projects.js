@@ -0,0 +1,297 @@
+// Project routes - /api/projects
+import express from 'express';
+import { PROJECT_FIELDS, SORT_KEYS, decodeCursor, mergeProjectPatch, patchPathErrors } from '../db/projects.js';
+import { parseMonth } from '../timeline/stages.js';
+import { validateProject, normalizeProject } from '../schemas/index.js';
+import { etagFor, readPrecondition, preconditionFails, sendVersionConflict, isNotModified } from './versioning.js';
+import { changeSource } from './revisions.js';
+import { InvalidImageError } from '../images/pipeline.js';
+
+const MAX_LIMIT = 500;
+
+// A thumbnail data URI the image store refused -> field errors for a 400, anything else -> null
+export function thumbnailErrors(err) {
+  return err instanceof InvalidImageError ? [{ field: 'thumbnail', message: err.message }] : null;
+}
+
+function list(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+// "2020" or "2020-03" -> month index; a bare year covers January (from) or December (to)
+function parseActiveBound(value, edge) {
+  if (/^\d{4}$/.test(value)) return Number(value) * 12 + (edge === 'to' ? 11 : 0);
+  return parseMonth(value);
+}
+
+export function parseFields(value, errors) {
+  if (value === undefined) return null;
+  const fields = list(value);
+  const unknown = fields.filter(field => !PROJECT_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    errors.push({ field: 'fields', message: `unknown field(s): ${unknown.join(', ')}` });
+  }
+  return [...new Set(['id', 'version', ...fields])];
+}
+
+// Query string -> options for projects.query(), collecting { field, message } errors
+function parseListQuery(query, errors) {
+  const filters = {};
+
+  if (query.type !== undefined) filters.types = list(query.type);
+  if (query.practiceName !== undefined) filters.practiceName = String(query.practiceName);
+  if (query.location !== undefined) filters.location = String(query.location);
+
+  if (query.completed !== undefined) {
+    if (query.completed === 'true' || query.completed === 'false') {
+      filters.completed = query.completed === 'true';
+    } else {
+      errors.push({ field: 'completed', message: 'must be true or false' });
+    }
+  }
+
+  for (const [param, edge] of [['activeFrom', 'from'], ['activeTo', 'to']]) {
+    if (query[param] === undefined) continue;
+    const month = parseActiveBound(String(query[param]), edge);
+    if (month === null) errors.push({ field: param, message: 'must be YYYY or YYYY-MM' });
+    else filters[param] = month;
+  }
+
+  const sortParam = String(query.sort || 'number');
+  const descending = sortParam.startsWith('-');
+  const sort = descending ? sortParam.slice(1) : sortParam;
+  if (!SORT_KEYS[sort]) {
+    errors.push({ field: 'sort', message: `must be one of: ${Object.keys(SORT_KEYS).join(', ')} (prefix with - to reverse)` });
+  }
+
+  let limit = 50;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push({ field: 'limit', message: `must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    try {
+      cursor = decodeCursor(String(query.cursor));
+    } catch {
+      errors.push({ field: 'cursor', message: 'is not a valid cursor' });
+    }
+  }
+
+  return { filters, sort, descending, limit, cursor, fields: parseFields(query.fields, errors) };
+}
+
+export function createProjectsRouter({ projects, transaction }) {
+  const router = express.Router();
+
+  // List projects - filters, sorting, cursor pagination and field projection
+  router.get('/', async (req, res) => {
+    console.log('📥 Request: List projects');
+
+    const errors = [];
+    const options = parseListQuery(req.query, errors);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
+
+    try {
+      res.json(await projects.query(options));
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to list projects' });
+    }
+  });
+
+  // Get project
+  router.get('/:id', async (req, res) => {
+    const projectId = req.params.id;
+    console.log('📥 Request: Get project', projectId);
+
+    const errors = [];
+    const fields = parseFields(req.query.fields, errors);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query', details: errors });
+    }
+
+    try {
+      const project = await projects.get(projectId, { fields });
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      if (isNotModified(req, project.version)) {
+        return res.status(304).end();
+      }
+      res.set('ETag', etagFor(project.version));
+      res.json(project);
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to get project' });
+    }
+  });
+
+  // Create project
+  router.post('/', async (req, res) => {
+    console.log('📥 Request: Create project');
+
+    const errors = validateProject(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid project', details: errors });
+    }
+
+    try {
+      // The id may belong to a live or a trashed project
+      if (await projects.exists(req.body.id)) {
+        const trashed = await projects.get(req.body.id, { fields: ['id'], trashed: true });
+        return res.status(409).json({
+          error: trashed ? 'Project is in the trash - restore or purge it first' : 'Project already exists'
+        });
+      }
+      const id = await projects.create(normalizeProject(req.body));
+      const { version } = await projects.get(id, { fields: ['version'] });
+      console.log('✅ Project created!');
+      res.set('ETag', etagFor(version));
+      res.json({ success: true, id, version });
+    } catch (err) {
+      const details = thumbnailErrors(err);
+      if (details) {
+        return res.status(400).json({ error: 'Invalid project', details });
+      }
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to create project' });
+    }
+  });
+
+  // Update project
+  router.put('/:id', async (req, res) => {
+    const projectId = req.params.id;
+    console.log('📥 Request: Update project', projectId);
+
+    // The id comes from the URL; a body id, if sent, has to agree with it
+    const project = { id: projectId, ...req.body };
+    const errors = validateProject(project);
+    if (project.id !== projectId) {
+      errors.push({ field: 'id', message: 'does not match the project in the URL' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid project', details: errors });
+    }
+
+    const precondition = readPrecondition(req);
+
+    try {
+      const version = await projects.update(projectId, normalizeProject(project), {
+        expectedVersion: precondition?.versions ?? null,
+        source: changeSource(req)
+      });
+      if (version === null) {
+        const current = await projects.get(projectId);
+        if (!current) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+        return sendVersionConflict(res, precondition, current);
+      }
+      console.log('✅ Project updated!');
+      res.set('ETag', etagFor(version));
+      res.json({ success: true, version });
+    } catch (err) {
+      const details = thumbnailErrors(err);
+      if (details) {
+        return res.status(400).json({ error: 'Invalid project', details });
+      }
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to update project' });
+    }
+  });
+
+  // Partially update project - only the fields sent are changed, stages merge per entry.
+  // Responds with the resulting full project.
+  router.patch('/:id', async (req, res) => {
+    const projectId = req.params.id;
+    console.log('📥 Request: Patch project', projectId);
+
+    const changes = req.body;
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return res.status(400).json({ error: 'Project changes object required' });
+    }
+    if (changes.id !== undefined && changes.id !== projectId) {
+      return res.status(400).json({
+        error: 'Invalid project',
+        details: [{ field: 'id', message: 'cannot be changed' }]
+      });
+    }
+    const pathErrors = patchPathErrors(changes);
+    if (pathErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid project', details: pathErrors });
+    }
+
+    const precondition = readPrecondition(req);
+
+    try {
+      const result = await transaction(async ({ projects }) => {
+        const current = await projects.get(projectId, { forUpdate: true });
+        if (!current) return { status: 404 };
+        if (preconditionFails(precondition, current.version)) return { conflict: current };
+
+        const updated = normalizeProject(mergeProjectPatch(current, changes));
+        const errors = validateProject(updated);
+        if (errors.length > 0) return { errors };
+
+        await projects.update(projectId, updated, { source: changeSource(req) });
+        return { project: await projects.get(projectId) };
+      });
+
+      if (result.status === 404) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      if (result.conflict) {
+        return sendVersionConflict(res, precondition, result.conflict);
+      }
+      if (result.errors) {
+        return res.status(400).json({ error: 'Invalid project', details: result.errors });
+      }
+      console.log('✅ Project patched!');
+      res.set('ETag', etagFor(result.project.version));
+      res.json(result.project);
+    } catch (err) {
+      const details = thumbnailErrors(err);
+      if (details) {
+        return res.status(400).json({ error: 'Invalid project', details });
+      }
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to update project' });
+    }
+  });
+
+  // Delete project
+  router.delete('/:id', async (req, res) => {
+    const projectId = req.params.id;
+    console.log('📥 Request: Delete project', projectId);
+
+    const precondition = readPrecondition(req);
+
+    try {
+      const removed = await projects.remove(projectId, {
+        expectedVersion: precondition?.versions ?? null,
+        source: changeSource(req)
+      });
+      if (!removed) {
+        const current = await projects.get(projectId);
+        if (!current) {
+          return res.status(404).json({ error: 'Project not found' });
+        }
+        return sendVersionConflict(res, precondition, current);
+      }
+      console.log('✅ Project deleted!');
+      res.json({ success: true });
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to delete project' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,164 @@
+// Revision routes - /api/projects/:id/revisions
+//
+// Every update and delete keeps the previous project in project_revisions (see
+// db/projects.js). These routes list that history, diff two points in it and
+// restore an old copy - which is itself a write, so a restore can be undone too.
+// History stays available while a project is in the trash and goes when it is purged.
+import express from 'express';
+import { diffProjects } from '../db/projects.js';
+import { validateProject, normalizeProject } from '../schemas/index.js';
+import { etagFor, readPrecondition, preconditionFails, sendVersionConflict } from './versioning.js';
+
+const SOURCE_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Who is writing, recorded on the revisions a request creates. Scripts identify
+// themselves with an X-Change-Source header ("sync", "replace", "optimizer"...).
+export function changeSource(req) {
+  const header = (req.get('X-Change-Source') || '').trim().toLowerCase();
+  return SOURCE_PATTERN.test(header) ? header : 'api';
+}
+
+function parseRevisionId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+export function createRevisionsRouter({ projects, revisions, transaction }) {
+  const router = express.Router({ mergeParams: true });
+
+  // List revisions, newest first (documents left out - fetch one to see it)
+  router.get('/', async (req, res) => {
+    const projectId = req.params.id;
+    console.log('📥 Request: List revisions', projectId);
+
+    try {
+      res.json({ revisions: await revisions.list(projectId) });
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to list revisions' });
+    }
+  });
+
+  // Get one revision with its full project document
+  router.get('/:revisionId', async (req, res) => {
+    const projectId = req.params.id;
+    console.log('📥 Request: Get revision', projectId, req.params.revisionId);
+
+    const revisionId = parseRevisionId(req.params.revisionId);
+    try {
+      const revision = revisionId && await revisions.get(projectId, revisionId);
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      res.json(revision);
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to get revision' });
+    }
+  });
+
+  // Diff a revision against another one (?to=<revisionId>) or the current project (default)
+  router.get('/:revisionId/diff', async (req, res) => {
+    const projectId = req.params.id;
+    const to = req.query.to === undefined ? 'current' : String(req.query.to);
+    console.log('📥 Request: Diff revision', projectId, req.params.revisionId, to);
+
+    const revisionId = parseRevisionId(req.params.revisionId);
+    const toRevisionId = to === 'current' ? null : parseRevisionId(to);
+    if (to !== 'current' && !toRevisionId) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        details: [{ field: 'to', message: 'must be a revision id or "current"' }]
+      });
+    }
+
+    try {
+      const from = revisionId && await revisions.get(projectId, revisionId);
+      if (!from) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+
+      let target;
+      if (toRevisionId) {
+        const revision = await revisions.get(projectId, toRevisionId);
+        if (!revision) {
+          return res.status(404).json({ error: 'Revision not found' });
+        }
+        target = { revision: revision.id, version: revision.version, document: revision.document };
+      } else {
+        const current = await projects.get(projectId) ?? await projects.get(projectId, { trashed: true });
+        if (!current) {
+          return res.status(404).json({ error: 'Project not found - it was purged; diff against another revision' });
+        }
+        target = { revision: 'current', version: current.version, document: current };
+      }
+
+      res.json({
+        from: { revision: from.id, version: from.version },
+        to: { revision: target.revision, version: target.version },
+        changes: diffProjects(from.document, target.document)
+      });
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to diff revisions' });
+    }
+  });
+
+  // Restore a revision - overwrites the current project, or recreates one that was
+  // hard-deleted before the trash existed.
+  // Honours If-Match / body `version` against the current project.
+  router.post('/:revisionId/restore', async (req, res) => {
+    const projectId = req.params.id;
+    console.log('📥 Request: Restore revision', projectId, req.params.revisionId);
+
+    const revisionId = parseRevisionId(req.params.revisionId);
+    const precondition = readPrecondition(req);
+    const source = changeSource(req);
+
+    try {
+      const result = await transaction(async ({ projects, revisions }) => {
+        const revision = revisionId && await revisions.get(projectId, revisionId);
+        if (!revision) return { status: 404 };
+
+        const current = await projects.get(projectId, { forUpdate: true });
+        if (current && preconditionFails(precondition, current.version)) {
+          return { conflict: current };
+        }
+        if (!current && await projects.exists(projectId)) return { trashed: true };
+
+        // Older revisions may predate today's schema rules
+        const { version, updatedAt, deletedAt, ...document } = revision.document;
+        const errors = validateProject(document);
+        if (errors.length > 0) return { errors };
+
+        if (current) {
+          await projects.update(projectId, normalizeProject(document), { source });
+        } else {
+          await projects.create(normalizeProject(document));
+        }
+        return { project: await projects.get(projectId) };
+      });
+
+      if (result.status === 404) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      if (result.conflict) {
+        return sendVersionConflict(res, precondition, result.conflict);
+      }
+      if (result.trashed) {
+        return res.status(409).json({ error: 'Project is in the trash - restore it from the trash first' });
+      }
+      if (result.errors) {
+        return res.status(422).json({ error: 'Revision is not a valid project any more', details: result.errors });
+      }
+      console.log('✅ Revision restored!');
+      res.set('ETag', etagFor(result.project.version));
+      res.json(result.project);
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to restore revision' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,46 @@
+// Settings routes - GET/PUT /api/settings
+import express from 'express';
+import { validateSettings } from '../schemas/index.js';
+
+export function createSettingsRouter({ settings }) {
+  const router = express.Router();
+
+  // Get settings
+  router.get('/', async (req, res) => {
+    console.log('📥 Request: Get settings');
+
+    try {
+      res.json(await settings.get());
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to get settings' });
+    }
+  });
+
+  // Update settings - fields that are left out keep their current value
+  router.put('/', async (req, res) => {
+    console.log('📥 Request: Update settings');
+
+    const changes = req.body;
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return res.status(400).json({ error: 'Settings object required' });
+    }
+
+    try {
+      const updated = { ...(await settings.get()), ...changes };
+      const errors = validateSettings(updated);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid settings', details: errors });
+      }
+
+      const saved = await settings.update(updated);
+      console.log('✅ Settings updated!');
+      res.json(saved);
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to update settings' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,190 @@
+// Timeline routes - /api/timeline.svg, .pdf, .png, .jpg and .webp
+//
+// The diagram drawn by the server from projects and settings (timeline/svg.js),
+// for scripts, scheduled jobs and anyone without the frontend. Query options:
+//   from, to   years to show (default the settings range); only projects active in them
+//   type       project types, comma separated or repeated (any of)
+//   colorBy    type | project | mono (default type)
+//   background hex colour, e.g. ffffff or %23ffffff (default fafafa), or transparent
+//   legend     true | false (default true)
+//   title      heading above the diagram
+// timeline.pdf also takes the paper layout options of /api/export-pdf (paper,
+// orientation, fit, scale, margin, overlap, bleed, cropMarks, header, footer,
+// date); the background fills the bleed and title fills {title}. The images
+// take the raster options of /api/export-image (dpi, scale, quality, crop as
+// x,y,width,height, preset, position).
+import express from 'express';
+import { renderTimelineSvg, COLOR_MODES } from '../timeline/svg.js';
+import { renderPdf } from '../render/pdf.js';
+import { requireRole } from '../auth/middleware.js';
+import { renderRaster, RASTER_FORMATS } from '../render/raster.js';
+import { sendRenderError, sendFile, readPdfLayout, readRasterOptions } from './export.js';
+import { PDF_LAYOUT_FIELDS } from '../schemas/pdfLayout.js';
+
+const TIMELINE_FIELDS = ['number', 'name', 'projectTypes', 'typeColor', 'stages', 'pauses'];
+// Layout options from the query; background and title are the diagram's own
+const LAYOUT_QUERY_FIELDS = PDF_LAYOUT_FIELDS.filter(field => field !== 'background' && field !== 'title');
+const HEX_COLOR_PATTERN = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+// Same bounds as the settings years
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2200;
+
+function list(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+// Query string -> options for renderTimeline(), collecting { field, message } errors
+export function parseTimelineQuery(query, errors) {
+  const options = {};
+
+  for (const param of ['from', 'to']) {
+    if (query[param] === undefined) continue;
+    const year = Number(query[param]);
+    if (/^\d{4}$/.test(query[param]) && year >= MIN_YEAR && year <= MAX_YEAR) options[param] = year;
+    else errors.push({ field: param, message: `must be a year between ${MIN_YEAR} and ${MAX_YEAR}` });
+  }
+  if (options.from !== undefined && options.to !== undefined && options.to < options.from) {
+    errors.push({ field: 'to', message: 'must not be before from' });
+  }
+
+  if (query.type !== undefined) options.types = list(query.type);
+
+  if (query.colorBy !== undefined) {
+    if (COLOR_MODES.includes(query.colorBy)) options.colorBy = query.colorBy;
+    else errors.push({ field: 'colorBy', message: `must be one of: ${COLOR_MODES.join(', ')}` });
+  }
+
+  if (query.background !== undefined) {
+    const match = String(query.background).match(HEX_COLOR_PATTERN);
+    if (query.background === 'transparent') options.background = 'transparent';
+    else if (match) options.background = `#${match[1]}`;
+    else errors.push({ field: 'background', message: 'must be a hex colour like ffffff, or transparent' });
+  }
+
+  if (query.legend !== undefined) {
+    if (query.legend === 'true' || query.legend === 'false') options.legend = query.legend === 'true';
+    else errors.push({ field: 'legend', message: 'must be true or false' });
+  }
+
+  if (query.title !== undefined) {
+    const title = String(query.title).trim();
+    if (title.length > 200) errors.push({ field: 'title', message: 'must be at most 200 characters' });
+    else if (title) options.title = title;
+  }
+
+  return options;
+}
+
+// Loads what the options select and draws it -> { svg, width, height, background }.
+// Projects are ordered by start date.
+export async function renderTimeline({ projects, settings }, options = {}) {
+  const current = await settings.get();
+  // A bound given on its own moves the other one along if it has to
+  const to = options.to ?? Math.max(current.endYear, options.from ?? MIN_YEAR);
+  const from = options.from ?? Math.min(current.startYear, to);
+
+  const { projects: selected } = await projects.query({
+    filters: { types: options.types, activeFrom: from * 12, activeTo: to * 12 + 11 },
+    sort: 'start',
+    limit: Number.MAX_SAFE_INTEGER,
+    fields: TIMELINE_FIELDS
+  });
+  const background = options.background ?? '#fafafa';
+  return { ...renderTimelineSvg(selected, current, { ...options, from, to, background }), background };
+}
+
+// Extension -> raster format; everything but svg and pdf
+const RASTER_EXTENSIONS = Object.fromEntries(
+  Object.entries(RASTER_FORMATS).map(([format, { extension }]) => [extension, format])
+);
+
+// The files timeline.<extension> can be rendered to on the browser pool
+export const TIMELINE_FILE_EXTENSIONS = ['pdf', ...Object.keys(RASTER_EXTENSIONS)];
+
+// Query for timeline.<extension> -> options, with the PDF layout (pdf) or the
+// raster options (images) read as well. Errors are collected as { field, message }.
+export function readTimelineOptions(query, errors, extension = 'svg') {
+  const options = parseTimelineQuery(query, errors);
+  if (extension === 'pdf') {
+    options.layout = readPdfLayout(query, errors, { query: true, fields: LAYOUT_QUERY_FIELDS });
+  }
+  const format = RASTER_EXTENSIONS[extension];
+  if (format) {
+    // The format comes from the extension; the diagram paints its own background unless it is transparent
+    options.raster = readRasterOptions({
+      ...query,
+      format,
+      background: options.background === 'transparent' ? 'transparent' : undefined
+    }, errors, { query: true });
+  }
+  return options;
+}
+
+// Timeline as a PDF or image on the browser pool -> { data, mimeType, extension }
+export async function renderTimelineFile(repos, pool, options, extension) {
+  const { svg, width, height, background } = await renderTimeline(repos, options);
+  const content = { htmlContent: svg, cssStyles: `body { background: ${background}; }`, width, height };
+
+  if (extension !== 'pdf') {
+    return renderRaster(pool, { ...content, options: options.raster });
+  }
+  const layout = options.layout && {
+    ...options.layout,
+    title: options.title,
+    background: options.layout.bleed > 0 && background !== 'transparent' ? background : undefined
+  };
+  const data = await renderPdf(pool, { ...content, layout });
+  return { data, mimeType: 'application/pdf', extension: 'pdf' };
+}
+
+export function createTimelineRouter(repos, { pool }) {
+  const router = express.Router();
+
+  function readOptions(req, res, extension) {
+    const errors = [];
+    const options = readTimelineOptions(req.query, errors, extension);
+    if (errors.length > 0) {
+      res.status(400).json({ error: 'Invalid query', details: errors });
+      return null;
+    }
+    return options;
+  }
+
+  // Timeline as SVG
+  router.get('/timeline.svg', requireRole('viewer'), async (req, res) => {
+    console.log('📥 Request: Timeline SVG');
+
+    const options = readOptions(req, res, 'svg');
+    if (!options) return;
+
+    try {
+      const { svg } = await renderTimeline(repos, options);
+      res.set('Content-Disposition', 'inline; filename="fenwick-timeline.svg"');
+      res.type('image/svg+xml').send(svg);
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to render timeline' });
+    }
+  });
+
+  // Timeline as PDF (one page sized to the diagram, or laid out on paper), PNG, JPEG or WebP
+  for (const extension of TIMELINE_FILE_EXTENSIONS) {
+    router.get(`/timeline.${extension}`, requireRole('viewer'), async (req, res) => {
+      console.log(`📥 Request: Timeline ${extension.toUpperCase()}`);
+
+      const options = readOptions(req, res, extension);
+      if (!options) return;
+
+      try {
+        const file = await renderTimelineFile(repos, pool, options, extension);
+        console.log(`✅ Timeline ${extension.toUpperCase()} generated`);
+        sendFile(res, file, 'fenwick-timeline');
+      } catch (err) {
+        sendRenderError(res, err, `timeline ${extension.toUpperCase()}`);
+      }
+    });
+  }
+
+  return router;
+}
@@ -0,0 +1,86 @@
+// Trash routes - /api/trash
+//
+// DELETE /api/projects/:id only moves a project here. From the trash it can be
+// restored, or purged for good - by hand or by the retention sweep (TRASH_RETENTION_DAYS).
+import express from 'express';
+import { etagFor } from './versioning.js';
+import { changeSource } from './revisions.js';
+import { requireRole } from '../auth/middleware.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Purges projects trashed more than `retentionDays` ago, now and then hourly.
+// A retention of 0 keeps trashed projects until they are purged by hand.
+export function startTrashSweep({ projects }, retentionDays) {
+  if (!(retentionDays > 0)) return null;
+
+  const sweep = async () => {
+    try {
+      const purged = await projects.purgeTrashedBefore(new Date(Date.now() - retentionDays * DAY_MS));
+      if (purged.length > 0) {
+        console.log(`🗑️  Purged ${purged.length} project(s) trashed over ${retentionDays} days ago`);
+      }
+    } catch (err) {
+      console.error('❌ Trash sweep failed:', err);
+    }
+  };
+
+  sweep();
+  const timer = setInterval(sweep, 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+export function createTrashRouter({ projects }) {
+  const router = express.Router();
+
+  // List trashed projects, most recently deleted first
+  router.get('/', async (req, res) => {
+    console.log('📥 Request: List trash');
+
+    try {
+      res.json({ projects: await projects.listTrash() });
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to list trash' });
+    }
+  });
+
+  // Restore a trashed project
+  router.post('/:id/restore', async (req, res) => {
+    const projectId = req.params.id;
+    console.log('📥 Request: Restore project', projectId);
+
+    try {
+      const version = await projects.restore(projectId, { source: changeSource(req) });
+      if (version === null) {
+        return res.status(404).json({ error: 'Project not found in trash' });
+      }
+      console.log('✅ Project restored!');
+      res.set('ETag', etagFor(version));
+      res.json(await projects.get(projectId));
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to restore project' });
+    }
+  });
+
+  // Permanently delete a trashed project and its revision history
+  router.delete('/:id', requireRole('admin'), async (req, res) => {
+    const projectId = req.params.id;
+    console.log('📥 Request: Purge project', projectId);
+
+    try {
+      if (!(await projects.purge(projectId))) {
+        return res.status(404).json({ error: 'Project not found in trash' });
+      }
+      console.log('✅ Project purged!');
+      res.json({ success: true });
+    } catch (err) {
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to purge project' });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,71 @@
+// Upload route - /api/upload
+//
+// Takes one image as multipart/form-data (field "image"), runs it through the
+// optimization pipeline (images/pipeline.js) and stores the result in the image
+// store, keeping the uploaded file as the original for later variants.
+// The returned URL goes into a project's `thumbnail`.
+import express from 'express';
+import multer from 'multer';
+import { optimizeImage, InvalidImageError } from '../images/pipeline.js';
+import { imageUrl } from '../db/images.js';
+
+export function createUploadRouter({ images, transaction }, { maxBytes }) {
+  const router = express.Router();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1, fields: 0 },
+    // Cheap first check on the declared type; the bytes are checked by sharp
+    fileFilter: (req, file, done) => done(
+      file.mimetype.startsWith('image/') ? null : new InvalidImageError(`Expected an image, got ${file.mimetype}`),
+      true
+    )
+  }).single('image');
+
+  // multer reports problems through next(err) - turn them into JSON responses
+  const receive = (req, res, next) => upload(req, res, err => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Image is larger than ${Math.floor(maxBytes / (1024 * 1024))} MB` });
+    }
+    if (err instanceof InvalidImageError) {
+      return res.status(415).json({ error: err.message });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: `Invalid upload: ${err.message}` });
+    }
+    next(err);
+  });
+
+  router.post('/', receive, async (req, res) => {
+    console.log('📥 Request: Upload image', req.file?.originalname || '');
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Image file required (multipart field "image")' });
+    }
+
+    try {
+      const optimized = await optimizeImage(req.file.buffer);
+      const id = await transaction(async ({ images }) => {
+        const imageId = await images.put(optimized);
+        await images.putOriginal(imageId, { mimeType: `image/${optimized.inputFormat}`, data: req.file.buffer });
+        return imageId;
+      });
+      console.log(`✅ Image stored: ${(req.file.size / 1024).toFixed(1)} KB → ${(optimized.data.length / 1024).toFixed(1)} KB`);
+      res.status(201).json({
+        id,
+        url: imageUrl(id),
+        mimeType: optimized.mimeType,
+        ...await images.getInfo(id)
+      });
+    } catch (err) {
+      if (err instanceof InvalidImageError) {
+        return res.status(415).json({ error: err.message });
+      }
+      console.error('❌ Error:', err);
+      res.status(500).json({ error: 'Failed to upload image' });
+    }
+  });
+
+  return router;
+}
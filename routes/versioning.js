@@ -0,0 +1,50 @@
+// Optimistic concurrency for project writes.
+//
+// Every project carries a `version` that the database bumps on each update; it is
+// sent as the ETag. Writers say which version they edited either with an If-Match
+// header (stale -> 412 Precondition Failed) or, for clients that cannot set headers,
+// a `version` field in the body (stale -> 409 Conflict). Both replies carry the
+// current server copy so the client can merge and retry.
+
+export function etagFor(version) {
+  return `"${version}"`;
+}
+
+function parseEntityTag(value) {
+  const match = value.trim().match(/^(?:W\/)?"(\d+)"$/);
+  return match ? Number(match[1]) : NaN;
+}
+
+// { versions, status } for a conditional write, or null for an unconditional one.
+// If-Match may list several tags; the write goes ahead when any of them is current.
+// An unparseable tag can never match, so it yields NaN.
+export function readPrecondition(req) {
+  const header = req.get('If-Match');
+  if (header !== undefined && header.trim() !== '*') {
+    return { versions: header.split(',').map(parseEntityTag), status: 412 };
+  }
+  if (Number.isInteger(req.body?.version)) {
+    return { versions: [req.body.version], status: 409 };
+  }
+  return null;
+}
+
+// True when a write with this precondition must not touch `version`
+export function preconditionFails(precondition, version) {
+  return precondition !== null && !precondition.versions.includes(version);
+}
+
+export function sendVersionConflict(res, precondition, current) {
+  res.set('ETag', etagFor(current.version));
+  res.status(precondition.status).json({
+    error: 'Project has been changed since you loaded it',
+    current
+  });
+}
+
+// GET support: true when the client's cached copy (If-None-Match) is still current
+export function isNotModified(req, version) {
+  const header = req.get('If-None-Match');
+  if (!header) return false;
+  return header.trim() === '*' || header.split(',').some(tag => parseEntityTag(tag) === version);
+}
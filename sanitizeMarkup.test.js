@@ -0,0 +1,102 @@
+/**
+ * Tests for sanitizeMarkup / sanitizeCss (render/sanitize.js)
+ * Run with: node sanitizeMarkup.test.js
+ */
+
+import { sanitizeMarkup, sanitizeCss } from './render/sanitize.js';
+
+// Each test gives the input and the exact expected output
+const tests = [
+  {
+    name: "Plain timeline SVG is left alone",
+    input: '<svg width="100"><rect x="0" y="0" fill="#C97373"/><text>Haus TF</text></svg>',
+    expected: '<svg width="100"><rect x="0" y="0" fill="#C97373" /><text>Haus TF</text></svg>'
+  },
+  {
+    name: "Script elements are removed with their content",
+    input: '<p>a<script>alert(1)</script>b<SCRIPT src="x.js"></SCRIPT>c</p>',
+    expected: '<p>abc</p>'
+  },
+  {
+    name: "A script split around another one is removed too",
+    input: '<scr<script></script>ipt>alert(1)</script>ok',
+    expected: 'ok'
+  },
+  {
+    name: "Unclosed script removes the rest",
+    input: '<p>a</p><script>alert(1)',
+    expected: '<p>a</p>'
+  },
+  {
+    name: "Embedded documents are removed",
+    input: '<iframe src="https://example.com"></iframe><object data="x"></object><embed src="x">ok',
+    expected: 'ok'
+  },
+  {
+    name: "Tags that load or redirect are removed",
+    input: '<base href="//evil"><link rel="stylesheet" href="//evil"><meta http-equiv="refresh" content="0">ok',
+    expected: 'ok'
+  },
+  {
+    name: "Event handlers are removed",
+    input: '<rect onclick="x()" width="10" ONLOAD=\'y()\' onmouseover=z>',
+    expected: '<rect width="10">'
+  },
+  {
+    name: "A quoted > does not hide a handler",
+    input: '<img title="a>b" onerror="alert(1)" src="/api/images/abc">',
+    expected: '<img title="a>b" src="/api/images/abc">'
+  },
+  {
+    name: "javascript: links are removed, others kept",
+    input: '<a href="javascript:alert(1)">x</a><a xlink:href=" JaVa&#x53;cript&colon;1">y</a><a href="/ok">z</a>',
+    expected: '<a>x</a><a>y</a><a href="/ok">z</a>'
+  },
+  {
+    name: "Empty input",
+    input: undefined,
+    expected: ''
+  },
+  {
+    name: "CSS @import is removed",
+    css: true,
+    input: "@import url('https://fonts.googleapis.com/css2?family=X'); .a { color: red; }",
+    expected: ' .a { color: red; }'
+  },
+  {
+    name: "CSS cannot close the style element",
+    css: true,
+    input: '.a { color: red; }</style><script>alert(1)</script>',
+    expected: '.a { color: red; }<\\/style><script>alert(1)<\\/script>'
+  }
+];
+
+// Run tests
+let passed = 0;
+let failed = 0;
+
+console.log('🧪 Running sanitizeMarkup tests...\n');
+
+tests.forEach((test, index) => {
+  const result = test.css ? sanitizeCss(test.input) : sanitizeMarkup(test.input);
+
+  if (result === test.expected) {
+    passed++;
+    console.log(`✅ Test ${index + 1}: ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ Test ${index + 1}: ${test.name}`);
+    console.log(`   Expected: ${JSON.stringify(test.expected)}`);
+    console.log(`   Got: ${JSON.stringify(result)}`);
+  }
+});
+
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed out of ${tests.length} tests`);
+
+if (failed === 0) {
+  console.log('🎉 All tests passed!');
+  process.exit(0);
+} else {
+  console.log('❌ Some tests failed');
+  process.exit(1);
+}
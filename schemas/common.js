@@ -0,0 +1,12 @@
+// Building blocks shared by the document schemas
+
+export const hexColor = {
+  type: 'string',
+  pattern: '^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$'
+};
+
+// e.g. { "Commercial": "#C97373" }
+export const colorMap = {
+  type: 'object',
+  additionalProperties: hexColor
+};
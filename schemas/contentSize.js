@@ -0,0 +1,15 @@
+// Size (px) of the markup sent to /api/export-pdf and /api/export-image - the
+// viewport it is laid out in, so it is bounded like any other allocation
+
+// Largest width or height (px) laid out - Chromium's page limit
+export const MAX_CONTENT_SIZE = 16384;
+
+const length = { type: 'number', exclusiveMinimum: 0, maximum: MAX_CONTENT_SIZE };
+
+export const contentSizeSchema = {
+  type: 'object',
+  properties: {
+    width: length,
+    height: length
+  }
+};
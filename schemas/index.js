@@ -0,0 +1,159 @@
+// Document validation - compiled JSON Schemas plus the cross-field checks they can't express.
+// Validators return a list of { field, message } errors; an empty list means valid.
+
+import Ajv from 'ajv';
+import { settingsSchema } from './settings.js';
+import { projectSchema } from './project.js';
+import { newMediaSchema, mediaPatchSchema, mediaOrderSchema } from './media.js';
+import { pdfLayoutSchema } from './pdfLayout.js';
+import { rasterOptionsSchema } from './rasterOptions.js';
+import { contentSizeSchema } from './contentSize.js';
+import { portfolioSchema } from './portfolio.js';
+import { parseMonth } from '../timeline/stages.js';
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+const HEX_COLOR_MESSAGE = 'must be a hex colour like #A1B2C3';
+
+// "/colorMap/Commercial" -> "colorMap.Commercial"
+function toFieldPath(error) {
+  const segments = error.instancePath.split('/').slice(1).map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (error.keyword === 'required') segments.push(error.params.missingProperty);
+  if (error.keyword === 'additionalProperties') segments.push(error.params.additionalProperty);
+  if (error.keyword === 'propertyNames') segments.push(error.params.propertyName);
+  return segments.join('.');
+}
+
+function toMessage(error) {
+  switch (error.keyword) {
+    case 'pattern':
+      if (error.params.pattern.startsWith('^#')) return HEX_COLOR_MESSAGE;
+      if (error.params.pattern.includes('transparent')) return `${HEX_COLOR_MESSAGE}, or transparent`;
+      if (error.params.pattern.includes('\\d{4}-')) return 'must be a month like 2024-03';
+      return error.message;
+    case 'enum': return `must be one of: ${error.params.allowedValues.join(', ')}`;
+    case 'anyOf': return 'must be a month like 2024-03, or empty';
+    case 'additionalProperties': return 'is not a recognised field';
+    case 'propertyNames': return 'must be a stage number 0-7';
+    case 'required': return 'is required';
+    case 'minLength': return error.params.limit === 1 ? 'must not be empty' : error.message;
+    default: return error.message;
+  }
+}
+
+function compile(schema) {
+  const validate = ajv.compile(schema);
+  return (data) => {
+    if (validate(data)) return [];
+    const errors = validate.errors
+      // anyOf and propertyNames report every failed branch plus a summary; the summary is enough
+      .filter(error => !error.schemaPath.includes('/anyOf/') && error.propertyName === undefined)
+      .map(error => ({ field: toFieldPath(error), message: toMessage(error) }));
+    // One message per field is plenty
+    return errors.filter((error, i) => errors.findIndex(e => e.field === error.field) === i);
+  };
+}
+
+const checkSettingsSchema = compile(settingsSchema);
+
+export function validateSettings(settings) {
+  const errors = checkSettingsSchema(settings);
+  if (errors.length === 0 && settings.startYear !== undefined && settings.endYear !== undefined
+      && settings.startYear > settings.endYear) {
+    errors.push({ field: 'endYear', message: 'must not be before startYear' });
+  }
+  return errors;
+}
+
+const checkProjectSchema = compile(projectSchema);
+
+// Date-order checks the JSON Schema cannot express
+function checkProjectDates(project) {
+  const errors = [];
+  for (const [key, stage] of Object.entries(project.stages || {})) {
+    const start = parseMonth(stage.start);
+    const end = parseMonth(stage.end);
+    if (start !== null && end !== null && end < start) {
+      errors.push({ field: `stages.${key}.end`, message: 'must not be before start' });
+    }
+  }
+  (project.pauses || []).forEach((pause, i) => {
+    const start = parseMonth(pause.start);
+    const end = parseMonth(pause.end);
+    if (start !== null && end !== null && end < start) {
+      errors.push({ field: `pauses.${i}.end`, message: 'must not be before start' });
+    }
+  });
+  return errors;
+}
+
+// Validates a complete project document (create, full update, import)
+export function validateProject(project) {
+  if (!project || typeof project !== 'object' || Array.isArray(project)) {
+    return [{ field: '', message: 'must be a project object' }];
+  }
+  const errors = checkProjectSchema(project);
+  return errors.length > 0 ? errors : checkProjectDates(project);
+}
+
+const checkNewMedia = compile(newMediaSchema);
+const checkMediaPatch = compile(mediaPatchSchema);
+
+// Gallery item for POST (new: true, needs imageId or url) or PATCH
+export function validateMedia(item, { new: isNew = false } = {}) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return [{ field: '', message: 'must be a media object' }];
+  }
+  if (!isNew) return checkMediaPatch(item);
+  const errors = checkNewMedia(item);
+  if (item.imageId === undefined && item.url === undefined) {
+    errors.push({ field: 'imageId', message: 'is required (or url)' });
+  }
+  return errors;
+}
+
+export const validateMediaOrder = compile(mediaOrderSchema);
+
+const checkPdfLayoutSchema = compile(pdfLayoutSchema);
+
+// Paper layout for a PDF export; every option but paper needs a paper to apply to
+export function validatePdfLayout(layout) {
+  const errors = checkPdfLayoutSchema(layout);
+  if (errors.length === 0 && layout.paper === undefined && Object.keys(layout).length > 0) {
+    errors.push({ field: 'paper', message: 'is required with the other layout options' });
+  }
+  return errors;
+}
+
+// Width and height of markup to export, both optional
+export const validateContentSize = compile(contentSizeSchema);
+
+const checkRasterOptionsSchema = compile(rasterOptionsSchema);
+
+// Raster export options, with the combinations the schema cannot rule out
+export function validateRasterOptions(options) {
+  const errors = checkRasterOptionsSchema(options);
+  if (errors.length > 0) return errors;
+  if (options.dpi !== undefined && options.scale !== undefined) {
+    errors.push({ field: 'scale', message: 'cannot be combined with dpi' });
+  }
+  if (options.format === 'jpeg' && options.background === 'transparent') {
+    errors.push({ field: 'background', message: 'cannot be transparent in a JPEG' });
+  }
+  if (options.position !== undefined && options.preset === undefined) {
+    errors.push({ field: 'position', message: 'only applies with a preset' });
+  }
+  return errors;
+}
+
+// Portfolio request: which projects, in which order, and how to print them
+export const validatePortfolio = compile(portfolioSchema);
+
+// Canonical form for storage: cleared stage dates become null
+export function normalizeProject(project) {
+  const stages = Object.fromEntries(Object.entries(project.stages || {}).map(([key, stage]) => [
+    key,
+    { ...stage, start: stage.start || null, end: stage.end || null }
+  ]));
+  return { ...project, stages };
+}
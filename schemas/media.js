@@ -0,0 +1,44 @@
+// Gallery item documents, as sent to /api/projects/:id/media
+
+const text = { type: ['string', 'null'] };
+
+// Fields an item can be created or patched with
+const mediaProperties = {
+  caption: text,
+  credit: text,
+  altText: text,
+  cover: { type: 'boolean' },
+  // The project version being edited (see routes/versioning.js)
+  version: { type: 'integer', minimum: 1 }
+};
+
+// The image is given by id or by URL, as returned by POST /api/upload
+export const newMediaSchema = {
+  type: 'object',
+  properties: {
+    imageId: { type: 'string', pattern: '^[0-9a-f]{64}$' },
+    url: { type: 'string', minLength: 1 },
+    ...mediaProperties
+  },
+  additionalProperties: false
+};
+
+export const mediaPatchSchema = {
+  type: 'object',
+  properties: {
+    ...mediaProperties,
+    // An item stops being the cover only when another one takes over
+    cover: { const: true }
+  },
+  additionalProperties: false
+};
+
+export const mediaOrderSchema = {
+  type: 'object',
+  properties: {
+    order: { type: 'array', items: { type: 'integer' } },
+    version: { type: 'integer', minimum: 1 }
+  },
+  required: ['order'],
+  additionalProperties: false
+};
@@ -0,0 +1,31 @@
+// Paper layout options for PDF export (render/paper.js), as sent to
+// /api/export-pdf or given to /api/timeline.pdf
+
+import { hexColor } from './common.js';
+import { PAPER_SIZES, ORIENTATIONS, FIT_MODES } from '../render/paper.js';
+
+const length = (maximum) => ({ type: 'number', minimum: 0, maximum });
+const band = { type: 'string', maxLength: 200 };
+
+export const pdfLayoutSchema = {
+  type: 'object',
+  properties: {
+    paper: { enum: Object.keys(PAPER_SIZES) },
+    orientation: { enum: ORIENTATIONS },
+    fit: { enum: FIT_MODES },
+    scale: { type: 'number', exclusiveMinimum: 0, maximum: 20 },
+    margin: length(50),
+    overlap: length(50),
+    bleed: length(10),
+    cropMarks: { type: 'boolean' },
+    background: hexColor,
+    // Left|centre|right, with {title}, {date}, {page}, {pages} and {tile} filled in
+    header: band,
+    footer: band,
+    title: { type: 'string', maxLength: 200 },
+    date: { type: 'string', maxLength: 40 }
+  },
+  additionalProperties: false
+};
+
+export const PDF_LAYOUT_FIELDS = Object.keys(pdfLayoutSchema.properties);
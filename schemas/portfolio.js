@@ -0,0 +1,29 @@
+// Portfolio requests (render/portfolio.js), as sent to /api/portfolio
+
+import { PAPER_SIZES } from '../render/paper.js';
+
+export const MAX_PORTFOLIO_PROJECTS = 200;
+
+export const portfolioSchema = {
+  type: 'object',
+  properties: {
+    // The projects to include, in the order they are printed
+    projectIds: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      minItems: 1,
+      maxItems: MAX_PORTFOLIO_PROJECTS,
+      uniqueItems: true
+    },
+    // Cover, contents and page numbers in front of the sheets
+    booklet: { type: 'boolean' },
+    paper: { enum: Object.keys(PAPER_SIZES) },
+    orientation: { enum: ['portrait', 'landscape'] },
+    images: { type: 'integer', minimum: 0, maximum: 3 },
+    title: { type: 'string', maxLength: 200 },
+    subtitle: { type: 'string', maxLength: 200 },
+    date: { type: 'string', maxLength: 40 }
+  },
+  required: ['projectIds'],
+  additionalProperties: false
+};
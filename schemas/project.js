@@ -0,0 +1,76 @@
+// Project document, as returned by /api/data and GET /api/projects/:id
+
+import { hexColor } from './common.js';
+
+export const month = {
+  type: 'string',
+  pattern: '^\\d{4}-(0[1-9]|1[0-2])$'
+};
+
+// '' is what the frontend sends for a cleared date picker; stored as null
+const optionalMonth = {
+  anyOf: [month, { type: 'null' }, { const: '' }]
+};
+
+const text = { type: ['string', 'null'] };
+
+export const stageSchema = {
+  type: 'object',
+  properties: {
+    start: optionalMonth,
+    end: optionalMonth,
+    duration: { type: ['integer', 'null'], minimum: 0 },
+    useDuration: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+export const pauseSchema = {
+  type: 'object',
+  properties: {
+    start: month,
+    end: { anyOf: [month, { type: 'null' }] },
+    reason: text
+  },
+  required: ['start'],
+  additionalProperties: false
+};
+
+export const projectSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    number: { type: 'integer', minimum: 0 },
+    name: { type: 'string', minLength: 1 },
+    practiceName: text,
+    briefDescription: text,
+    client: text,
+    value: text,
+    area: text,
+    location: text,
+    projectTypes: { type: 'array', items: { type: 'string' } },
+    typeColor: hexColor,
+    thumbnail: text,
+    notes: text,
+    // RIBA work stages 0-7
+    stages: {
+      type: 'object',
+      propertyNames: { pattern: '^[0-7]$' },
+      additionalProperties: stageSchema
+    },
+    pauses: { type: 'array', items: pauseSchema },
+    responsibilities: {
+      type: 'array',
+      items: { type: 'integer', minimum: 0, maximum: 7 }
+    },
+    completed: { type: 'boolean' },
+    // Read-only: maintained by the server, accepted so documents can be sent back as received
+    version: { type: 'integer', minimum: 1 },
+    updatedAt: text,
+    deletedAt: text,
+    thumbnailInfo: { type: 'object' },
+    media: { type: 'array' }
+  },
+  required: ['id', 'name', 'stages'],
+  additionalProperties: false
+};
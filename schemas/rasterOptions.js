@@ -0,0 +1,30 @@
+// Raster export options (render/raster.js), as sent to /api/export-image or
+// given to /api/timeline.png, .jpg and .webp
+
+import { RASTER_FORMATS, SOCIAL_PRESETS, CROP_POSITIONS } from '../render/raster.js';
+
+const pixels = { type: 'number', minimum: 0 };
+const size = { type: 'number', exclusiveMinimum: 0 };
+
+export const rasterOptionsSchema = {
+  type: 'object',
+  properties: {
+    format: { enum: Object.keys(RASTER_FORMATS) },
+    dpi: { type: 'number', minimum: 24, maximum: 768 },
+    scale: { type: 'number', exclusiveMinimum: 0, maximum: 8 },
+    quality: { type: 'integer', minimum: 1, maximum: 100 },
+    background: { type: 'string', pattern: '^(#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})|transparent)$' },
+    // Region of the content to keep, in content px
+    crop: {
+      type: 'object',
+      properties: { x: pixels, y: pixels, width: size, height: size },
+      required: ['x', 'y', 'width', 'height'],
+      additionalProperties: false
+    },
+    preset: { enum: Object.keys(SOCIAL_PRESETS) },
+    position: { enum: CROP_POSITIONS }
+  },
+  additionalProperties: false
+};
+
+export const RASTER_OPTION_FIELDS = Object.keys(rasterOptionsSchema.properties);
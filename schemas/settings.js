@@ -0,0 +1,16 @@
+// Settings document, as returned by GET /api/settings and /api/data
+
+import { colorMap } from './common.js';
+
+const year = { type: 'integer', minimum: 1900, maximum: 2200 };
+
+export const settingsSchema = {
+  type: 'object',
+  properties: {
+    startYear: year,
+    endYear: year,
+    colorMap,
+    projectTypeColors: colorMap
+  },
+  additionalProperties: false
+};
@@ -1,732 +1,160 @@
 // Import required packages
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import sqlite3 from 'sqlite3';
-import pg from 'pg';
-import puppeteer from 'puppeteer';
-const { Pool } = pg;
+import { openDatabase, createRepositories } from './db/index.js';
+import { assertSchemaCurrent } from './db/migrate.js';
+import { createSettingsRouter } from './routes/settings.js';
+import { createProjectsRouter } from './routes/projects.js';
+import { createBatchRouter } from './routes/batch.js';
+import { createRevisionsRouter } from './routes/revisions.js';
+import { createMediaRouter } from './routes/media.js';
+import { createTrashRouter, startTrashSweep } from './routes/trash.js';
+import { createAuthRouter } from './routes/auth.js';
+import { createImagesRouter } from './routes/images.js';
+import { createUploadRouter } from './routes/upload.js';
+import { createOptimizerRouter } from './routes/optimizer.js';
+import { createExportRouter, createImageExportRouter } from './routes/export.js';
+import { createTimelineRouter } from './routes/timeline.js';
+import { createExportJobsRouter, startExportSweep } from './routes/exports.js';
+import { createPortfolioRouter } from './routes/portfolio.js';
+import { createBrowserPool } from './render/browserPool.js';
+import { createExportQueue } from './render/exportQueue.js';
+import { sandboxPage } from './render/sandbox.js';
+import { createAuthenticator, requireRole, allow, hasRole } from './auth/middleware.js';
+import { createTokenIssuer } from './auth/tokens.js';
 
 // Create the Express application
 const app = express();
 const PORT = process.env.PORT || 3001;
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+const AUTH_ENABLED = process.env.AUTH !== 'off';
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB ?? 10);
+const OPTIMIZER_PROGRESS_FILE = process.env.OPTIMIZER_PROGRESS_FILE || 'optimizer-progress.jsonl';
+const RENDER_POOL_SIZE = Number(process.env.RENDER_POOL_SIZE ?? 2);
+const RENDER_QUEUE_MAX = Number(process.env.RENDER_QUEUE_MAX ?? 20);
+const RENDER_TIMEOUT_MS = Number(process.env.RENDER_TIMEOUT_MS ?? 30000);
+const RENDER_PAGE_MAX_USES = Number(process.env.RENDER_PAGE_MAX_USES ?? 50);
+const EXPORT_TTL_HOURS = Number(process.env.EXPORT_TTL_HOURS ?? 24);
+const EXPORT_QUEUE_MAX = Number(process.env.EXPORT_QUEUE_MAX ?? 50);
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag'] }));
 app.use(express.json({ limit: '50mb' }));
 
-// Database setup - use PostgreSQL in production, SQLite locally
-const isProduction = process.env.NODE_ENV === 'production';
-let db;
+// Database setup - driver chosen by DB_DRIVER / DATABASE_URL (see db/index.js)
+const db = await openDatabase();
 
-if (isProduction) {
-  // PostgreSQL for production
-  db = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: { rejectUnauthorized: false }
-  });
-  console.log('✅ Using PostgreSQL database');
-  initializePostgresDatabase();
-} else {
-  // SQLite for local development
-  db = new sqlite3.Database('./fenwick.db', (err) => {
-    if (err) {
-      console.error('❌ Database connection failed:', err);
-    } else {
-      console.log('✅ SQLite database connected!');
-      initializeSQLiteDatabase();
-    }
-  });
+// Refuse to start against a schema that is behind or half-migrated
+try {
+  await assertSchemaCurrent(db);
+} catch (err) {
+  console.error('❌', err.message);
+  console.error('💡 Run "npm run db:migrate" (or "npm run db:status" for details)');
+  process.exit(1);
 }
 
-// Initialize PostgreSQL database
-async function initializePostgresDatabase() {
-  try {
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS projects (
-        id TEXT PRIMARY KEY,
-        number INTEGER NOT NULL,
-        name TEXT NOT NULL,
-        practice_name TEXT,
-        brief_description TEXT,
-        client TEXT,
-        value TEXT,
-        area TEXT,
-        location TEXT,
-        project_types TEXT NOT NULL,
-        type_color TEXT NOT NULL,
-        thumbnail TEXT,
-        notes TEXT,
-        stages TEXT NOT NULL,
-        pauses TEXT,
-        responsibilities TEXT,
-        completed BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Check if old 'type' column exists and migrate
-    const columnsResult = await db.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name = 'projects' AND column_name = 'type'
-    `);
-    
-    if (columnsResult.rows.length > 0) {
-      console.log('📦 Migrating from single type to project_types...');
-
-      // Add new columns if they don't exist
-      await db.query(`
-        ALTER TABLE projects
-        ADD COLUMN IF NOT EXISTS practice_name TEXT,
-        ADD COLUMN IF NOT EXISTS brief_description TEXT,
-        ADD COLUMN IF NOT EXISTS project_types TEXT
-      `).catch(() => {}); // Ignore if already exists
-
-      // Migrate data from type to project_types
-      await db.query(`
-        UPDATE projects
-        SET project_types = CASE
-          WHEN project_types IS NULL THEN '["' || type || '"]'
-          ELSE project_types
-        END
-        WHERE project_types IS NULL OR project_types = ''
-      `);
-
-      // Drop old type column
-      await db.query(`ALTER TABLE projects DROP COLUMN IF EXISTS type`);
+const repos = createRepositories(db);
+const { projects, settings } = repos;
 
-      console.log('✅ Migration completed!');
-    }
-
-    // Add responsibilities and completed columns if they don't exist
-    console.log('📦 Checking for responsibilities and completed columns...');
-    await db.query(`
-      ALTER TABLE projects
-      ADD COLUMN IF NOT EXISTS responsibilities TEXT
-    `).catch(() => {});
-
-    await db.query(`
-      ALTER TABLE projects
-      ADD COLUMN IF NOT EXISTS completed BOOLEAN DEFAULT FALSE
-    `).catch(() => {});
-
-    console.log('✅ New columns added (if they were missing)');
-    
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS settings (
-        id SERIAL PRIMARY KEY,
-        start_year INTEGER DEFAULT 2011,
-        end_year INTEGER DEFAULT 2026,
-        color_map TEXT NOT NULL,
-        project_type_colors TEXT
-      )
-    `);
-    
-    console.log('✅ PostgreSQL tables ready!');
-    await checkAndCreateDefaultPostgresSettings();
-  } catch (err) {
-    console.error('❌ Error creating PostgreSQL tables:', err);
-  }
+if (await settings.ensureDefaults()) {
+  console.log('✅ Default settings added!');
 }
 
-// Initialize SQLite database (for local dev)
-function initializeSQLiteDatabase() {
-  // Check if table exists
-  db.get("SELECT sql FROM sqlite_master WHERE type='table' AND name='projects'", (err, row) => {
-    if (!row) {
-      // No table exists, create fresh
-      createSQLiteTables();
-    } else if (row.sql.includes('type TEXT') && !row.sql.includes('project_types')) {
-      // Old schema with single 'type' column
-      console.log('📦 Migrating from old schema (type -> project_types)...');
-      migrateSQLiteSchema();
-    } else {
-      // Table exists, check actual columns using PRAGMA
-      db.all("PRAGMA table_info(projects)", (err, columns) => {
-        if (err) {
-          console.error('❌ Error checking columns:', err);
-          return;
-        }
-
-        const columnNames = columns.map(col => col.name);
-        const hasResponsibilities = columnNames.includes('responsibilities');
-        const hasCompleted = columnNames.includes('completed');
-
-        if (!hasResponsibilities || !hasCompleted) {
-          // Missing new columns
-          console.log('📦 Adding responsibilities and completed columns...');
-          addNewColumnsToExistingTable();
-        } else {
-          // Table exists with all columns
-          console.log('✅ Projects table ready!');
-          createSettingsTable();
-        }
-      });
-    }
-  });
-}
-
-function migrateSQLiteSchema() {
-  db.serialize(() => {
-    // Create new table with updated schema
-    db.run(`
-      CREATE TABLE IF NOT EXISTS projects_new (
-        id TEXT PRIMARY KEY,
-        number INTEGER NOT NULL,
-        name TEXT NOT NULL,
-        practice_name TEXT,
-        brief_description TEXT,
-        client TEXT,
-        value TEXT,
-        area TEXT,
-        location TEXT,
-        project_types TEXT NOT NULL,
-        type_color TEXT NOT NULL,
-        thumbnail TEXT,
-        notes TEXT,
-        stages TEXT NOT NULL,
-        pauses TEXT,
-        responsibilities TEXT,
-        completed INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Copy data, converting type to project_types array
-    db.run(`
-      INSERT INTO projects_new
-      (id, number, name, practice_name, brief_description, client, value, area, location,
-       project_types, type_color, thumbnail, notes, stages, pauses, responsibilities, completed, created_at, updated_at)
-      SELECT
-        id, number, name, NULL, NULL, client, value, area, location,
-        '["' || type || '"]',
-        type_color, thumbnail, notes, stages, pauses, NULL, 0, created_at, updated_at
-      FROM projects
-    `, (err) => {
-      if (err) {
-        console.error('❌ Migration error:', err);
-        return;
-      }
-      
-      // Drop old table and rename new one
-      db.run('DROP TABLE projects', (err) => {
-        if (err) {
-          console.error('❌ Drop table error:', err);
-          return;
-        }
-        
-        db.run('ALTER TABLE projects_new RENAME TO projects', (err) => {
-          if (err) {
-            console.error('❌ Rename table error:', err);
-            return;
-          }
-          
-          console.log('✅ SQLite migration completed!');
-          createSettingsTable();
-        });
-      });
-    });
-  });
-}
-
-function addNewColumnsToExistingTable() {
-  db.serialize(() => {
-    // Check if responsibilities column exists
-    db.all("PRAGMA table_info(projects)", (err, columns) => {
-      if (err) {
-        console.error('❌ Error checking columns:', err);
-        return;
-      }
-
-      const hasResponsibilities = columns.some(col => col.name === 'responsibilities');
-      const hasCompleted = columns.some(col => col.name === 'completed');
-
-      if (!hasResponsibilities) {
-        console.log('Adding responsibilities column...');
-        db.run('ALTER TABLE projects ADD COLUMN responsibilities TEXT', (err) => {
-          if (err) console.error('❌ Error adding responsibilities:', err);
-          else console.log('✅ Added responsibilities column');
-        });
-      }
-
-      if (!hasCompleted) {
-        console.log('Adding completed column...');
-        db.run('ALTER TABLE projects ADD COLUMN completed INTEGER DEFAULT 0', (err) => {
-          if (err) console.error('❌ Error adding completed:', err);
-          else console.log('✅ Added completed column');
-        });
-      }
-
-      // Wait a bit for ALTER TABLE to complete, then proceed
-      setTimeout(() => {
-        console.log('✅ Migration completed!');
-        createSettingsTable();
-      }, 100);
-    });
-  });
-}
-
-function createSQLiteTables() {
-  db.run(`
-    CREATE TABLE IF NOT EXISTS projects (
-      id TEXT PRIMARY KEY,
-      number INTEGER NOT NULL,
-      name TEXT NOT NULL,
-      practice_name TEXT,
-      brief_description TEXT,
-      client TEXT,
-      value TEXT,
-      area TEXT,
-      location TEXT,
-      project_types TEXT NOT NULL,
-      type_color TEXT NOT NULL,
-      thumbnail TEXT,
-      notes TEXT,
-      stages TEXT NOT NULL,
-      pauses TEXT,
-      responsibilities TEXT,
-      completed INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `, (err) => {
-    if (err) console.error('❌ Create projects table error:', err);
-    else console.log('✅ Projects table ready!');
-  });
-
-  createSettingsTable();
-}
-
-function createSettingsTable() {
-  db.run(`
-    CREATE TABLE IF NOT EXISTS settings (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      start_year INTEGER DEFAULT 2011,
-      end_year INTEGER DEFAULT 2026,
-      color_map TEXT NOT NULL,
-      project_type_colors TEXT
-    )
-  `, () => {
-    checkAndCreateDefaultSQLiteSettings();
-  });
-}
-
-// Add default settings for PostgreSQL
-async function checkAndCreateDefaultPostgresSettings() {
-  try {
-    const result = await db.query("SELECT COUNT(*) as count FROM settings");
-    if (result.rows[0].count === '0') {
-      const defaultColorMap = {
-        "Commercial": "#C97373",
-        "Residential": "#C79A6B",
-        "Education": "#6A8FDB",
-        "Healthcare": "#8CC9A3",
-        "Cultural": "#B68CC9",
-        "Industrial": "#9AA5B1",
-        "Refurbishment": "#E0B762",
-        "Student Housing": "#7FB0C9",
-        "Interiors": "#A1C96D",
-        "Hospitality": "#E38FB3",
-        "Case Study": "#666666",
-        "Others": "#A0A0A0"
-      };
-      
-      const projectTypeColors = {
-        "Commercial": "#C97373",
-        "Retail": "#E38FB3",
-        "Residential": "#C79A6B",
-        "Hospitality": "#E38FB3",
-        "Hotel": "#B68CC9",
-        "Restaurant": "#E0B762",
-        "Bar": "#A1C96D",
-        "Urban Mobility": "#27AE60",
-        "Infrastructure": "#7F8C8D",
-        "Cultural": "#B68CC9",
-        "Museum": "#9B59B6",
-        "Exhibition": "#8E44AD",
-        "Heritage": "#9AA5B1",
-        "UNESCO": "#5F6A7A",
-        "Interior": "#A1C96D",
-        "Refurbishment": "#E0B762",
-        "Competition": "#E74C3C",
-        "Research": "#3498DB",
-        "Academic": "#6A8FDB",
-        "Public": "#2980B9",
-        "Private": "#D68910"
-      };
-      
-      await db.query(
-        "INSERT INTO settings (color_map, project_type_colors) VALUES ($1, $2)",
-        [JSON.stringify(defaultColorMap), JSON.stringify(projectTypeColors)]
-      );
-      console.log('✅ Default settings added!');
-    }
-  } catch (err) {
-    console.error('❌ Error adding default settings:', err);
-  }
-}
-
-// Add default settings for SQLite
-function checkAndCreateDefaultSQLiteSettings() {
-  db.get("SELECT COUNT(*) as count FROM settings", (err, row) => {
-    if (!err && row.count === 0) {
-      const defaultColorMap = {
-        "Commercial": "#C97373",
-        "Residential": "#C79A6B",
-        "Education": "#6A8FDB",
-        "Healthcare": "#8CC9A3",
-        "Cultural": "#B68CC9",
-        "Industrial": "#9AA5B1",
-        "Refurbishment": "#E0B762",
-        "Student Housing": "#7FB0C9",
-        "Interiors": "#A1C96D",
-        "Hospitality": "#E38FB3",
-        "Case Study": "#666666",
-        "Others": "#A0A0A0"
-      };
-      
-      const projectTypeColors = {
-        "Commercial": "#C97373",
-        "Retail": "#E38FB3",
-        "Residential": "#C79A6B",
-        "Hospitality": "#E38FB3",
-        "Hotel": "#B68CC9",
-        "Restaurant": "#E0B762",
-        "Bar": "#A1C96D",
-        "Urban Mobility": "#27AE60",
-        "Infrastructure": "#7F8C8D",
-        "Cultural": "#B68CC9",
-        "Museum": "#9B59B6",
-        "Exhibition": "#8E44AD",
-        "Heritage": "#9AA5B1",
-        "UNESCO": "#5F6A7A",
-        "Interior": "#A1C96D",
-        "Refurbishment": "#E0B762",
-        "Competition": "#E74C3C",
-        "Research": "#3498DB",
-        "Academic": "#6A8FDB",
-        "Public": "#2980B9",
-        "Private": "#D68910"
-      };
-      
-      db.run(
-        "INSERT INTO settings (color_map, project_type_colors) VALUES (?, ?)",
-        [JSON.stringify(defaultColorMap), JSON.stringify(projectTypeColors)]
-      );
-    }
-  });
+// Authentication - API keys for scripts, session tokens for the frontend (see auth/)
+const tokens = createTokenIssuer({
+  secret: process.env.AUTH_SECRET,
+  ttl: process.env.AUTH_TOKEN_TTL || '12h'
+});
+if (!AUTH_ENABLED) {
+  console.log('⚠️  AUTH=off - every request is treated as an admin. Never use this in production!');
+} else if (!tokens.enabled) {
+  console.log('⚠️  AUTH_SECRET is not set - sign-in is disabled, only API keys work');
 }
+app.use(createAuthenticator({ ...repos, tokens, enabled: AUTH_ENABLED }));
 
 // ROUTES
 
-// Get all data
-app.get('/api/data', async (req, res) => {
+app.use('/api/auth', createAuthRouter({ users: repos.users, tokens }));
+app.use('/api/images', createImagesRouter(repos));
+
+// Get all data - trashed projects only with ?includeDeleted=true (editors, like the trash)
+app.get('/api/data', requireRole('viewer'), async (req, res) => {
   console.log('📥 Request: Get all data');
-  
-  try {
-    if (isProduction) {
-      const settingsResult = await db.query("SELECT * FROM settings LIMIT 1");
-      const projectsResult = await db.query("SELECT * FROM projects ORDER BY number");
-      
-      const settings = settingsResult.rows[0];
-      const projects = projectsResult.rows.map(p => ({
-        id: p.id,
-        number: p.number,
-        name: p.name,
-        practiceName: p.practice_name,
-        briefDescription: p.brief_description,
-        client: p.client,
-        value: p.value,
-        area: p.area,
-        location: p.location,
-        projectTypes: JSON.parse(p.project_types || '[]'),
-        typeColor: p.type_color,
-        thumbnail: p.thumbnail,
-        notes: p.notes,
-        stages: JSON.parse(p.stages || '{}'),
-        pauses: JSON.parse(p.pauses || '[]'),
-        responsibilities: JSON.parse(p.responsibilities || '[]'),
-        completed: p.completed || false
-      }));
-      
-      res.json({
-        projects,
-        settings: {
-          startYear: settings?.start_year || 2011,
-          endYear: settings?.end_year || 2026,
-          colorMap: JSON.parse(settings?.color_map || '{}'),
-          projectTypeColors: JSON.parse(settings?.project_type_colors || '{}')
-        }
-      });
-    } else {
-      db.get("SELECT * FROM settings LIMIT 1", (err, settings) => {
-        if (err) return res.status(500).json({ error: 'Failed to get settings' });
-        
-        db.all("SELECT * FROM projects ORDER BY number", (err, projects) => {
-          if (err) return res.status(500).json({ error: 'Failed to get projects' });
-          
-          const processedProjects = projects.map(p => ({
-            id: p.id,
-            number: p.number,
-            name: p.name,
-            practiceName: p.practice_name,
-            briefDescription: p.brief_description,
-            client: p.client,
-            value: p.value,
-            area: p.area,
-            location: p.location,
-            projectTypes: JSON.parse(p.project_types || '[]'),
-            typeColor: p.type_color,
-            thumbnail: p.thumbnail,
-            notes: p.notes,
-            stages: JSON.parse(p.stages || '{}'),
-            pauses: JSON.parse(p.pauses || '[]'),
-            responsibilities: JSON.parse(p.responsibilities || '[]'),
-            completed: p.completed === 1
-          }));
-          
-          res.json({
-            projects: processedProjects,
-            settings: {
-              startYear: settings?.start_year || 2011,
-              endYear: settings?.end_year || 2026,
-              colorMap: JSON.parse(settings?.color_map || '{}'),
-              projectTypeColors: JSON.parse(settings?.project_type_colors || '{}')
-            }
-          });
-        });
-      });
-    }
-  } catch (err) {
-    console.error('❌ Error:', err);
-    res.status(500).json({ error: 'Server error' });
-  }
-});
 
-// Create project
-app.post('/api/projects', async (req, res) => {
-  const project = req.body;
-  console.log('📥 Request: Create project');
-  
-  const projectData = {
-    id: project.id,
-    number: project.number || Math.floor(Math.random() * 1000),
-    name: project.name,
-    practiceName: project.practiceName || null,
-    briefDescription: project.briefDescription || null,
-    client: project.client || '',
-    value: project.value || '',
-    area: project.area || '',
-    location: project.location || '',
-    projectTypes: JSON.stringify(project.projectTypes || []),
-    typeColor: project.typeColor || '#5a8a99',
-    thumbnail: project.thumbnail || '',
-    notes: project.notes || '',
-    stages: JSON.stringify(project.stages),
-    pauses: JSON.stringify(project.pauses || []),
-    responsibilities: JSON.stringify(project.responsibilities || []),
-    completed: project.completed || false
-  };
-  
-  try {
-    if (isProduction) {
-      await db.query(
-        `INSERT INTO projects (id, number, name, practice_name, brief_description, client, value, area, location,
-         project_types, type_color, thumbnail, notes, stages, pauses, responsibilities, completed)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)`,
-        [projectData.id, projectData.number, projectData.name, projectData.practiceName,
-         projectData.briefDescription, projectData.client, projectData.value, projectData.area,
-         projectData.location, projectData.projectTypes, projectData.typeColor, projectData.thumbnail,
-         projectData.notes, projectData.stages, projectData.pauses, projectData.responsibilities, projectData.completed]
-      );
-    } else {
-      db.run(
-        `INSERT INTO projects (id, number, name, practice_name, brief_description, client, value, area, location,
-         project_types, type_color, thumbnail, notes, stages, pauses, responsibilities, completed)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [projectData.id, projectData.number, projectData.name, projectData.practiceName,
-         projectData.briefDescription, projectData.client, projectData.value, projectData.area,
-         projectData.location, projectData.projectTypes, projectData.typeColor, projectData.thumbnail,
-         projectData.notes, projectData.stages, projectData.pauses, projectData.responsibilities, projectData.completed ? 1 : 0]
-      );
-    }
-    console.log('✅ Project created!');
-    res.json({ success: true, id: projectData.id });
-  } catch (err) {
-    console.error('❌ Error:', err);
-    res.status(500).json({ error: 'Failed to create project' });
+  const includeDeleted = req.query.includeDeleted === 'true';
+  if (includeDeleted && !hasRole(req.principal, 'editor')) {
+    return res.status(403).json({ error: 'Requires the editor role' });
   }
-});
 
-// Update project
-app.put('/api/projects/:id', async (req, res) => {
-  const project = req.body;
-  const projectId = req.params.id;
-  console.log('📥 Request: Update project', projectId);
-  
   try {
-    if (isProduction) {
-      await db.query(
-        `UPDATE projects SET number=$1, name=$2, practice_name=$3, brief_description=$4, client=$5,
-         value=$6, area=$7, location=$8, project_types=$9, type_color=$10, thumbnail=$11, notes=$12,
-         stages=$13, pauses=$14, responsibilities=$15, completed=$16, updated_at=CURRENT_TIMESTAMP
-         WHERE id=$17`,
-        [project.number, project.name, project.practiceName || null, project.briefDescription || null,
-         project.client || '', project.value || '', project.area || '', project.location || '',
-         JSON.stringify(project.projectTypes || []), project.typeColor, project.thumbnail || '',
-         project.notes || '', JSON.stringify(project.stages), JSON.stringify(project.pauses || []),
-         JSON.stringify(project.responsibilities || []), project.completed || false,
-         projectId]
-      );
-    } else {
-      db.run(
-        `UPDATE projects SET number=?, name=?, practice_name=?, brief_description=?, client=?, value=?,
-         area=?, location=?, project_types=?, type_color=?, thumbnail=?, notes=?, stages=?, pauses=?,
-         responsibilities=?, completed=?, updated_at=CURRENT_TIMESTAMP WHERE id=?`,
-        [project.number, project.name, project.practiceName || null, project.briefDescription || null,
-         project.client || '', project.value || '', project.area || '', project.location || '',
-         JSON.stringify(project.projectTypes || []), project.typeColor, project.thumbnail || '',
-         project.notes || '', JSON.stringify(project.stages), JSON.stringify(project.pauses || []),
-         JSON.stringify(project.responsibilities || []), project.completed ? 1 : 0,
-         projectId]
-      );
-    }
-    console.log('✅ Project updated!');
-    res.json({ success: true });
+    res.json({
+      projects: await projects.list({ includeDeleted }),
+      settings: await settings.get()
+    });
   } catch (err) {
     console.error('❌ Error:', err);
-    res.status(500).json({ error: 'Failed to update project' });
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Delete project
-app.delete('/api/projects/:id', async (req, res) => {
-  const projectId = req.params.id;
-  console.log('📥 Request: Delete project', projectId);
-  
-  try {
-    if (isProduction) {
-      await db.query("DELETE FROM projects WHERE id=$1", [projectId]);
-    } else {
-      db.run("DELETE FROM projects WHERE id=?", projectId);
-    }
-    console.log('✅ Project deleted!');
-    res.json({ success: true });
-  } catch (err) {
-    console.error('❌ Error:', err);
-    res.status(500).json({ error: 'Failed to delete project' });
-  }
+app.use('/api/settings', allow({ read: 'viewer', write: 'admin' }), createSettingsRouter({ settings }));
+app.use('/api/projects/:id/revisions', allow({ read: 'viewer', write: 'editor' }), createRevisionsRouter(repos));
+app.use('/api/projects/:id/media', allow({ read: 'viewer', write: 'editor' }), createMediaRouter(repos));
+app.use('/api/projects', allow({ read: 'viewer', write: 'editor' }), createProjectsRouter(repos));
+app.use('/api/batch', requireRole('admin'), createBatchRouter(repos));
+app.use('/api/trash', requireRole('editor'), createTrashRouter(repos));
+app.use('/api/upload', requireRole('editor'), createUploadRouter(repos, { maxBytes: UPLOAD_MAX_MB * 1024 * 1024 }));
+app.use('/api/admin/optimize-images', requireRole('admin'), createOptimizerRouter(repos, { progressFile: OPTIMIZER_PROGRESS_FILE }));
+
+startTrashSweep(repos, TRASH_RETENTION_DAYS);
+
+// Headless Chromium for PDF and image export, started on the first export (see render/browserPool.js)
+const renderPool = createBrowserPool({
+  setupPage: page => sandboxPage(page, repos),
+  size: RENDER_POOL_SIZE,
+  maxQueue: RENDER_QUEUE_MAX,
+  timeoutMs: RENDER_TIMEOUT_MS,
+  maxUses: RENDER_PAGE_MAX_USES
 });
 
-// PDF Export endpoint
-app.post('/api/export-pdf', async (req, res) => {
-  console.log('📥 Request: Export PDF');
-
-  try {
-    const { htmlContent, cssStyles, width, height } = req.body;
-
-    if (!htmlContent) {
-      return res.status(400).json({ error: 'HTML content required' });
-    }
-
-    // Calculate PDF dimensions from SVG dimensions
-    // Convert pixels to mm (96 DPI standard: 1 inch = 96px = 25.4mm)
-    const pxToMm = (px) => (px * 25.4) / 96;
-
-    const pdfWidth = width ? pxToMm(width) : 297; // Default A4 landscape width
-    const pdfHeight = height ? pxToMm(height) : 210; // Default A4 landscape height
+// PDF, image and portfolio export endpoints
+app.use('/api/export-pdf', requireRole('viewer'), createExportRouter({ pool: renderPool }));
+app.use('/api/export-image', requireRole('viewer'), createImageExportRouter({ pool: renderPool }));
+app.use('/api/portfolio', requireRole('viewer'), createPortfolioRouter(repos, { pool: renderPool }));
 
-    // Launch Puppeteer browser
-    const browser = await puppeteer.launch({
-      headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-
-    const page = await browser.newPage();
-
-    // Set viewport to match content size
-    if (width && height) {
-      await page.setViewport({
-        width: Math.ceil(width),
-        height: Math.ceil(height)
-      });
-    }
-
-    // Construct complete HTML with embedded styles
-    const fullHTML = `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <meta charset="UTF-8">
-          <style>
-            @import url('https://fonts.googleapis.com/css2?family=Helvetica+Neue:wght@300;400;500;700&display=swap');
-
-            * {
-              margin: 0;
-              padding: 0;
-              box-sizing: border-box;
-            }
-
-            body {
-              font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif;
-              -webkit-font-smoothing: antialiased;
-              -moz-osx-font-smoothing: grayscale;
-              text-rendering: geometricPrecision;
-              background: #fafafa;
-            }
-
-            /* Print-specific styles */
-            @media print {
-              body {
-                -webkit-print-color-adjust: exact;
-                print-color-adjust: exact;
-              }
-            }
-
-            ${cssStyles || ''}
-          </style>
-        </head>
-        <body>
-          ${htmlContent}
-        </body>
-      </html>
-    `;
-
-    await page.setContent(fullHTML, {
-      waitUntil: 'networkidle0'
-    });
-
-    // Generate PDF with dynamic dimensions
-    const pdf = await page.pdf({
-      width: `${pdfWidth}mm`,
-      height: `${pdfHeight}mm`,
-      printBackground: true,
-      preferCSSPageSize: false,
-      margin: {
-        top: 0,
-        right: 0,
-        bottom: 0,
-        left: 0
-      }
-    });
-
-    await browser.close();
-
-    console.log('✅ PDF generated successfully');
-
-    // Send PDF as response
-    res.contentType('application/pdf');
-    res.send(pdf);
+// Background exports - jobs left unfinished by the last run can never complete
+const failed = await repos.exportJobs.failUnfinished('Interrupted by a server restart');
+if (failed > 0) {
+  console.log(`⚠️  Marked ${failed} unfinished export job(s) as failed`);
+}
+const exportQueue = createExportQueue({ jobs: repos.exportJobs, maxQueue: EXPORT_QUEUE_MAX });
+app.use('/api/exports', requireRole('viewer'), createExportJobsRouter(repos, {
+  pool: renderPool,
+  queue: exportQueue,
+  ttlHours: EXPORT_TTL_HOURS
+}));
+startExportSweep(repos);
 
-  } catch (err) {
-    console.error('❌ Error generating PDF:', err);
-    res.status(500).json({ error: 'Failed to generate PDF', message: err.message });
-  }
-});
+// Timeline drawn by the server - /api/timeline.svg, .pdf, .png, .jpg and .webp
+app.use('/api', createTimelineRouter(repos, { pool: renderPool }));
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log('🚀 Server running on port', PORT);
-});
\ No newline at end of file
+});
+
+// Shut down cleanly so no Chromium process outlives the server
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    console.log(`👋 ${signal} received, shutting down...`);
+    server.close();
+    try {
+      await renderPool.close();
+      await db.close();
+    } catch (err) {
+      console.error('❌ Error during shutdown:', err);
+    }
+    process.exit(0);
+  });
+}
\ No newline at end of file
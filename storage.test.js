@@ -0,0 +1,222 @@
+/**
+ * Tests for the media storage drivers (storage/) and migrate-media.js
+ * Run with: node storage.test.js
+ *
+ * The database and filesystem drivers run against a temporary SQLite file and
+ * directory. The s3 driver runs only when TEST_S3_ENDPOINT points at an
+ * S3-compatible server, e.g. a local MinIO:
+ *
+ *   docker run -p 9000:9000 minio/minio server /data
+ *   TEST_S3_ENDPOINT=http://localhost:9000 node storage.test.js
+ *
+ * TEST_S3_BUCKET (default fenwick-test, created if missing) and
+ * TEST_S3_ACCESS_KEY_ID / TEST_S3_SECRET_ACCESS_KEY (default minioadmin) go with
+ * it. Objects are written under a random prefix and removed again.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import sharp from 'sharp';
+import { S3Client, CreateBucketCommand } from '@aws-sdk/client-s3';
+import { openSQLiteDatabase } from './db/sqlite.js';
+import { migrateUp } from './db/migrate.js';
+import { createImageRepository } from './db/images.js';
+import { createMediaStorage, mediaKeys } from './storage/index.js';
+
+const run = promisify(execFile);
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fenwick-storage-'));
+const sqliteFile = path.join(tempDir, 'test.db');
+const mediaDir = path.join(tempDir, 'media');
+
+const db = await openSQLiteDatabase(sqliteFile);
+await migrateUp(db);
+
+const s3Env = process.env.TEST_S3_ENDPOINT && {
+  S3_ENDPOINT: process.env.TEST_S3_ENDPOINT,
+  S3_BUCKET: process.env.TEST_S3_BUCKET || 'fenwick-test',
+  S3_REGION: 'us-east-1',
+  S3_ACCESS_KEY_ID: process.env.TEST_S3_ACCESS_KEY_ID || 'minioadmin',
+  S3_SECRET_ACCESS_KEY: process.env.TEST_S3_SECRET_ACCESS_KEY || 'minioadmin',
+  S3_PREFIX: `storage-test-${crypto.randomBytes(4).toString('hex')}/`
+};
+
+// A fresh MinIO has no buckets
+async function ensureBucket(env) {
+  const client = new S3Client({
+    region: env.S3_REGION,
+    endpoint: env.S3_ENDPOINT,
+    forcePathStyle: true,
+    credentials: { accessKeyId: env.S3_ACCESS_KEY_ID, secretAccessKey: env.S3_SECRET_ACCESS_KEY }
+  });
+  try {
+    await client.send(new CreateBucketCommand({ Bucket: env.S3_BUCKET }));
+  } catch (err) {
+    if (err.name !== 'BucketAlreadyOwnedByYou' && err.name !== 'BucketAlreadyExists') throw err;
+  }
+}
+
+const drivers = [
+  ['database', createMediaStorage('database', db)],
+  ['filesystem', createMediaStorage('filesystem', db, { MEDIA_DIR: mediaDir })]
+];
+if (s3Env) {
+  try {
+    await ensureBucket(s3Env);
+  } catch (err) {
+    console.error(`❌ S3 server at ${s3Env.S3_ENDPOINT} is not usable:`, err.message);
+    await db.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+    process.exit(1);
+  }
+  drivers.push(['s3', createMediaStorage('s3', db, s3Env)]);
+}
+
+// Every byte value, so nothing in between treats the data as text
+const binary = Buffer.from(Array.from({ length: 512 }, (_, i) => i % 256));
+
+// The behaviour every driver shares; each test returns true or a description of what went wrong
+const tests = [
+  {
+    name: "Missing key: get is null, exists is false",
+    run: async (storage) => {
+      const key = mediaKeys.image('0'.repeat(64));
+      return (await storage.get(key)) === null && (await storage.exists(key)) === false;
+    }
+  },
+  {
+    name: "put then get returns the same bytes",
+    run: async (storage) => {
+      const key = mediaKeys.image('a'.repeat(64));
+      await storage.put(key, binary, { contentType: 'application/octet-stream' });
+      const data = await storage.get(key);
+      return Buffer.isBuffer(data) && data.equals(binary) && (await storage.exists(key));
+    }
+  },
+  {
+    name: "Nested keys work",
+    run: async (storage) => {
+      const key = mediaKeys.variant('b'.repeat(64), 320, 'webp');
+      await storage.put(key, Buffer.from('variant'), { contentType: 'image/webp' });
+      return (await storage.get(key))?.toString() === 'variant';
+    }
+  },
+  {
+    name: "Writing the same object again is harmless",
+    run: async (storage) => {
+      const key = mediaKeys.original('c'.repeat(64));
+      await storage.put(key, Buffer.from('same'), { contentType: 'image/png' });
+      await storage.put(key, Buffer.from('same'), { contentType: 'image/png' });
+      return (await storage.get(key))?.toString() === 'same';
+    }
+  },
+  {
+    name: "Keys are independent",
+    run: async (storage) => {
+      await storage.put(mediaKeys.image('d'.repeat(64)), Buffer.from('one'));
+      await storage.put(mediaKeys.image('e'.repeat(64)), Buffer.from('two'));
+      const one = await storage.get(mediaKeys.image('d'.repeat(64)));
+      const two = await storage.get(mediaKeys.image('e'.repeat(64)));
+      return one?.toString() === 'one' && two?.toString() === 'two';
+    }
+  },
+  {
+    name: "remove deletes the object",
+    run: async (storage) => {
+      const key = mediaKeys.export(crypto.randomUUID());
+      await storage.put(key, Buffer.from('%PDF'), { contentType: 'application/pdf' });
+      await storage.remove(key);
+      return (await storage.get(key)) === null && (await storage.exists(key)) === false;
+    }
+  },
+  {
+    name: "Removing a missing key is not an error",
+    run: async (storage) => {
+      await storage.remove(mediaKeys.export(crypto.randomUUID()));
+      return true;
+    }
+  }
+];
+
+// Run tests
+let passed = 0;
+let failed = 0;
+let number = 0;
+
+function report(name, result) {
+  number++;
+  if (result === true) {
+    passed++;
+    console.log(`✅ Test ${number}: ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ Test ${number}: ${name}`);
+    console.log(`   Got: ${result}`);
+  }
+}
+
+async function attempt(fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    return `${err.name}: ${err.message}`;
+  }
+}
+
+console.log('\n🧪 Running storage tests...\n');
+if (!s3Env) console.log('⏭️  s3: set TEST_S3_ENDPOINT to run it against MinIO\n');
+
+for (const [driver, storage] of drivers) {
+  for (const test of tests) {
+    report(`${driver}: ${test.name}`, await attempt(() => test.run(storage)));
+  }
+  // Clean up what the tests left behind (only s3 is outside the temporary directory)
+  for (const id of ['a', 'd', 'e']) await storage.remove(mediaKeys.image(id.repeat(64)));
+  await storage.remove(mediaKeys.variant('b'.repeat(64), 320, 'webp'));
+  await storage.remove(mediaKeys.original('c'.repeat(64)));
+}
+
+// The filesystem driver never writes outside its directory
+report('filesystem: keys cannot escape MEDIA_DIR', await attempt(async () => {
+  const storage = createMediaStorage('filesystem', db, { MEDIA_DIR: mediaDir });
+  try {
+    await storage.put('../escaped', Buffer.from('x'));
+  } catch {
+    return !(await fs.stat(path.join(tempDir, 'escaped')).catch(() => null));
+  }
+  return 'put succeeded';
+}));
+
+// migrate-media.js copies every image from the database to the filesystem, and a rerun skips them
+report('migrate-media.js: database → filesystem, then again', await attempt(async () => {
+  const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#5a8a99' } }).png().toBuffer();
+  const images = createImageRepository(db, { storage: createMediaStorage('database', db) });
+  const id = await images.put({ mimeType: 'image/png', data: image });
+  await db.close();
+
+  const env = { ...process.env, SQLITE_FILE: sqliteFile, MEDIA_STORAGE: 'database', MEDIA_DIR: mediaDir };
+  const first = await run(process.execPath, ['migrate-media.js', '--to', 'filesystem'], { env, timeout: 60000 });
+  const copied = await fs.readFile(path.join(mediaDir, mediaKeys.image(id)));
+  const second = await run(process.execPath, ['migrate-media.js', '--to', 'filesystem'], { env, timeout: 60000 });
+
+  if (!copied.equals(image)) return 'copied file differs';
+  if (!/Copied: 1\b/.test(first.stdout)) return `first run: ${first.stdout}`;
+  if (!/Copied: 0\b/.test(second.stdout) || !/Already there: 1\b/.test(second.stdout)) return `second run: ${second.stdout}`;
+  return true;
+}));
+
+await fs.rm(tempDir, { recursive: true, force: true });
+
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed out of ${number} tests`);
+
+if (failed === 0) {
+  console.log('🎉 All tests passed!');
+  process.exit(0);
+} else {
+  console.log('❌ Some tests failed');
+  process.exit(1);
+}
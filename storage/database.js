@@ -0,0 +1,28 @@
+// Database media driver - objects in the media_objects table, inside whatever
+// connection or transaction it is bound to. The default: nothing else to set up.
+
+export function createDatabaseStorage(db) {
+  return {
+    name: 'database',
+
+    async put(key, data) {
+      await db.run(
+        'INSERT INTO media_objects (key, byte_size, data) VALUES (?, ?, ?) ON CONFLICT (key) DO NOTHING',
+        [key, data.length, data]
+      );
+    },
+
+    async get(key) {
+      const row = await db.get('SELECT data FROM media_objects WHERE key = ?', [key]);
+      return row ? Buffer.from(row.data) : null;
+    },
+
+    async exists(key) {
+      return Boolean(await db.get('SELECT key FROM media_objects WHERE key = ?', [key]));
+    },
+
+    async remove(key) {
+      await db.run('DELETE FROM media_objects WHERE key = ?', [key]);
+    }
+  };
+}
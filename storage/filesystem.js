@@ -0,0 +1,52 @@
+// Filesystem media driver - one file per object under MEDIA_DIR. Fine for local
+// development and servers with a persistent disk; not for Render's ephemeral one.
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+export function createFilesystemStorage({ root }) {
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    // Keys are built by the server, but never let one escape the media directory
+    if (!file.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid media key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'filesystem',
+
+    // Written to a temporary file and renamed, so readers never see half an object
+    async put(key, data) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const temp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      await fs.writeFile(temp, data);
+      await fs.rename(temp, file);
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolve(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await fs.access(resolve(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    }
+  };
+}
@@ -0,0 +1,69 @@
+// Media storage - where image bytes live. The database keeps what an image is
+// (db/images.js); a driver keeps its bytes under a key:
+//
+//   MEDIA_STORAGE=database|filesystem|s3   driver (default database)
+//   MEDIA_DIR=./media                      filesystem: root directory
+//   S3_BUCKET, S3_REGION                   s3: bucket and region
+//   S3_ENDPOINT                            s3: non-AWS services such as MinIO or R2
+//   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY s3: credentials (else the AWS default chain)
+//   S3_PREFIX                              s3: key prefix, e.g. "fenwick/"
+//
+// Every driver has the same interface: put(key, data, { contentType }),
+// get(key) -> Buffer | null, exists(key) and remove(key). Objects are never
+// changed once written - keys are derived from content hashes or, for export
+// files, random job ids - so drivers need no locking, and an object written by
+// a rolled-back transaction is merely unused.
+
+import { createDatabaseStorage } from './database.js';
+import { createFilesystemStorage } from './filesystem.js';
+import { createS3Storage } from './s3.js';
+
+export const MEDIA_DRIVERS = ['database', 'filesystem', 's3'];
+
+export const mediaKeys = {
+  image: id => `images/${id}`,
+  original: id => `originals/${id}`,
+  variant: (id, width, format) => `variants/${id}/${width}.${format}`,
+  export: id => `exports/${id}`
+};
+
+export function resolveMediaDriver(env = process.env) {
+  const driver = (env.MEDIA_STORAGE || 'database').toLowerCase();
+  if (!MEDIA_DRIVERS.includes(driver)) {
+    throw new Error(`Unknown MEDIA_STORAGE "${env.MEDIA_STORAGE}" (expected one of: ${MEDIA_DRIVERS.join(', ')})`);
+  }
+  return driver;
+}
+
+// A driver by name. The database driver works through `db`, so it joins the
+// caller's transaction; the others ignore it.
+export function createMediaStorage(driver, db, env = process.env) {
+  if (driver === 'database') {
+    return createDatabaseStorage(db);
+  }
+  if (driver === 'filesystem') {
+    return createFilesystemStorage({ root: env.MEDIA_DIR || './media' });
+  }
+  if (!env.S3_BUCKET) {
+    throw new Error('MEDIA_STORAGE=s3 requires S3_BUCKET');
+  }
+  return createS3Storage({
+    bucket: env.S3_BUCKET,
+    region: env.S3_REGION,
+    endpoint: env.S3_ENDPOINT,
+    accessKeyId: env.S3_ACCESS_KEY_ID,
+    secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+    prefix: env.S3_PREFIX
+  });
+}
+
+// External drivers hold clients and configuration, so one instance is shared
+const shared = new Map();
+
+// The configured driver, bound to `db` when it is the database one
+export function mediaStorageFor(db, env = process.env) {
+  const driver = resolveMediaDriver(env);
+  if (driver === 'database') return createDatabaseStorage(db);
+  if (!shared.has(driver)) shared.set(driver, createMediaStorage(driver, db, env));
+  return shared.get(driver);
+}
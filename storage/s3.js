@@ -0,0 +1,53 @@
+// S3 media driver - any S3-compatible service (AWS S3, Cloudflare R2, MinIO...).
+// S3_ENDPOINT points it at a non-AWS service; path-style addressing is used then,
+// which is what MinIO expects.
+
+import { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+
+const isNotFound = err => err.name === 'NoSuchKey' || err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404;
+
+export function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey, prefix = '' }) {
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    ...(endpoint && { endpoint, forcePathStyle: true }),
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } })
+  });
+  const objectKey = key => `${prefix}${key}`;
+
+  return {
+    name: 's3',
+
+    async put(key, data, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: data,
+        ContentType: contentType
+      }));
+    },
+
+    async get(key) {
+      try {
+        const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return Buffer.from(await Body.transformToByteArray());
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (err) {
+        if (isNotFound(err)) return false;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    }
+  };
+}
@@ -4,8 +4,10 @@
 import fs from 'fs';
 import fetch from 'node-fetch';
 import readline from 'readline';
+import { validateProject } from './schemas/index.js';
+import { API_URL, apiHeaders } from './api-client.js';
+import { parseDataUri, imageIdFor, imageUrl } from './db/images.js';
 
-const API_URL = 'https://fenwick-backend.onrender.com/api';
 const LOCAL_DATA_FILE = 'local-data.json';
 
 // Create readline interface for user input
@@ -22,9 +24,31 @@ function deepEqual(obj1, obj2) {
   return JSON.stringify(obj1) === JSON.stringify(obj2);
 }
 
+// Server-maintained fields never exist locally, so leave them out of the comparison
+function withoutServerFields({ version, updatedAt, thumbnailInfo, media, ...project }) {
+  return project;
+}
+
+// Production keeps thumbnails in its image store and returns /api/images/<sha256>;
+// local-data.json inlines them. Hashing the local bytes gives the URL production
+// would use, so an unchanged image compares equal (and is not uploaded again).
+function thumbnailRef(thumbnail) {
+  const image = parseDataUri(thumbnail);
+  return image ? imageUrl(imageIdFor(image.data)) : thumbnail;
+}
+
+function comparable(project) {
+  return { ...withoutServerFields(project), thumbnail: thumbnailRef(project.thumbnail) };
+}
+
+function updatePayload(local, prod) {
+  const project = withoutServerFields(local);
+  return thumbnailRef(local.thumbnail) === prod.thumbnail ? { ...project, thumbnail: prod.thumbnail } : project;
+}
+
 async function fetchProductionData() {
   console.log('🔍 Fetching production data...\n');
-  const response = await fetch(`${API_URL}/data`);
+  const response = await fetch(`${API_URL}/data`, { headers: apiHeaders() });
   if (!response.ok) {
     throw new Error(`Failed to fetch production data: ${response.status}`);
   }
@@ -62,7 +86,7 @@ async function syncData() {
       const prodProj = prodMap.get(id);
       if (!prodProj) {
         toCreate.push(localProj);
-      } else if (!deepEqual(localProj, prodProj)) {
+      } else if (!deepEqual(comparable(localProj), comparable(prodProj))) {
         toUpdate.push({ local: localProj, prod: prodProj });
       }
     }
@@ -74,6 +98,22 @@ async function syncData() {
       }
     }
 
+    // Validate everything we are about to send, before touching production
+    const invalid = [...toCreate, ...toUpdate.map(({ local }) => local)]
+      .map(project => ({ project, errors: validateProject(project) }))
+      .filter(({ errors }) => errors.length > 0);
+
+    if (invalid.length > 0) {
+      console.error(`❌ ${invalid.length} local project(s) failed validation:\n`);
+      invalid.forEach(({ project, errors }) => {
+        console.error(`   ${project.name || project.id}`);
+        errors.forEach(e => console.error(`     ${e.field}: ${e.message}`));
+      });
+      console.log('\n💡 Fix these locally, export again and re-run the sync');
+      rl.close();
+      process.exit(1);
+    }
+
     // Check settings differences
     const settingsChanged = !deepEqual(localData.settings, prodData.settings);
 
@@ -148,90 +188,60 @@ async function syncData() {
 
     console.log('\n🚀 Starting sync...\n');
 
-    let successCount = 0;
-    let failCount = 0;
-
-    // Create new projects
-    for (const project of toCreate) {
-      try {
-        const response = await fetch(`${API_URL}/projects`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(project)
-        });
-
-        if (response.ok) {
-          console.log(`✅ Created: ${project.name}`);
-          successCount++;
-        } else {
-          const error = await response.json();
-          console.log(`❌ Failed to create ${project.name}: ${error.error}`);
-          failCount++;
-        }
-      } catch (err) {
-        console.log(`❌ Error creating ${project.name}: ${err.message}`);
-        failCount++;
-      }
-      await new Promise(resolve => setTimeout(resolve, 100));
+    // One atomic batch: either every change lands or none does. Versions make the
+    // server reject the batch if a project was edited in production after we fetched it.
+    const operations = [
+      ...toCreate.map(project => ({ op: 'create', project })),
+      ...toUpdate.map(({ local, prod }) => ({
+        op: 'update',
+        id: local.id,
+        project: updatePayload(local, prod),
+        version: prod.version
+      })),
+      ...toDelete.map(project => ({ op: 'delete', id: project.id, version: project.version }))
+    ];
+    const names = [...toCreate, ...toUpdate.map(({ local }) => local), ...toDelete].map(p => p.name);
+
+    const response = await fetch(`${API_URL}/batch`, {
+      method: 'POST',
+      headers: apiHeaders({ 'Content-Type': 'application/json', 'X-Change-Source': 'sync' }),
+      body: JSON.stringify({ operations, ...(settingsChanged && { settings: localData.settings }) })
+    });
+    const result = await response.json();
+
+    if (!result.results) {
+      throw new Error(result.error || `Batch request failed: ${response.status}`);
     }
 
-    // Update existing projects
-    for (const { local } of toUpdate) {
-      try {
-        const response = await fetch(`${API_URL}/projects/${local.id}`, {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(local)
-        });
-
-        if (response.ok) {
-          console.log(`✅ Updated: ${local.name}`);
-          successCount++;
-        } else {
-          const error = await response.json();
-          console.log(`❌ Failed to update ${local.name}: ${error.error}`);
-          failCount++;
-        }
-      } catch (err) {
-        console.log(`❌ Error updating ${local.name}: ${err.message}`);
-        failCount++;
+    const verbs = { create: 'Created', update: 'Updated', delete: 'Deleted' };
+    for (const r of result.results) {
+      const name = names[r.index];
+      if (r.status === 'ok') {
+        console.log(`✅ ${verbs[r.op]}: ${name}`);
+      } else if (r.status === 'failed' && r.current) {
+        console.log(`⚠️  ${name}: changed in production during the sync - re-run to review`);
+      } else if (r.status === 'failed' || r.status === 'invalid') {
+        console.log(`❌ ${name}: ${r.error || 'invalid'}`);
+        (r.details || []).forEach(d => console.log(`   ${d.field}: ${d.message}`));
       }
-      await new Promise(resolve => setTimeout(resolve, 100));
     }
-
-    // Delete removed projects
-    for (const project of toDelete) {
-      try {
-        const response = await fetch(`${API_URL}/projects/${project.id}`, {
-          method: 'DELETE'
-        });
-
-        if (response.ok) {
-          console.log(`✅ Deleted: ${project.name}`);
-          successCount++;
-        } else {
-          const error = await response.json();
-          console.log(`❌ Failed to delete ${project.name}: ${error.error}`);
-          failCount++;
-        }
-      } catch (err) {
-        console.log(`❌ Error deleting ${project.name}: ${err.message}`);
-        failCount++;
-      }
-      await new Promise(resolve => setTimeout(resolve, 100));
+    if (result.settings?.status === 'failed') {
+      console.log(`❌ Settings: ${result.settings.error}`);
+      (result.settings.details || []).forEach(d => console.log(`   ${d.field}: ${d.message}`));
     }
 
-    // Update settings (if changed)
-    if (settingsChanged) {
-      console.log('\n⚙️  Updating settings...');
-      // Note: You'll need to add a PUT /api/settings endpoint to your server
-      console.log('⚠️  Settings sync not yet implemented - requires API endpoint');
+    if (!result.success) {
+      console.log(`\n❌ ${result.error} - production is unchanged`);
+      process.exitCode = 1;
+      return;
     }
+    if (settingsChanged) console.log('✅ Settings updated');
+
+    const successCount = result.results.length + (settingsChanged ? 1 : 0);
 
     console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('🎉 Sync complete!');
-    console.log(`✅ Success: ${successCount}`);
-    console.log(`❌ Failed: ${failCount}`);
+    console.log(`✅ Applied: ${successCount} changes`);
     console.log('\n🌐 Check your live app: https://fenwick-frontend.vercel.app/');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
@@ -0,0 +1,104 @@
+// Stage date helpers - stages are keyed "0".."7" (RIBA work stages) and hold
+// `start`/`end` as "YYYY-MM" strings, with an optional `duration` in months
+// that replaces `end` when `useDuration` is set.
+
+const MONTH_PATTERN = /^(\d{4})-(\d{2})$/;
+
+// "2023-07" -> month index (2023 * 12 + 6); null for anything that is not a month
+export function parseMonth(value) {
+  const match = typeof value === 'string' && value.match(MONTH_PATTERN);
+  if (!match) return null;
+  const month = Number(match[2]);
+  if (month < 1 || month > 12) return null;
+  return Number(match[1]) * 12 + month - 1;
+}
+
+export function formatMonth(index) {
+  const year = Math.floor(index / 12);
+  return `${year}-${String(index % 12 + 1).padStart(2, '0')}`;
+}
+
+// First and last month a stage covers, or null when it has no start date
+export function stageSpan(stage) {
+  const start = parseMonth(stage?.start);
+  if (start === null) return null;
+
+  let end = parseMonth(stage.end);
+  if (stage.useDuration && Number(stage.duration) > 0) {
+    end = start + Number(stage.duration) - 1;
+  }
+  return { start, end: end !== null && end >= start ? end : start };
+}
+
+// Overall span of a project across all its stages, or null when no stage is dated
+export function projectSpan(stages) {
+  let span = null;
+  for (const stage of Object.values(stages || {})) {
+    const s = stageSpan(stage);
+    if (!s) continue;
+    span = span
+      ? { start: Math.min(span.start, s.start), end: Math.max(span.end, s.end) }
+      : s;
+  }
+  return span;
+}
+
+// True when any part of the project falls inside [from, to] (month indexes, either may be null)
+export function isActiveDuring(stages, from, to) {
+  const span = projectSpan(stages);
+  if (!span) return false;
+  return (from === null || span.end >= from) && (to === null || span.start <= to);
+}
+
+// The dated stages of a project in stage order, as { stage, start, end } month
+// indexes. A stage without an end (and without a duration) runs until the next
+// dated stage begins; the last one then covers just its start month.
+export function stageSegments(stages) {
+  const dated = Object.keys(stages || {})
+    .sort((a, b) => Number(a) - Number(b))
+    .map(key => ({ key, stage: stages[key], span: stageSpan(stages[key]) }))
+    .filter(({ span }) => span);
+
+  return dated.map(({ key, stage, span }, i) => {
+    const next = dated[i + 1]?.span.start;
+    const open = parseMonth(stage.end) === null && !(stage.useDuration && Number(stage.duration) > 0);
+    const end = open && next !== undefined && next > span.start ? next - 1 : span.end;
+    return { stage: Number(key), start: span.start, end };
+  });
+}
+
+// Stage numbers (e.g. a project's responsibilities) -> "Stages 0–3, 5", "Stage 4",
+// or null when none are 0-7. Used by the portfolio sheets (render/portfolio.js).
+export function compressRibaStages(nums) {
+  if (!nums || nums.length === 0) return null;
+
+  // Filter valid stages (0-7), sort, and remove duplicates
+  const sorted = [...new Set(nums.filter(n => n >= 0 && n <= 7))].sort((a, b) => a - b);
+
+  if (sorted.length === 0) return null;
+
+  const ranges = [];
+  let start = sorted[0];
+  let end = sorted[0];
+
+  for (let i = 1; i <= sorted.length; i++) {
+    if (i < sorted.length && sorted[i] === end + 1) {
+      // Continue the range
+      end = sorted[i];
+    } else {
+      // End of range, add it
+      if (start === end) {
+        ranges.push(`${start}`);
+      } else {
+        ranges.push(`${start}–${end}`);
+      }
+      if (i < sorted.length) {
+        start = sorted[i];
+        end = sorted[i];
+      }
+    }
+  }
+
+  const prefix = sorted.length === 1 ? 'Stage ' : 'Stages ';
+  return prefix + ranges.join(', ');
+}
@@ -0,0 +1,177 @@
+// Timeline diagram as standalone SVG - one row per project, its RIBA stages as
+// bars on a month axis, pauses hatched over them. Drawn from projects and
+// settings alone, so GET /api/timeline.svg and /api/timeline.pdf give scripts
+// and scheduled jobs the diagram without a browser.
+
+import { stageSegments, parseMonth, formatMonth } from './stages.js';
+
+// How bars are coloured: by project type (settings colours), by each
+// project's own typeColor, or all alike
+export const COLOR_MODES = ['type', 'project', 'mono'];
+
+const LAYOUT = {
+  padding: 24,
+  titleHeight: 32,
+  headerHeight: 28,
+  labelWidth: 260,
+  monthWidth: 6,
+  rowHeight: 22,
+  barHeight: 14,
+  legendRowHeight: 22,
+  legendItemWidth: 150
+};
+
+const FONT_FAMILY = "'Helvetica Neue', Helvetica, Arial, sans-serif";
+const MONO_COLOR = '#5a6570';
+const TEXT_COLOR = '#333333';
+const MUTED_COLOR = '#8a8a8a';
+const GRID_COLOR = '#e2e2e2';
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+function escapeXml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => XML_ESCAPES[c]);
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+// Colour of a type: its override in projectTypeColors, else the colour map entry
+const typeColor = (settings, type) => settings.projectTypeColors?.[type] ?? settings.colorMap?.[type];
+
+// The first of the project's types that has a colour, or null
+function colouredType(project, settings) {
+  return (project.projectTypes || []).find(type => typeColor(settings, type)) ?? null;
+}
+
+// Colours go into fill="..." as they are, so anything but hex is drawn in MONO_COLOR
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const hexOrMono = color => (HEX_COLOR_PATTERN.test(color) ? color : MONO_COLOR);
+
+export function projectColor(project, settings, colorBy = 'type') {
+  if (colorBy === 'mono') return MONO_COLOR;
+  if (colorBy === 'project') return hexOrMono(project.typeColor);
+  const type = colouredType(project, settings);
+  return hexOrMono(type ? typeColor(settings, type) : settings.colorMap?.Others ?? project.typeColor);
+}
+
+// Later stages are drawn stronger, so a bar reads from briefing to completion
+const stageOpacity = stage => (0.5 + stage * 0.07).toFixed(2);
+
+// Types shown in the legend: those that coloured at least one project, in colour map order
+function legendEntries(projects, settings) {
+  const used = new Map();
+  for (const project of projects) {
+    used.set(colouredType(project, settings) ?? 'Others', projectColor(project, settings, 'type'));
+  }
+  const order = Object.keys(settings.colorMap || {});
+  const rank = type => (order.includes(type) ? order.indexOf(type) : order.length);
+  return [...used].sort(([a], [b]) => rank(a) - rank(b));
+}
+
+// projects (with stages and pauses) + settings -> { svg, width, height }
+// Options: from/to (years, default the settings range), colorBy (COLOR_MODES),
+// background (hex), legend (colorBy "type" only), title
+export function renderTimelineSvg(projects, settings, options = {}) {
+  const {
+    from = settings.startYear,
+    to = settings.endYear,
+    colorBy = 'type',
+    background = '#fafafa',
+    legend = true,
+    title = null
+  } = options;
+  const L = LAYOUT;
+
+  const first = from * 12;
+  const last = to * 12 + 11;
+  const months = last - first + 1;
+
+  const rows = projects
+    .map(project => ({
+      project,
+      segments: stageSegments(project.stages).filter(s => s.end >= first && s.start <= last)
+    }))
+    .filter(row => row.segments.length > 0);
+
+  const legendItems = legend && colorBy === 'type' ? legendEntries(rows.map(r => r.project), settings) : [];
+
+  const chartLeft = L.padding + L.labelWidth;
+  const width = chartLeft + months * L.monthWidth + L.padding;
+  const legendColumns = Math.max(1, Math.floor((width - 2 * L.padding) / L.legendItemWidth));
+  const legendHeight = legendItems.length > 0
+    ? L.padding + Math.ceil(legendItems.length / legendColumns) * L.legendRowHeight
+    : 0;
+  const top = L.padding + (title ? L.titleHeight : 0) + L.headerHeight;
+  const chartBottom = top + rows.length * L.rowHeight;
+  const height = chartBottom + legendHeight + L.padding;
+
+  const x = month => chartLeft + (Math.min(Math.max(month, first), last + 1) - first) * L.monthWidth;
+  const parts = [];
+
+  if (title) {
+    parts.push(`<text x="${L.padding}" y="${L.padding + 20}" font-size="20" font-weight="500" fill="${TEXT_COLOR}">${escapeXml(title)}</text>`);
+  }
+
+  // Year columns: alternate shading, a rule at each January, the year above
+  for (let year = from; year <= to; year++) {
+    const left = x(year * 12);
+    const columnWidth = 12 * L.monthWidth;
+    if ((year - from) % 2 === 1) {
+      parts.push(`<rect x="${left}" y="${top}" width="${columnWidth}" height="${chartBottom - top}" fill="#000000" fill-opacity="0.03"/>`);
+    }
+    parts.push(`<line x1="${left}" y1="${top - 6}" x2="${left}" y2="${chartBottom}" stroke="${GRID_COLOR}" stroke-width="1"/>`);
+    parts.push(`<text x="${left + columnWidth / 2}" y="${top - 10}" font-size="11" text-anchor="middle" fill="${MUTED_COLOR}">${year}</text>`);
+  }
+
+  rows.forEach(({ project, segments }, i) => {
+    const rowTop = top + i * L.rowHeight;
+    const barTop = rowTop + (L.rowHeight - L.barHeight) / 2;
+    const baseline = rowTop + L.rowHeight / 2 + 4;
+    const color = projectColor(project, settings, colorBy);
+
+    parts.push(`<g>`);
+    parts.push(`<text x="${L.padding}" y="${baseline}" font-size="11" fill="${MUTED_COLOR}">${escapeXml(project.number ?? '')}</text>`);
+    parts.push(`<text x="${L.padding + 28}" y="${baseline}" font-size="12" fill="${TEXT_COLOR}">${escapeXml(truncate(project.name || '', 38))}</text>`);
+
+    for (const { stage, start, end } of segments) {
+      const left = x(start);
+      const barWidth = x(end + 1) - left;
+      parts.push(`<rect x="${left}" y="${barTop}" width="${barWidth}" height="${L.barHeight}" fill="${color}" fill-opacity="${stageOpacity(stage)}">` +
+        `<title>${escapeXml(`${project.name} - stage ${stage}: ${formatMonth(start)} to ${formatMonth(end)}`)}</title></rect>`);
+      if (barWidth >= 12) {
+        parts.push(`<text x="${left + barWidth / 2}" y="${barTop + L.barHeight - 3.5}" font-size="9" text-anchor="middle" fill="#ffffff">${stage}</text>`);
+      }
+    }
+
+    for (const pause of project.pauses || []) {
+      const start = parseMonth(pause.start);
+      if (start === null || start > last) continue;
+      const end = parseMonth(pause.end) ?? last;
+      if (end < first) continue;
+      parts.push(`<rect x="${x(start)}" y="${barTop}" width="${x(end + 1) - x(start)}" height="${L.barHeight}" fill="url(#pause)">` +
+        `<title>${escapeXml(`Paused${pause.reason ? `: ${pause.reason}` : ''}`)}</title></rect>`);
+    }
+    parts.push(`</g>`);
+  });
+
+  legendItems.forEach(([type, color], i) => {
+    const left = L.padding + (i % legendColumns) * L.legendItemWidth;
+    const rowTop = chartBottom + L.padding + Math.floor(i / legendColumns) * L.legendRowHeight;
+    parts.push(`<rect x="${left}" y="${rowTop + 4}" width="12" height="12" fill="${color}"/>`);
+    parts.push(`<text x="${left + 18}" y="${rowTop + 14}" font-size="11" fill="${TEXT_COLOR}">${escapeXml(type)}</text>`);
+  });
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escapeXml(FONT_FAMILY)}">
+<defs>
+<pattern id="pause" width="6" height="6" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+<rect width="6" height="6" fill="${escapeXml(background)}"/><line x1="0" y1="0" x2="0" y2="6" stroke="${MUTED_COLOR}" stroke-width="2"/>
+</pattern>
+</defs>
+<rect width="${width}" height="${height}" fill="${escapeXml(background)}"/>
+${parts.join('\n')}
+</svg>
+`;
+  return { svg, width, height };
+}
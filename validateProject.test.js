@@ -0,0 +1,159 @@
+/**
+ * Tests for validateProject / validateSettings (schemas/index.js)
+ * Run with: node validateProject.test.js
+ */
+
+import { validateProject, validateSettings, normalizeProject } from './schemas/index.js';
+
+const base = {
+  id: 'p1',
+  name: 'Haus TF',
+  stages: { 0: { start: '2025-01', end: null } }
+};
+
+// Each test lists the fields expected to be reported (empty = valid)
+const tests = [
+  {
+    name: "Minimal project",
+    input: base,
+    expected: []
+  },
+  {
+    name: "Full project",
+    input: {
+      ...base,
+      number: 1,
+      practiceName: 'driendl*architects',
+      briefDescription: null,
+      client: '',
+      projectTypes: ['Residential', 'Private'],
+      typeColor: '#C79A6B',
+      stages: {
+        0: { start: '2025-01', end: null },
+        3: { start: '2023-07', end: null, useDuration: true, duration: 2 },
+        5: { start: '', end: '' }
+      },
+      pauses: [{ start: '2024-01', end: '2024-03', reason: 'Planning' }],
+      responsibilities: [0, 1, 2, 3, 5],
+      completed: true
+    },
+    expected: []
+  },
+  {
+    name: "Missing stages",
+    input: { id: 'p1', name: 'X' },
+    expected: ['stages']
+  },
+  {
+    name: "Stage key out of range",
+    input: { ...base, stages: { 8: { start: '2025-01' } } },
+    expected: ['stages.8']
+  },
+  {
+    name: "Bad stage month",
+    input: { ...base, stages: { 2: { start: '2025-13', end: 'soon' } } },
+    expected: ['stages.2.start', 'stages.2.end']
+  },
+  {
+    name: "Stage ends before it starts",
+    input: { ...base, stages: { 2: { start: '2025-05', end: '2025-01' } } },
+    expected: ['stages.2.end']
+  },
+  {
+    name: "Unknown stage field",
+    input: { ...base, stages: { 1: { start: '2025-01', begin: '2025-01' } } },
+    expected: ['stages.1.begin']
+  },
+  {
+    name: "Null typeColor",
+    input: { ...base, typeColor: null },
+    expected: ['typeColor']
+  },
+  {
+    name: "Non-hex typeColor",
+    input: { ...base, typeColor: 'red' },
+    expected: ['typeColor']
+  },
+  {
+    name: "projectTypes must be a string array",
+    input: { ...base, projectTypes: ['Hotel', 3] },
+    expected: ['projectTypes.1']
+  },
+  {
+    name: "Pause without start",
+    input: { ...base, pauses: [{ end: '2024-01' }] },
+    expected: ['pauses.0.start']
+  },
+  {
+    name: "Responsibility outside stages 0-7",
+    input: { ...base, responsibilities: [2, 9] },
+    expected: ['responsibilities.1']
+  },
+  {
+    name: "Not an object",
+    input: null,
+    expected: ['']
+  },
+  {
+    name: "Settings: valid",
+    settings: true,
+    input: { startYear: 2011, endYear: 2026, colorMap: { Commercial: '#C97373' }, projectTypeColors: {} },
+    expected: []
+  },
+  {
+    name: "Settings: years out of order",
+    settings: true,
+    input: { startYear: 2026, endYear: 2011 },
+    expected: ['endYear']
+  },
+  {
+    name: "Settings: bad colour",
+    settings: true,
+    input: { colorMap: { Commercial: 'C97373' } },
+    expected: ['colorMap.Commercial']
+  }
+];
+
+// Run tests
+let passed = 0;
+let failed = 0;
+
+console.log('🧪 Running validateProject tests...\n');
+
+tests.forEach((test, index) => {
+  const errors = test.settings ? validateSettings(test.input) : validateProject(test.input);
+  const fields = errors.map(e => e.field).sort();
+  const success = JSON.stringify(fields) === JSON.stringify([...test.expected].sort());
+
+  if (success) {
+    passed++;
+    console.log(`✅ Test ${index + 1}: ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ Test ${index + 1}: ${test.name}`);
+    console.log(`   Expected fields: ${JSON.stringify(test.expected)}`);
+    console.log(`   Got: ${JSON.stringify(errors)}`);
+  }
+});
+
+// normalizeProject turns cleared dates into null
+const normalized = normalizeProject({ ...base, stages: { 1: { start: '', end: '' } } });
+if (normalized.stages[1].start === null && normalized.stages[1].end === null) {
+  passed++;
+  console.log(`✅ Test ${tests.length + 1}: normalizeProject clears empty dates`);
+} else {
+  failed++;
+  console.log(`❌ Test ${tests.length + 1}: normalizeProject clears empty dates`);
+  console.log(`   Got: ${JSON.stringify(normalized.stages)}`);
+}
+
+const total = tests.length + 1;
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed out of ${total} tests`);
+
+if (failed === 0) {
+  console.log('🎉 All tests passed!');
+  process.exit(0);
+} else {
+  console.log('❌ Some tests failed');
+  process.exit(1);
+}
@@ -0,0 +1,160 @@
+/**
+ * Tests for readPrecondition / preconditionFails / isNotModified (routes/versioning.js)
+ * Run with: node versioning.test.js
+ */
+
+import { readPrecondition, preconditionFails, isNotModified } from './routes/versioning.js';
+
+// Just enough of an Express request
+function request(headers = {}, body = undefined) {
+  return { get: name => headers[name], body };
+}
+
+// Each test sends a request against the current version and expects the write
+// to go ahead (pass), be refused with a status (412 / 409), or be unconditional (null)
+const tests = [
+  {
+    name: "Single tag, current",
+    req: request({ 'If-Match': '"3"' }),
+    current: 3,
+    expected: 'pass'
+  },
+  {
+    name: "Single tag, stale",
+    req: request({ 'If-Match': '"2"' }),
+    current: 3,
+    expected: 412
+  },
+  {
+    name: "List of tags, one current",
+    req: request({ 'If-Match': '"1", "3", "5"' }),
+    current: 3,
+    expected: 'pass'
+  },
+  {
+    name: "List of tags, none current",
+    req: request({ 'If-Match': '"1","2"' }),
+    current: 3,
+    expected: 412
+  },
+  {
+    name: "Weak tag",
+    req: request({ 'If-Match': 'W/"3"' }),
+    current: 3,
+    expected: 'pass'
+  },
+  {
+    name: "Weak tag in a list",
+    req: request({ 'If-Match': '"9", W/"3"' }),
+    current: 3,
+    expected: 'pass'
+  },
+  {
+    name: "* is unconditional",
+    req: request({ 'If-Match': ' * ' }),
+    current: 3,
+    expected: null
+  },
+  {
+    name: "Malformed header never matches",
+    req: request({ 'If-Match': '3' }),
+    current: 3,
+    expected: 412
+  },
+  {
+    name: "Malformed tag in a list does not spoil the others",
+    req: request({ 'If-Match': 'garbage, "3"' }),
+    current: 3,
+    expected: 'pass'
+  },
+  {
+    name: "Body version, current",
+    req: request({}, { name: 'X', version: 3 }),
+    current: 3,
+    expected: 'pass'
+  },
+  {
+    name: "Body version, stale",
+    req: request({}, { name: 'X', version: 2 }),
+    current: 3,
+    expected: 409
+  },
+  {
+    name: "If-Match wins over the body version",
+    req: request({ 'If-Match': '"2"' }, { version: 3 }),
+    current: 3,
+    expected: 412
+  },
+  {
+    name: "Non-integer body version is ignored",
+    req: request({}, { version: '3' }),
+    current: 3,
+    expected: null
+  },
+  {
+    name: "No header and no body",
+    req: request(),
+    current: 3,
+    expected: null
+  }
+];
+
+// If-None-Match for conditional GETs: [header, current version, expected]
+const notModifiedTests = [
+  ['"3"', 3, true],
+  ['"1", W/"3"', 3, true],
+  ['*', 3, true],
+  ['"2"', 3, false],
+  [undefined, 3, false]
+];
+
+// Run tests
+let passed = 0;
+let failed = 0;
+
+console.log('🧪 Running versioning tests...\n');
+
+tests.forEach((test, index) => {
+  const precondition = readPrecondition(test.req);
+  let result = null;
+  if (precondition) {
+    result = preconditionFails(precondition, test.current) ? precondition.status : 'pass';
+  }
+
+  if (result === test.expected) {
+    passed++;
+    console.log(`✅ Test ${index + 1}: ${test.name}`);
+  } else {
+    failed++;
+    console.log(`❌ Test ${index + 1}: ${test.name}`);
+    console.log(`   Expected: ${test.expected}`);
+    console.log(`   Got: ${result} (${JSON.stringify(precondition)})`);
+  }
+});
+
+notModifiedTests.forEach(([header, current, expected], index) => {
+  const number = tests.length + index + 1;
+  const name = `If-None-Match ${header ?? '(none)'} against ${current}`;
+  const result = isNotModified(request({ 'If-None-Match': header }), current);
+
+  if (result === expected) {
+    passed++;
+    console.log(`✅ Test ${number}: ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ Test ${number}: ${name}`);
+    console.log(`   Expected: ${expected}`);
+    console.log(`   Got: ${result}`);
+  }
+});
+
+const total = tests.length + notModifiedTests.length;
+console.log(`\n📊 Results: ${passed} passed, ${failed} failed out of ${total} tests`);
+
+if (failed === 0) {
+  console.log('🎉 All tests passed!');
+  process.exit(0);
+} else {
+  console.log('❌ Some tests failed');
+  process.exit(1);
+}